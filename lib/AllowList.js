@@ -0,0 +1,84 @@
+import fs from "fs";
+import path from "path";
+import { findKeyEntries } from "./BanList.js";
+
+const HEADER = "# Public keys allowed to connect, one per line: <64-hex key> [name]";
+
+// The keys a private peer accepts connections from. The key file is plain
+// text so it can be written by hand and shared between team members.
+class AllowList {
+  constructor({ logger, file }) {
+    this.logger = logger;
+    this.file = file;
+    // publicKey hex -> { publicKey, name }
+    this.entries = new Map();
+  }
+
+  // A missing file is an empty list; it is created on the first change
+  load() {
+    if (!fs.existsSync(this.file)) {
+      this.logger.warn(`⚠️  Allowlist ${this.file} does not exist yet, no peer can connect until keys are added`);
+      return this;
+    }
+
+    let text;
+    try {
+      text = fs.readFileSync(this.file, "utf8");
+    } catch (err) {
+      throw new Error(`Cannot read allowlist ${this.file}: ${err.message}`);
+    }
+
+    text.split("\n").forEach((line, index) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith("#")) return;
+
+      const [key, ...name] = trimmed.split(/\s+/);
+      if (!/^[0-9a-f]{64}$/i.test(key)) {
+        throw new Error(`Allowlist ${this.file} line ${index + 1}: expected a 64-char hex public key`);
+      }
+      const publicKey = key.toLowerCase();
+      this.entries.set(publicKey, { publicKey, name: name.join(" ") || null });
+    });
+
+    this.logger.info(`🔒 Loaded ${this.entries.size} allowed keys from ${this.file}`);
+    return this;
+  }
+
+  save() {
+    const lines = this.list().map(({ publicKey, name }) => (name ? `${publicKey} ${name}` : publicKey));
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, [HEADER, ...lines].join("\n") + "\n");
+  }
+
+  isAllowed({ publicKey }) {
+    return this.entries.has(publicKey);
+  }
+
+  // Returns false if the key was already allowed
+  allow({ publicKey, name = null }) {
+    if (this.entries.has(publicKey)) return false;
+
+    this.entries.set(publicKey, { publicKey, name });
+    this.save();
+    return true;
+  }
+
+  revoke({ publicKey }) {
+    const entry = this.entries.get(publicKey) || null;
+    if (entry) {
+      this.entries.delete(publicKey);
+      this.save();
+    }
+    return entry;
+  }
+
+  find({ query }) {
+    return findKeyEntries({ entries: this.entries, query });
+  }
+
+  list() {
+    return [...this.entries.values()];
+  }
+}
+
+export default AllowList;
@@ -0,0 +1,91 @@
+import fs from "fs";
+import path from "path";
+
+// Looks up entries of a map keyed by public key hex that each carry a name:
+// a full key first, then a key prefix, then a name. Shared with AllowList.
+function findKeyEntries({ entries, query }) {
+  if (entries.has(query)) {
+    return [entries.get(query)];
+  }
+
+  const list = [...entries.values()];
+  const byPrefix = list.filter((entry) => entry.publicKey.startsWith(query));
+  if (byPrefix.length > 0) {
+    return byPrefix;
+  }
+
+  return list.filter((entry) => entry.name === query);
+}
+
+// Public keys we refuse to talk to, saved to disk on every change so bans
+// survive restarts
+class BanList {
+  constructor({ logger, file }) {
+    this.logger = logger;
+    this.file = file;
+    // publicKey hex -> { publicKey, name, reason, bannedAt }
+    this.entries = new Map();
+  }
+
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) return this;
+
+    let stored;
+    try {
+      stored = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    } catch (err) {
+      throw new Error(`Cannot read ban list ${this.file}: ${err.message}`);
+    }
+
+    for (const entry of Array.isArray(stored.bans) ? stored.bans : []) {
+      if (typeof entry.publicKey === "string" && /^[0-9a-f]{64}$/.test(entry.publicKey)) {
+        this.entries.set(entry.publicKey, entry);
+      }
+    }
+
+    if (this.entries.size > 0) {
+      this.logger.info(`🚫 Loaded ${this.entries.size} banned keys from ${this.file}`);
+    }
+    return this;
+  }
+
+  save() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({ bans: this.list() }, null, 2));
+  }
+
+  isBanned({ publicKey }) {
+    return this.entries.has(publicKey);
+  }
+
+  // Returns false if the key was already banned
+  ban({ publicKey, name = null, reason = null }) {
+    if (this.entries.has(publicKey)) return false;
+
+    this.entries.set(publicKey, { publicKey, name, reason, bannedAt: Date.now() });
+    this.save();
+    return true;
+  }
+
+  unban({ publicKey }) {
+    const entry = this.entries.get(publicKey) || null;
+    if (entry) {
+      this.entries.delete(publicKey);
+      this.save();
+    }
+    return entry;
+  }
+
+  // Matches by the name the peer had when banned
+  find({ query }) {
+    return findKeyEntries({ entries: this.entries, query });
+  }
+
+  list() {
+    return [...this.entries.values()];
+  }
+}
+
+export { findKeyEntries };
+export default BanList;
@@ -0,0 +1,141 @@
+import crypto from "hypercore-crypto";
+import b4a from "b4a";
+import RoomCipher from "./RoomCipher.js";
+
+const ROOM_NAMESPACE = "hyperswarm-cli/room/";
+
+// Tracks the topics this peer has joined. Each topic is a separate channel;
+// one of them is the current channel that plain input is broadcast to.
+class ChannelManager {
+  constructor({ logger, swarm }) {
+    this.logger = logger;
+    this.swarm = swarm;
+    this.channels = new Map();
+    this.currentTopicHex = null;
+  }
+
+  // Accepts exactly 32 bytes of hex; anything else would silently decode to a
+  // truncated buffer and join the wrong swarm
+  topicFromHex({ hex }) {
+    if (typeof hex !== "string" || !/^[0-9a-f]{64}$/i.test(hex)) {
+      throw new Error(`Invalid topic "${hex}": expected 64 hex characters (32 bytes)`);
+    }
+    return b4a.from(hex, "hex");
+  }
+
+  // Rooms are human-readable names; every peer derives the same topic from the same name
+  topicFromRoom({ room }) {
+    if (typeof room !== "string" || room.trim().length === 0) {
+      throw new Error("Room name cannot be empty");
+    }
+    return crypto.hash(b4a.from(ROOM_NAMESPACE + room.trim()));
+  }
+
+  // Encrypted rooms: the topic and the message key both come from a shared secret
+  roomFromSecret({ secret }) {
+    return RoomCipher.fromSecret({ secret });
+  }
+
+  async join({ topic, name = null, cipher = null }) {
+    const topicHex = b4a.toString(topic, "hex");
+    const existing = this.channels.get(topicHex);
+    if (existing) {
+      // A topic joined by hex becomes readable once its secret is given
+      if (cipher && !existing.cipher) {
+        existing.cipher = cipher;
+      }
+      this.currentTopicHex = topicHex;
+      return { channel: existing, joined: false };
+    }
+
+    const discovery = this.swarm.join(topic, {
+      client: true,
+      server: true,
+    });
+
+    this.logger.info("Joining swarm...", {
+      client: true,
+      server: true,
+      topicHash: topicHex.substring(0, 16) + "...",
+    });
+
+    // Register before flushing so messages from peers found meanwhile are accepted
+    const channel = { topic, topicHex, name, cipher, discovery, joinedAt: Date.now() };
+    this.channels.set(topicHex, channel);
+
+    try {
+      // Wait for the topic to be announced
+      await discovery.flushed();
+    } catch (err) {
+      this.channels.delete(topicHex);
+      await this.swarm.leave(topic);
+      throw err;
+    }
+
+    this.currentTopicHex = topicHex;
+    return { channel, joined: true };
+  }
+
+  async leave({ topicHex }) {
+    const channel = this.channels.get(topicHex);
+    if (!channel) return null;
+
+    this.channels.delete(topicHex);
+    await this.swarm.leave(channel.topic);
+
+    if (this.currentTopicHex === topicHex) {
+      const [next] = this.channels.keys();
+      this.currentTopicHex = next || null;
+    }
+
+    return channel;
+  }
+
+  // Finds a joined channel by room name, full topic hex or an unambiguous prefix
+  resolve({ query }) {
+    if (!query) return null;
+    if (this.channels.has(query)) return this.channels.get(query);
+
+    const byName = [...this.channels.values()].find((channel) => channel.name === query);
+    if (byName) return byName;
+
+    const matches = [...this.channels.values()].filter((channel) => channel.topicHex.startsWith(query));
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  setCurrent({ topicHex }) {
+    if (!this.channels.has(topicHex)) return false;
+    this.currentTopicHex = topicHex;
+    return true;
+  }
+
+  getCurrent() {
+    return this.currentTopicHex ? this.channels.get(this.currentTopicHex) : null;
+  }
+
+  // The room cipher of an encrypted channel, or null
+  getCipher({ topicHex }) {
+    const channel = this.channels.get(topicHex);
+    return channel ? channel.cipher : null;
+  }
+
+  hasTopic({ topicHex }) {
+    return this.channels.has(topicHex);
+  }
+
+  getTopicHexes() {
+    return [...this.channels.keys()];
+  }
+
+  getChannels() {
+    return [...this.channels.values()];
+  }
+
+  label({ topicHex }) {
+    const channel = this.channels.get(topicHex);
+    if (channel && channel.name) return `#${channel.name}`;
+    return `#${topicHex.substring(0, 8)}`;
+  }
+}
+
+export default ChannelManager;
@@ -1,26 +1,174 @@
 import b4a from "b4a";
+import MessageFramer from "./MessageFramer.js";
+import NameDirectory from "./NameDirectory.js";
 
 class ConnectionManager {
-  constructor({ logger, messageHandler, messageHistory }) {
+  constructor({
+    logger,
+    messageHandler,
+    messageHistory,
+    channelManager = null,
+    events = null,
+    maxInvalidMessages = 10,
+    maxRateLimited = 100,
+    rateLimitWindow = 60 * 1000,
+    now = Date.now,
+    requiresInvite = () => false,
+    redeemInvite = () => "invites are not accepted",
+    inviteFor = () => null,
+    inviteTimeout = 10 * 1000,
+    nameDirectory = new NameDirectory(),
+    selfKey = null,
+  }) {
     this.logger = logger;
     this.messageHandler = messageHandler;
     this.messageHistory = messageHistory;
+    this.channelManager = channelManager;
+    this.events = events;
+    this.maxInvalidMessages = maxInvalidMessages;
+    // A peer is disconnected once maxRateLimited of its messages are dropped within rateLimitWindow ms
+    this.maxRateLimited = maxRateLimited;
+    this.rateLimitWindow = rateLimitWindow;
+    this.now = now;
+    this.requiresInvite = requiresInvite;
+    this.redeemInvite = redeemInvite;
+    this.inviteFor = inviteFor;
+    this.inviteTimeout = inviteTimeout;
+    this.nameDirectory = nameDirectory;
+    // Our own public key hex, whose name is in the directory too
+    this.selfKey = selfKey;
+    // One session per remote public key: publicKey hex -> { sessionId, peerId, publicKey, connection }
+    this.sessions = new Map();
+    this.lastSessionId = 0;
+    // Indexed by the peer's display ID, which is unique among its sessions
     this.connections = new Map();
+    this.peerInfo = new Map();
+    // Connections from keys off the allowlist, waiting for an invite: peerId -> { connection, info, timer }
+    this.pendingConnections = new Map();
+    this.framer = new MessageFramer();
   }
 
   handleConnection({ connection, info }) {
-    const peerId = this.generatePeerId({ connection });
+    const session = this.openSession({ connection });
+    const { peerId, publicKey } = session;
+    this.setupConnectionEventHandlers({ session });
+
+    if (this.requiresInvite({ publicKey })) {
+      this.holdForInvite({ peerId, connection, info });
+      return;
+    }
+    this.admitPeer({ peerId, connection, info });
+  }
+
+  admitPeer({ peerId, connection, info }) {
     this.registerConnection({ peerId, connection, info });
-    this.setupConnectionEventHandlers({ peerId, connection });
     this.sendWelcomeMessage({ peerId });
+    this.emit("peerConnected", {
+      peerId,
+      publicKey: this.getPeerKey({ peerId }),
+      sessionId: this.getSessionId({ peerId }),
+      remoteAddress: connection.remoteAddress || null,
+    });
+  }
+
+  emit(event, payload) {
+    if (this.events) {
+      this.events.emit(event, payload);
+    }
+  }
+
+  // Starts a session for a connection. A peer that connects again keeps its
+  // display ID and the newest connection wins, as in Hyperswarm's own
+  // deduplication: the other side must have lost the old one.
+  openSession({ connection }) {
+    const publicKey = b4a.toString(connection.remotePublicKey, "hex");
+    const previous = this.sessions.get(publicKey);
+    const session = {
+      sessionId: ++this.lastSessionId,
+      peerId: previous ? previous.peerId : this.generatePeerId({ publicKey }),
+      publicKey,
+      connection,
+    };
+    this.sessions.set(publicKey, session);
+
+    if (previous) {
+      this.replaceSession({ previous });
+    }
+    return session;
+  }
+
+  // Display IDs are the shortest prefix of the key, at least 8 characters,
+  // that no other current peer's key starts with, so no two peers share an
+  // ID. A peer that connects later may still have a key starting with an
+  // earlier peer's ID, which is why findPeers tries exact IDs first.
+  generatePeerId({ publicKey }) {
+    const others = [...this.sessions.keys()].filter((key) => key !== publicKey);
+    let length = 8;
+    while (length < publicKey.length && others.some((key) => key.startsWith(publicKey.substring(0, length)))) {
+      length++;
+    }
+    return publicKey.substring(0, length);
+  }
+
+  // Only the latest connection from a key is acted on; events from the one it
+  // replaced are ignored
+  isCurrent({ session }) {
+    return this.sessions.get(session.publicKey) === session;
   }
 
-  generatePeerId({ connection }) {
-    return b4a.toString(connection.remotePublicKey, "hex").substring(0, 8);
+  // The peer has not gone anywhere, so the old connection is dropped without
+  // the peerDisconnected event or name cleanup of a real disconnect; the new
+  // connection takes its place under the same ID
+  replaceSession({ previous }) {
+    const { peerId, connection } = previous;
+    this.logger.connection(`Peer ${peerId} connected again, closing its previous connection`);
+
+    if (this.pendingConnections.has(peerId)) {
+      this.dropPending({ peerId });
+    } else if (this.connections.get(peerId) === connection) {
+      this.connections.delete(peerId);
+      this.peerInfo.delete(peerId);
+      this.messageHandler.forgetPeer({ peerId });
+    }
+
+    try {
+      if (typeof connection.destroy === "function") {
+        connection.destroy();
+      } else {
+        connection.end();
+      }
+    } catch (err) {
+      this.logger.error(`Error closing connection to peer ${peerId}:`, { error: err.message });
+    }
+  }
+
+  // The display ID of the connected peer with this key, or null
+  getPeerIdForKey({ publicKey }) {
+    const session = this.sessions.get(publicKey);
+    return session && this.connections.get(session.peerId) === session.connection ? session.peerId : null;
+  }
+
+  getSessionId({ peerId }) {
+    const publicKey = this.getPeerKey({ peerId });
+    const session = publicKey ? this.sessions.get(publicKey) : null;
+    return session ? session.sessionId : null;
   }
 
   registerConnection({ peerId, connection, info }) {
     this.connections.set(peerId, connection);
+    this.peerInfo.set(peerId, {
+      name: null,
+      topics: null,
+      protocol: null,
+      capabilities: null,
+      invalidMessages: 0,
+      rateLimited: 0,
+      // When the drops within the rate limit window happened, oldest first
+      recentRateLimited: [],
+      rtt: null,
+      lastSeen: Date.now(),
+      presence: null,
+    });
     this.logger.connection(`New connection from peer ${peerId}`, {
       remoteAddress: connection.remoteAddress,
       type: info.client ? "client" : "server",
@@ -28,75 +176,456 @@ class ConnectionManager {
     });
   }
 
-  setupConnectionEventHandlers({ peerId, connection }) {
+  setupConnectionEventHandlers({ session }) {
+    const { peerId, connection } = session;
+    const framer = new MessageFramer();
+
     connection.on("data", (data) => {
-      this.messageHandler.handleIncomingMessage({
-        peerId,
-        data,
-        messageHistory: this.messageHistory,
-      });
+      if (!this.isCurrent({ session })) return;
+      this.onConnectionData({ peerId, framer, data, remotePublicKey: connection.remotePublicKey });
     });
 
     connection.on("close", () => {
-      this.onConnectionClose({ peerId });
+      if (!this.isCurrent({ session })) return;
+
+      this.sessions.delete(session.publicKey);
+      if (this.pendingConnections.has(peerId)) {
+        this.dropPending({ peerId });
+      } else if (this.connections.has(peerId)) {
+        this.onConnectionClose({ peerId });
+      }
     });
 
     connection.on("error", (err) => {
+      if (!this.isCurrent({ session })) return;
       this.onConnectionError({ peerId, error: err });
     });
   }
 
-  onConnectionClose({ peerId }) {
+  onConnectionData({ peerId, framer, data, remotePublicKey = null }) {
+    this.updatePeerInfo({ peerId, lastSeen: Date.now() });
+
+    // Frames that were complete before an oversized one are still handled
+    let frames;
+    let oversized = null;
+    try {
+      frames = framer.decode({ data });
+    } catch (err) {
+      frames = err.frames || [];
+      oversized = err;
+    }
+
+    for (const frame of frames) {
+      if (this.pendingConnections.has(peerId) && !this.checkInvite({ peerId, frame, remotePublicKey })) {
+        return;
+      }
+      this.messageHandler.handleIncomingMessage({
+        peerId,
+        data: frame,
+        remotePublicKey,
+        messageHistory: this.messageHistory,
+      });
+    }
+
+    if (oversized) {
+      this.logger.error(`Dropping malformed stream data from peer ${peerId}:`, { error: oversized.message });
+      this.recordInvalidMessage({ peerId, reason: oversized.message });
+      this.refusePending({ peerId, reason: oversized.message });
+    }
+  }
+
+  // Keeps a connection from a key that is not on the allowlist out of the peer
+  // list until its welcome presents a valid invite
+  holdForInvite({ peerId, connection, info }) {
+    const timer = setTimeout(() => {
+      this.refusePending({ peerId, reason: "no invite presented in time" });
+    }, this.inviteTimeout);
+    this.pendingConnections.set(peerId, { connection, info, timer });
+    this.logger.connection(`Peer ${peerId} is not on the allowlist, waiting for an invite`, {
+      remoteAddress: connection.remoteAddress,
+    });
+  }
+
+  // Admits a pending peer whose first message redeems an invite; returns false if it was refused
+  checkInvite({ peerId, frame, remotePublicKey }) {
+    const { connection, info, timer } = this.pendingConnections.get(peerId);
+    const { token, name, reason } = this.messageHandler.readInvite({ data: frame, remotePublicKey });
+    const refusal = reason || this.redeemInvite({ publicKey: b4a.toString(remotePublicKey, "hex"), token, name });
+    if (refusal) {
+      this.refusePending({ peerId, reason: refusal });
+      return false;
+    }
+
+    clearTimeout(timer);
+    this.pendingConnections.delete(peerId);
+    this.admitPeer({ peerId, connection, info });
+    return true;
+  }
+
+  refusePending({ peerId, reason }) {
+    const pending = this.pendingConnections.get(peerId);
+    if (!pending) return;
+    this.dropPending({ peerId });
+
+    this.logger.warn(`Refusing peer ${peerId}: ${reason}`);
+    try {
+      const message = this.messageHandler.createDisconnectMessage({ name: this.messageHandler.name, reason });
+      this.writeMessage({ connection: pending.connection, message });
+      pending.connection.end();
+    } catch (err) {
+      this.logger.error(`Error closing connection to peer ${peerId}:`, { error: err.message });
+    }
+  }
+
+  dropPending({ peerId }) {
+    const pending = this.pendingConnections.get(peerId);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this.pendingConnections.delete(peerId);
+  }
+
+  onConnectionClose({ peerId, reason = null }) {
+    // A connection closed by us is done with even if its close event never comes
+    const connection = this.connections.get(peerId);
+    const publicKey = this.getPeerKey({ peerId });
+    if (publicKey && this.sessions.has(publicKey) && this.sessions.get(publicKey).connection === connection) {
+      this.sessions.delete(publicKey);
+    }
+    if (publicKey) {
+      this.nameDirectory.delete({ publicKey });
+    }
+
     this.connections.delete(peerId);
+    this.peerInfo.delete(peerId);
+    this.messageHandler.forgetPeer({ peerId });
     this.logger.connection(`Peer ${peerId} disconnected`, {
       totalConnections: this.connections.size,
+      ...(reason ? { reason } : {}),
     });
+    this.emit("peerDisconnected", reason ? { peerId, reason } : { peerId });
   }
 
   onConnectionError({ peerId, error }) {
     this.logger.error(`Connection error with peer ${peerId}:`, { error: error.message });
+    this.emit("peerError", { peerId, error });
   }
 
   sendWelcomeMessage({ peerId }) {
     const welcomeMessage = this.messageHandler.createWelcomeMessage({
       name: this.messageHandler.name,
+      topics: this.channelManager ? this.channelManager.getTopicHexes() : [],
+      invite: this.inviteFor({ publicKey: this.getPeerKey({ peerId }) }),
     });
     this.sendToPeer({ peerId, message: welcomeMessage });
   }
 
+  // Returns false when the connection's buffer is full and the caller should wait for "drain"
+  writeMessage({ connection, message }) {
+    return connection.write(this.framer.encode({ message }));
+  }
+
   sendToPeer({ peerId, message }) {
     const conn = this.connections.get(peerId);
-    if (conn) {
-      conn.write(JSON.stringify(message));
+    if (!conn) return null;
+
+    if (!this.supports({ peerId, type: message.type })) {
+      this.logger.debug(`Not sending ${message.type} to peer ${peerId}: not supported by the peer`);
+      return null;
     }
+    return this.writeMessage({ connection: conn, message });
   }
 
-  broadcast({ message, name }) {
-    const broadcastMsg = this.messageHandler.createBroadcastMessage({ name, message });
+  // Until a peer's welcome arrives its capabilities are unknown and everything is sent
+  supports({ peerId, type }) {
+    const info = this.peerInfo.get(peerId);
+    if (!info || !Array.isArray(info.capabilities)) return true;
+    return info.capabilities.includes(type);
+  }
 
-    this.logger.info(`📢 Broadcasting to ${this.connections.size} peers: ${message}`);
+  // Peers that predate encryption would reject a broadcast carrying ciphertext
+  canReceiveBroadcast({ peerId, message }) {
+    if (!this.supports({ peerId, type: "broadcast" })) return false;
+    return !message.ciphertext || this.supports({ peerId, type: "encryption" });
+  }
 
-    for (const [peerId, conn] of this.connections) {
+  // Counts messages that failed validation; a peer that keeps sending them is disconnected
+  recordInvalidMessage({ peerId, reason }) {
+    const info = this.peerInfo.get(peerId);
+    if (!info) return;
+
+    info.invalidMessages++;
+    this.logger.debug(`Peer ${peerId} sent ${info.invalidMessages} invalid messages`, { reason });
+
+    if (info.invalidMessages >= this.maxInvalidMessages) {
+      this.disconnectPeer({ peerId, reason: `too many invalid messages (last: ${reason})` });
+    }
+  }
+
+  // Counts messages dropped for exceeding the peer's rate limit. Only the first
+  // drop is a warning so a flood does not turn into a flood of log lines.
+  recordRateLimited({ peerId, type }) {
+    const info = this.peerInfo.get(peerId);
+    if (!info) return;
+
+    const now = this.now();
+    const recent = info.recentRateLimited;
+    while (recent.length && now - recent[0] >= this.rateLimitWindow) recent.shift();
+    recent.push(now);
+
+    info.rateLimited++;
+    if (recent.length === 1) {
+      this.logger.warn(`⚠️  Peer ${peerId} is sending too fast, dropping ${type} messages`);
+    }
+
+    if (recent.length === this.maxRateLimited) {
+      this.disconnectPeer({
+        peerId,
+        reason: `rate limit exceeded (${recent.length} messages dropped in ${this.rateLimitWindow / 1000}s)`,
+      });
+    }
+  }
+
+  // Tells the peer why before hanging up, so both logs show the reason
+  disconnectPeer({ peerId, reason }) {
+    const conn = this.connections.get(peerId);
+    if (!conn) return;
+
+    this.logger.warn(`Disconnecting peer ${peerId}: ${reason}`);
+    this.sendToPeer({ peerId, message: this.messageHandler.createDisconnectMessage({ name: this.messageHandler.name, reason }) });
+    try {
+      conn.end();
+    } catch (err) {
+      this.logger.error(`Error closing connection to peer ${peerId}:`, { error: err.message });
+    }
+  }
+
+  // A peer shares a topic if it announced it; peers that have not announced
+  // their topics yet (or predate channels) are assumed to share every topic
+  sharesTopic({ peerId, topicHex }) {
+    const info = this.peerInfo.get(peerId);
+    if (!topicHex || !info || !Array.isArray(info.topics)) return true;
+    return info.topics.includes(topicHex);
+  }
+
+  getPeersInTopic({ topicHex }) {
+    return [...this.connections.keys()].filter((peerId) => this.sharesTopic({ peerId, topicHex }));
+  }
+
+  broadcast({ message, name, topic = null }) {
+    const broadcastMsg = this.messageHandler.createBroadcastMessage({ name, message, topic });
+    const recipients = this.getPeersInTopic({ topicHex: topic }).filter((peerId) =>
+      this.canReceiveBroadcast({ peerId, message: broadcastMsg }),
+    );
+
+    this.logger.info(`📢 Broadcasting to ${recipients.length} peers: ${message}`);
+
+    for (const peerId of recipients) {
+      const conn = this.connections.get(peerId);
       try {
-        conn.write(JSON.stringify(broadcastMsg));
+        this.writeMessage({ connection: conn, message: broadcastMsg });
       } catch (err) {
         this.logger.error(`Failed to broadcast to peer ${peerId}:`, { error: err.message });
       }
     }
+
+    return { id: broadcastMsg.id, recipients };
   }
 
-  pingAllPeers({ name }) {
-    const pingMsg = this.messageHandler.createPingMessage({ name });
+  // Background pings are only logged at debug level. Each call gets a fresh
+  // ping ID, so pings sent in the same millisecond are still told apart.
+  pingAllPeers({ name, background = false }) {
+    const pings = {
+      tracked: this.messageHandler.createPingMessage({ name, tracked: true }),
+      legacy: this.messageHandler.createPingMessage({ name }),
+    };
+    const recipients = [...this.connections.keys()].filter((peerId) => this.supports({ peerId, type: "ping" }));
 
-    this.logger.info(`🏓 Pinging ${this.connections.size} peers...`);
+    if (background) {
+      this.logger.debug(`🏓 Background ping to ${recipients.length} peers`);
+    } else {
+      this.logger.info(`🏓 Pinging ${recipients.length} peers...`);
+    }
 
-    for (const [peerId, conn] of this.connections) {
+    for (const peerId of recipients) {
       try {
-        conn.write(JSON.stringify(pingMsg));
+        const pingMsg = this.supports({ peerId, type: "ping-id" }) ? pings.tracked : pings.legacy;
+        this.messageHandler.latency.ping({ peerId, id: pingMsg.id ?? pingMsg.timestamp, background });
+        this.writeMessage({ connection: this.connections.get(peerId), message: pingMsg });
       } catch (err) {
         this.logger.error(`Failed to ping peer ${peerId}:`, { error: err.message });
       }
     }
+
+    return recipients;
+  }
+
+  // Keeps quiet connections alive in the eyes of peers that evict idle ones
+  sendHeartbeats({ name }) {
+    const heartbeatMsg = this.messageHandler.createHeartbeatMessage({ name });
+
+    for (const [peerId, conn] of this.connections) {
+      if (!this.supports({ peerId, type: "heartbeat" })) continue;
+      try {
+        this.writeMessage({ connection: conn, message: heartbeatMsg });
+      } catch (err) {
+        this.logger.error(`Failed to send heartbeat to peer ${peerId}:`, { error: err.message });
+      }
+    }
+  }
+
+  // Evicts peers we have not heard from in idleTimeout milliseconds. Peers
+  // that predate heartbeats may be silent for good reason and are left alone.
+  evictIdlePeers({ idleTimeout }) {
+    const now = Date.now();
+    const evicted = [];
+
+    for (const [peerId, info] of this.peerInfo) {
+      // Until its welcome arrives we cannot tell whether the peer sends heartbeats
+      if (!Array.isArray(info.capabilities) || !info.capabilities.includes("heartbeat")) continue;
+
+      const idle = now - info.lastSeen;
+      if (idle > idleTimeout) {
+        this.evictPeer({
+          peerId,
+          reason: `no data for ${Math.round(idle / 1000)}s (idle timeout ${idleTimeout / 1000}s)`,
+        });
+        evicted.push(peerId);
+      }
+    }
+
+    return evicted;
+  }
+
+  // A silent peer will not read a disconnect message or answer a graceful
+  // close, so the connection is destroyed and forgotten at once. Reconnecting
+  // is left to the swarm.
+  evictPeer({ peerId, reason }) {
+    const conn = this.connections.get(peerId);
+    if (!conn) return;
+
+    this.logger.warn(`💤 Evicting peer ${peerId}: ${reason}`);
+    // Forgotten first, so the close event it causes is not handled twice
+    this.onConnectionClose({ peerId, reason: `evicted: ${reason}` });
+    try {
+      if (typeof conn.destroy === "function") {
+        conn.destroy();
+      } else {
+        conn.end();
+      }
+    } catch (err) {
+      this.logger.error(`Error closing connection to peer ${peerId}:`, { error: err.message });
+    }
+  }
+
+  updatePeerInfo({ peerId, name, ...fields }) {
+    const info = this.peerInfo.get(peerId);
+    if (info) {
+      Object.assign(info, fields);
+      if (name !== undefined) {
+        this.setPeerName({ peerId, name });
+      }
+    }
+  }
+
+  // Records the name a peer announced, warns when another key already uses
+  // it, and reports renames
+  setPeerName({ peerId, name }) {
+    const info = this.peerInfo.get(peerId);
+    if (!info) return;
+
+    const previous = info.name;
+    info.name = name;
+    const publicKey = this.getPeerKey({ peerId });
+    if (!publicKey) return;
+
+    this.nameDirectory.set({ publicKey, name });
+    const clashes = this.nameDirectory.clashesFor({ publicKey });
+    if (clashes.length > 0 && name !== previous) {
+      const others = clashes.map((key) => (key === this.selfKey ? "this peer" : this.getPeerIdForKey({ publicKey: key }) || key));
+      this.logger.warn(`⚠️  Name clash: ${peerId} announced "${name}", which is also used by ${others.join(", ")}`);
+    }
+
+    if (previous && previous !== name) {
+      this.emit("peerRenamed", { peerId, publicKey, previous, name });
+    }
+  }
+
+  getPeerName({ peerId }) {
+    const info = this.peerInfo.get(peerId);
+    return info ? info.name : null;
+  }
+
+  // Whether a different key announced the same name as this peer
+  hasNameClash({ peerId }) {
+    const publicKey = this.getPeerKey({ peerId });
+    return Boolean(publicKey) && this.nameDirectory.clashesFor({ publicKey }).length > 0;
+  }
+
+  getPeerInfo({ peerId }) {
+    return this.peerInfo.get(peerId) || null;
+  }
+
+  // Matches an exact peer ID first, then a peer ID prefix, then an announced name
+  findPeers({ query }) {
+    if (this.connections.has(query)) {
+      return [query];
+    }
+
+    const byPrefix = [...this.connections.keys()].filter((peerId) => peerId.startsWith(query));
+    if (byPrefix.length > 0) {
+      return byPrefix;
+    }
+
+    return [...this.peerInfo.entries()]
+      .filter(([, info]) => info.name === query)
+      .map(([peerId]) => peerId);
+  }
+
+  // Forwards a gossiped broadcast to every peer on its channel except the one
+  // it came from and its author
+  relayBroadcast({ message, fromPeerId }) {
+    const recipients = this.getPeersInTopic({ topicHex: message.topic }).filter((peerId) => {
+      if (peerId === fromPeerId || !this.canReceiveBroadcast({ peerId, message })) return false;
+      const conn = this.connections.get(peerId);
+      return !conn.remotePublicKey || b4a.toString(conn.remotePublicKey, "hex") !== message.origin;
+    });
+
+    for (const peerId of recipients) {
+      try {
+        this.writeMessage({ connection: this.connections.get(peerId), message });
+      } catch (err) {
+        this.logger.error(`Failed to relay broadcast to peer ${peerId}:`, { error: err.message });
+      }
+    }
+
+    if (recipients.length > 0) {
+      this.logger.debug(`🔁 Relayed broadcast ${message.id} to ${recipients.length} peers`, {
+        ttl: message.ttl,
+        hops: message.hops,
+      });
+    }
+  }
+
+  announceTopics({ name, topics }) {
+    const topicsMsg = this.messageHandler.createTopicsMessage({ name, topics });
+
+    for (const [peerId, conn] of this.connections) {
+      if (!this.supports({ peerId, type: "topics" })) continue;
+      try {
+        this.writeMessage({ connection: conn, message: topicsMsg });
+      } catch (err) {
+        this.logger.error(`Failed to announce topics to peer ${peerId}:`, { error: err.message });
+      }
+    }
+  }
+
+  getConnection({ peerId }) {
+    return this.connections.get(peerId) || null;
+  }
+
+  getPeerKey({ peerId }) {
+    const conn = this.connections.get(peerId);
+    return conn && conn.remotePublicKey ? b4a.toString(conn.remotePublicKey, "hex") : null;
   }
 
   getConnectionsSize() {
@@ -108,6 +637,10 @@ class ConnectionManager {
   }
 
   closeAllConnections() {
+    for (const peerId of [...this.pendingConnections.keys()]) {
+      this.refusePending({ peerId, reason: "shutting down" });
+    }
+
     for (const [peerId, conn] of this.connections) {
       try {
         conn.end();
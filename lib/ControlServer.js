@@ -0,0 +1,210 @@
+import http from "http";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+const MAX_BODY_SIZE = 64 * 1024;
+
+// HTTP statuses for the error codes thrown by HyperswarmPeer
+const STATUS_BY_CODE = {
+  INVALID_ARGUMENT: 400,
+  PEER_NOT_FOUND: 404,
+  CHANNEL_NOT_FOUND: 404,
+  BAN_NOT_FOUND: 404,
+  KEY_NOT_FOUND: 404,
+  OUTBOX_NOT_FOUND: 404,
+  PEER_AMBIGUOUS: 409,
+  ALLOWLIST_DISABLED: 409,
+};
+
+// Localhost HTTP/JSON server that lets scripts and dashboards operate a
+// running peer. Routing and JSON handling live here; the actual work is done
+// by the peer's library API.
+//
+// Listening on loopback alone does not keep browsers out: any web page can
+// send requests to it, and DNS rebinding lets one read the answers. Requests
+// must therefore name us in Host, carry no Origin, send JSON bodies as
+// application/json, and present the token when one is set.
+class ControlServer {
+  constructor({ logger, port, host = "127.0.0.1", peer, token = null }) {
+    this.logger = logger;
+    this.port = port;
+    this.host = host;
+    this.peer = peer;
+    this.token = token;
+    this.server = null;
+
+    this.routes = {
+      "GET /status": () => this.peer.getStatus(),
+      "GET /peers": () => ({ peers: this.peer.getPeers() }),
+      "GET /stats": ({ query }) => ({ stats: this.peer.getStats({ peer: query.get("peer") }) }),
+      "GET /topics": () => ({ channels: this.peer.getChannels() }),
+      "GET /history": ({ query }) => ({
+        total: this.peer.messageHistory.length,
+        messages: this.peer.getHistory({
+          limit: query.get("limit") ?? undefined,
+          before: query.get("before"),
+          topic: query.get("topic"),
+        }),
+      }),
+      "POST /broadcast": ({ body }) => this.peer.broadcast({ message: body.message, topic: body.topic }),
+      "POST /send": ({ body }) => this.peer.sendMessage({ peer: body.peer, message: body.message }),
+      "GET /outbox": () => ({ messages: this.peer.getOutbox() }),
+      "POST /outbox/cancel": ({ body }) => this.peer.cancelQueued({ id: body.id }),
+      "POST /ping": () => ({ peers: this.peer.pingAllPeers() }),
+      "POST /nick": ({ body }) => this.peer.nick({ name: body.name }),
+      "POST /discover": () => this.peer.discover(),
+      "POST /away": ({ body }) => this.peer.setAway({ reason: body.reason ?? null }),
+      "POST /back": () => this.peer.setBack(),
+      "POST /status-msg": ({ body }) => this.peer.setStatusMessage({ text: body.text ?? null }),
+      "POST /join": ({ body }) => this.peer.join({ room: body.room, topic: body.topic, secret: body.secret }),
+      "POST /leave": ({ body }) => this.peer.leave({ topic: body.topic }),
+      "GET /bans": () => ({ bans: this.peer.getBans() }),
+      "POST /ban": ({ body }) => this.peer.banPeer({ peer: body.peer, reason: body.reason }),
+      "POST /unban": ({ body }) => this.peer.unbanPeer({ query: body.peer }),
+      "GET /allowlist": () => this.peer.getAllowList(),
+      "POST /allow": ({ body }) => this.peer.allowKey({ publicKey: body.publicKey, name: body.name }),
+      "POST /revoke": ({ body }) => this.peer.revokeKey({ query: body.peer }),
+      "POST /invite": ({ body }) => this.peer.createInvite({ hours: body.hours }),
+    };
+  }
+
+  // Errors thrown with a status are reported to the client as-is
+  static httpError({ status, message }) {
+    return Object.assign(new Error(message), { status });
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest({ req, res });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off("error", reject);
+        this.port = this.server.address().port;
+        this.logger.success(`🎛️  Control API listening on http://${this.host}:${this.port}`);
+        resolve(this.port);
+      });
+    });
+  }
+
+  close() {
+    if (!this.server) return Promise.resolve();
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  async handleRequest({ req, res }) {
+    const url = new URL(req.url, `http://${this.host}`);
+    const route = this.routes[`${req.method} ${url.pathname}`];
+
+    try {
+      this.checkRequest({ req });
+
+      if (!route) {
+        const known = Object.keys(this.routes).some((key) => key.endsWith(` ${url.pathname}`));
+        throw ControlServer.httpError({
+          status: known ? 405 : 404,
+          message: known ? `Method ${req.method} not allowed on ${url.pathname}` : `Unknown endpoint ${url.pathname}`,
+        });
+      }
+
+      const body = req.method === "POST" ? await this.readBody({ req }) : {};
+      const result = await route({ query: url.searchParams, body });
+      this.respond({ res, status: 200, payload: result || {} });
+    } catch (err) {
+      const status = err.status || STATUS_BY_CODE[err.code] || 500;
+      if (status === 500) {
+        this.logger.error(`Control API ${req.method} ${url.pathname} failed:`, { error: err.message });
+      }
+      this.respond({ res, status, payload: { error: err.message } });
+    }
+  }
+
+  checkRequest({ req }) {
+    const allowedHosts = [`127.0.0.1:${this.port}`, `localhost:${this.port}`];
+    if (!allowedHosts.includes(req.headers.host)) {
+      throw ControlServer.httpError({ status: 403, message: `Host ${req.headers.host ?? "(none)"} not allowed` });
+    }
+    if (req.headers.origin !== undefined) {
+      throw ControlServer.httpError({ status: 403, message: "Cross-origin requests are not allowed" });
+    }
+    if (this.token && !ControlServer.tokenMatches({ header: req.headers.authorization, token: this.token })) {
+      throw ControlServer.httpError({ status: 401, message: "Missing or invalid token" });
+    }
+
+    const type = (req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+    if (req.method === "POST" && type !== "application/json") {
+      throw ControlServer.httpError({ status: 415, message: "Content-Type must be application/json" });
+    }
+  }
+
+  static tokenMatches({ header, token }) {
+    const match = /^Bearer (\S+)$/.exec(header || "");
+    if (!match) return false;
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  // The token lives in the data dir, readable only by its owner, so scripts
+  // running as the same user can read it and nobody else can
+  static loadOrCreateToken({ file }) {
+    if (fs.existsSync(file)) {
+      const token = fs.readFileSync(file, "utf8").trim();
+      if (token) return token;
+    }
+
+    const token = crypto.randomBytes(32).toString("hex");
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, token + "\n", { mode: 0o600 });
+    return token;
+  }
+
+  readBody({ req }) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+
+      req.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          reject(ControlServer.httpError({ status: 413, message: "Request body too large" }));
+          req.removeAllListeners("data");
+          req.resume();
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      req.on("end", () => {
+        const text = Buffer.concat(chunks).toString("utf8").trim();
+        if (!text) return resolve({});
+
+        try {
+          const body = JSON.parse(text);
+          if (body === null || typeof body !== "object" || Array.isArray(body)) {
+            throw new Error("not an object");
+          }
+          resolve(body);
+        } catch {
+          reject(ControlServer.httpError({ status: 400, message: "Request body must be a JSON object" }));
+        }
+      });
+
+      req.on("error", reject);
+    });
+  }
+
+  respond({ res, status, payload }) {
+    if (res.headersSent || res.destroyed) return;
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(payload) + "\n");
+  }
+}
+
+export default ControlServer;
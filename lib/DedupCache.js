@@ -0,0 +1,29 @@
+// Remembers recently seen message IDs, evicting the oldest once full
+class DedupCache {
+  constructor({ maxSize = 1024 } = {}) {
+    this.maxSize = maxSize;
+    this.entries = new Map();
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  // Returns false if the ID was already known
+  add(id) {
+    if (this.entries.has(id)) return false;
+
+    this.entries.set(id, Date.now());
+    if (this.entries.size > this.maxSize) {
+      const [oldest] = this.entries.keys();
+      this.entries.delete(oldest);
+    }
+    return true;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+export default DedupCache;
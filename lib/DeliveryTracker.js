@@ -0,0 +1,69 @@
+// A direct message without an ack after this long is sent again
+const DEFAULT_TIMEOUT = 5 * 1000;
+// Sends in total, including the first, before a message counts as failed
+const DEFAULT_ATTEMPTS = 3;
+
+// Direct messages waiting for the recipient's ack. Writing to a connection
+// only means the bytes were queued, so every tracked message is resent until
+// the peer it was sent to acknowledges it, or given up on after the last
+// attempt. onSettled is called once per message, with "delivered" or "failed".
+class DeliveryTracker {
+  constructor({ resend, onSettled, timeout = DEFAULT_TIMEOUT, attempts = DEFAULT_ATTEMPTS }) {
+    this.resend = resend;
+    this.onSettled = onSettled;
+    this.timeout = timeout;
+    this.attempts = attempts;
+    // message id -> { peerId, message, entry, attempts, timer }
+    this.pending = new Map();
+  }
+
+  // Call after the first send; entry is the history entry whose delivery field is kept up to date
+  track({ peerId, message, entry }) {
+    entry.delivery = "pending";
+    const item = { peerId, message, entry, attempts: 1, timer: null };
+    this.pending.set(message.id, item);
+    this.schedule({ item });
+  }
+
+  schedule({ item }) {
+    item.timer = setTimeout(() => this.retry({ item }), this.timeout);
+  }
+
+  retry({ item }) {
+    if (item.attempts >= this.attempts) {
+      this.settle({ item, delivery: "failed" });
+      return;
+    }
+
+    item.attempts++;
+    this.resend({ peerId: item.peerId, message: item.message, attempt: item.attempts });
+    this.schedule({ item });
+  }
+
+  // Only the peer a message went to can acknowledge it; returns the settled entry or null
+  ack({ peerId, id }) {
+    const item = this.pending.get(id);
+    if (!item || item.peerId !== peerId) return null;
+
+    this.settle({ item, delivery: "delivered" });
+    return item.entry;
+  }
+
+  settle({ item, delivery }) {
+    clearTimeout(item.timer);
+    this.pending.delete(item.message.id);
+    item.entry.delivery = delivery;
+    this.onSettled({ entry: item.entry, attempts: item.attempts });
+  }
+
+  // Messages still pending when we shut down are left as they are
+  stop() {
+    for (const item of this.pending.values()) {
+      clearTimeout(item.timer);
+    }
+    this.pending.clear();
+  }
+}
+
+export { DEFAULT_TIMEOUT, DEFAULT_ATTEMPTS };
+export default DeliveryTracker;
@@ -0,0 +1,162 @@
+// While no peer is connected the topics are re-announced and looked up again,
+// waiting twice as long after every attempt that finds nobody
+const MIN_RETRY = 5 * 1000;
+const MAX_RETRY = 5 * 60 * 1000;
+
+// Supervises peer discovery for as long as the peer runs. Hyperswarm announces
+// a topic once on join and only refreshes it slowly, so a peer that starts
+// alone can stay alone; this keeps refreshing with backoff until a peer
+// connects, and starts over when the last one leaves. Every change between
+// "searching" and "connected" is emitted as a "discovery" event.
+class DiscoveryMonitor {
+  constructor({
+    logger,
+    swarm,
+    channelManager,
+    getConnectionsSize,
+    events = null,
+    minRetry = MIN_RETRY,
+    maxRetry = MAX_RETRY,
+  }) {
+    this.logger = logger;
+    this.swarm = swarm;
+    this.channelManager = channelManager;
+    this.getConnectionsSize = getConnectionsSize;
+    this.events = events;
+    this.minRetry = minRetry;
+    this.maxRetry = maxRetry;
+
+    // null until started, then "searching" or "connected"
+    this.state = null;
+    this.since = null;
+    // Refreshes since we were last connected
+    this.attempts = 0;
+    this.lastResult = null;
+    this.retryDelay = minRetry;
+    this.nextAttemptAt = null;
+    this.timer = null;
+    this.refreshing = null;
+  }
+
+  emit(event, payload) {
+    if (this.events) {
+      this.events.emit(event, payload);
+    }
+  }
+
+  start() {
+    this.setState({ state: this.getConnectionsSize() > 0 ? "connected" : "searching", announce: false });
+  }
+
+  stop() {
+    this.state = null;
+    this.clearTimer();
+  }
+
+  // Called whenever a peer connects or disconnects
+  update() {
+    if (!this.state) return;
+
+    const state = this.getConnectionsSize() > 0 ? "connected" : "searching";
+    if (state !== this.state) {
+      this.setState({ state, announce: true });
+    }
+  }
+
+  setState({ state, announce }) {
+    this.state = state;
+    this.since = Date.now();
+    this.clearTimer();
+
+    if (state === "searching") {
+      this.attempts = 0;
+      this.retryDelay = this.minRetry;
+      this.schedule();
+    }
+
+    if (!announce) return;
+    const connectedPeers = this.getConnectionsSize();
+    if (state === "connected") {
+      this.logger.success(`📡 Found peers, ${connectedPeers} connected`);
+    } else {
+      this.logger.warn("📡 No peers connected any more, searching again");
+    }
+    this.emit("discovery", { state, connectedPeers, attempts: this.attempts });
+  }
+
+  schedule() {
+    this.nextAttemptAt = Date.now() + this.retryDelay;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.refresh().catch((err) => {
+        this.logger.error("Error in peer discovery:", { error: err.message });
+      });
+    }, this.retryDelay);
+  }
+
+  clearTimer() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextAttemptAt = null;
+  }
+
+  // Re-announces and looks up every joined topic now. A refresh already in
+  // progress is joined rather than started twice.
+  async refresh() {
+    if (!this.refreshing) {
+      this.clearTimer();
+      this.attempts++;
+      this.refreshing = this.refreshTopics().finally(() => {
+        this.refreshing = null;
+      });
+
+      this.lastResult = await this.refreshing;
+      if (this.state === "searching") {
+        this.retryDelay = Math.min(this.retryDelay * 2, this.maxRetry);
+        this.schedule();
+      }
+      this.logResult();
+    } else {
+      await this.refreshing;
+    }
+
+    return this.getStatus();
+  }
+
+  async refreshTopics() {
+    const channels = this.channelManager.getChannels();
+    let error = null;
+    try {
+      await Promise.all(channels.map((channel) => channel.discovery.refresh({ client: true, server: true })));
+    } catch (err) {
+      error = err.message;
+    }
+    return { at: Date.now(), topics: channels.length, peersSeen: this.swarm.peers.size, error };
+  }
+
+  logResult() {
+    const { topics, peersSeen, error } = this.lastResult;
+    if (error) {
+      this.logger.warn(`🔍 Discovery attempt ${this.attempts} failed: ${error}`);
+    } else if (this.state === "searching") {
+      this.logger.info(
+        `🔍 Still searching for peers (attempt ${this.attempts}, ${peersSeen} peers seen on ${topics} topics), ` +
+          `next try in ${Math.round(this.retryDelay / 1000)}s`,
+      );
+    } else {
+      this.logger.debug(`Discovery refreshed: ${peersSeen} peers seen on ${topics} topics`);
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      since: this.since,
+      attempts: this.attempts,
+      nextAttemptAt: this.nextAttemptAt,
+      lastResult: this.lastResult,
+    };
+  }
+}
+
+export default DiscoveryMonitor;
@@ -1,4 +1,6 @@
 import b4a from "b4a";
+import readline from "readline";
+import process from "process";
 import { EventEmitter } from "events";
 
 class EventHandler extends EventEmitter {
@@ -8,38 +10,54 @@ class EventHandler extends EventEmitter {
   }
 
   setupSwarmEventHandlers({ swarm, connectionManager }) {
-    swarm.on("connection", (conn, info) => {
-      connectionManager.handleConnection({ connection: conn, info });
-    });
-
-    swarm.on("update", () => {
-      this.onSwarmUpdate({ swarm });
-    });
-
-    swarm.on("peer-add", (peer) => {
-      this.onPeerAdd({ peer });
-    });
-
-    swarm.on("peer-remove", (peer) => {
-      this.onPeerRemove({ peer });
-    });
+    // Kept so they can be removed again from a swarm we do not own
+    this.swarmHandlers = {
+      connection: (conn, info) => connectionManager.handleConnection({ connection: conn, info }),
+      update: () => this.onSwarmUpdate({ swarm }),
+      "peer-add": (peer) => this.onPeerAdd({ peer }),
+      "peer-remove": (peer) => this.onPeerRemove({ peer }),
+      connect: (socket, info) => this.onSwarmConnect({ socket, info }),
+      disconnect: (socket, info) => this.onSwarmDisconnect({ socket, info }),
+    };
 
-    swarm.on("connect", (socket, info) => {
-      this.onSwarmConnect({ socket, info });
-    });
+    for (const [event, handler] of Object.entries(this.swarmHandlers)) {
+      swarm.on(event, handler);
+    }
+  }
 
-    swarm.on("disconnect", (socket, info) => {
-      this.onSwarmDisconnect({ socket, info });
-    });
+  removeSwarmEventHandlers({ swarm }) {
+    for (const [event, handler] of Object.entries(this.swarmHandlers || {})) {
+      swarm.off(event, handler);
+    }
+    this.swarmHandlers = null;
   }
 
-  setupStdinEventHandlers() {
-    if (process.stdin.isTTY) {
-      process.stdin.setEncoding("utf8");
-      process.stdin.on("data", (data) => {
-        this.emit("userInput", { input: data.toString().trim() });
+  // Headless mode reads any input stream (pipes, files, sockets) one line at a
+  // time. Returns a function that stops reading.
+  setupStdinEventHandlers({ input = process.stdin, headless = false } = {}) {
+    if (headless) {
+      const lines = readline.createInterface({ input, terminal: false });
+      lines.on("line", (line) => {
+        this.emit("userInput", { input: line.trim() });
       });
+      lines.on("close", () => {
+        this.emit("inputClosed");
+      });
+      return () => lines.close();
     }
+
+    if (!input.isTTY) return () => {};
+
+    const onData = (data) => {
+      this.emit("userInput", { input: data.toString().trim() });
+    };
+    input.setEncoding("utf8");
+    input.on("data", onData);
+
+    return () => {
+      input.off("data", onData);
+      input.pause();
+    };
   }
 
   onSwarmUpdate({ swarm }) {
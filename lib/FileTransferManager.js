@@ -0,0 +1,395 @@
+import fs from "fs";
+import path from "path";
+import { once } from "events";
+import { createHash } from "crypto";
+import crypto from "hypercore-crypto";
+import b4a from "b4a";
+
+const CHUNK_SIZE = 16 * 1024;
+
+// Offers, streams and receives files over existing peer connections.
+//
+// The sender offers a file (file-offer), the receiver answers with file-accept
+// (carrying the byte offset to start from) or file-reject, the sender streams
+// file-chunk messages and the receiver confirms with file-complete once the
+// SHA-256 hash matches. Transfers are tied to the peer's public key, so when a
+// peer reconnects the receiver re-sends file-accept with the bytes it already
+// has and the sender resumes from there.
+class FileTransferManager {
+  constructor({ logger, messageHandler, connectionManager, downloadDir }) {
+    this.logger = logger;
+    this.messageHandler = messageHandler;
+    this.connectionManager = connectionManager;
+    this.downloadDir = downloadDir;
+    this.outgoing = new Map();
+    this.incoming = new Map();
+  }
+
+  async offerFile({ peerId, filePath }) {
+    if (!this.connectionManager.supports({ peerId, type: "file-offer" })) {
+      throw new Error(`Peer ${peerId} does not support file transfer`);
+    }
+
+    const stat = await fs.promises.stat(filePath);
+    if (!stat.isFile()) {
+      throw new Error(`${filePath} is not a regular file`);
+    }
+
+    const transfer = {
+      transferId: b4a.toString(crypto.randomBytes(8), "hex"),
+      peerId,
+      peerKey: this.connectionManager.getPeerKey({ peerId }),
+      filePath,
+      fileName: path.basename(filePath),
+      size: stat.size,
+      hash: await this.hashFile({ filePath }),
+      offset: 0,
+      status: "offered",
+      streaming: false,
+      lastReported: 0,
+    };
+    this.outgoing.set(transfer.transferId, transfer);
+
+    this.send({
+      peerId,
+      message: {
+        type: "file-offer",
+        transferId: transfer.transferId,
+        fileName: transfer.fileName,
+        size: transfer.size,
+        hash: transfer.hash,
+      },
+    });
+
+    this.logger.info(`📦 Offered ${transfer.fileName} (${this.formatBytes(transfer.size)}) to ${peerId} [${transfer.transferId}]`);
+    return transfer;
+  }
+
+  acceptTransfer({ transferId }) {
+    const transfer = this.incoming.get(transferId);
+    if (!transfer || transfer.status !== "pending") return null;
+
+    fs.mkdirSync(this.downloadDir, { recursive: true });
+    fs.writeFileSync(transfer.partPath, "");
+    transfer.status = "receiving";
+
+    this.send({
+      peerId: transfer.peerId,
+      message: { type: "file-accept", transferId, offset: 0 },
+    });
+
+    this.logger.info(`📥 Accepted ${transfer.fileName} from ${transfer.peerId}`);
+
+    // Nothing will be streamed for an empty file
+    if (transfer.size === 0) {
+      this.finishIncoming({ transfer }).catch((err) => {
+        this.failIncoming({ transfer, reason: err.message });
+      });
+    }
+    return transfer;
+  }
+
+  rejectTransfer({ transferId }) {
+    const transfer = this.incoming.get(transferId);
+    if (!transfer || transfer.status !== "pending") return null;
+
+    this.incoming.delete(transferId);
+    this.send({
+      peerId: transfer.peerId,
+      message: { type: "file-reject", transferId, reason: "declined" },
+    });
+
+    this.logger.info(`🚫 Rejected ${transfer.fileName} from ${transfer.peerId}`);
+    return transfer;
+  }
+
+  // Finds a transfer by ID prefix, or the only pending one when no ID is given
+  findPendingIncoming({ query }) {
+    const pending = [...this.incoming.values()].filter((transfer) => transfer.status === "pending");
+    if (!query) {
+      return pending.length === 1 ? pending[0] : null;
+    }
+
+    const matches = pending.filter((transfer) => transfer.transferId.startsWith(query));
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  getTransfers() {
+    return {
+      outgoing: [...this.outgoing.values()],
+      incoming: [...this.incoming.values()],
+    };
+  }
+
+  handleMessage({ peerId, message }) {
+    const peerKey = this.connectionManager.getPeerKey({ peerId });
+
+    switch (message.type) {
+      case "file-offer":
+        this.handleOffer({ peerId, peerKey, message });
+        break;
+      case "file-accept":
+        this.handleAccept({ peerId, peerKey, message });
+        break;
+      case "file-reject":
+        this.handleReject({ peerKey, message });
+        break;
+      case "file-chunk":
+        this.handleChunk({ peerKey, message });
+        break;
+      case "file-complete":
+        this.handleComplete({ peerKey, message });
+        break;
+      default:
+        this.logger.warn(`Unknown file transfer message: ${message.type}`);
+    }
+  }
+
+  handleOffer({ peerId, peerKey, message }) {
+    const fileName = this.sanitizeFileName({ fileName: message.fileName });
+    const validId = typeof message.transferId === "string" && /^[0-9a-f]{16}$/.test(message.transferId);
+    if (!validId || !fileName || !Number.isInteger(message.size) || message.size < 0 || typeof message.hash !== "string") {
+      this.logger.warn(`Ignoring malformed file offer from ${peerId}`);
+      return;
+    }
+
+    // Without a download directory there is nowhere to put the file, so the sender is told at once
+    if (!this.downloadDir) {
+      this.logger.warn(`⚠️  Rejected ${fileName} from ${peerId}: no download directory; set downloads or dataDir`);
+      this.send({
+        peerId,
+        message: { type: "file-reject", transferId: message.transferId, reason: "no download directory" },
+      });
+      return;
+    }
+
+    this.incoming.set(message.transferId, {
+      transferId: message.transferId,
+      peerId,
+      peerKey,
+      fileName,
+      size: message.size,
+      hash: message.hash,
+      received: 0,
+      status: "pending",
+      partPath: path.join(this.downloadDir, `${message.transferId}.part`),
+      lastReported: 0,
+    });
+
+    this.logger.info(
+      `📦 ${peerId} offers ${fileName} (${this.formatBytes(message.size)}). ` +
+        `Type /accept ${message.transferId.substring(0, 8)} or /reject ${message.transferId.substring(0, 8)}`,
+    );
+  }
+
+  handleAccept({ peerId, peerKey, message }) {
+    const transfer = this.outgoing.get(message.transferId);
+    if (!transfer || transfer.peerKey !== peerKey) return;
+    if (!Number.isInteger(message.offset) || message.offset < 0 || message.offset > transfer.size) return;
+
+    transfer.peerId = peerId;
+    transfer.offset = message.offset;
+    transfer.status = "sending";
+
+    if (message.offset > 0) {
+      this.logger.info(`🔄 Resuming ${transfer.fileName} to ${peerId} at ${this.formatBytes(message.offset)}`);
+    }
+
+    this.streamFile({ transfer }).catch((err) => {
+      transfer.status = "failed";
+      this.logger.error(`Failed to send ${transfer.fileName}:`, { error: err.message });
+    });
+  }
+
+  handleReject({ peerKey, message }) {
+    const transfer = this.outgoing.get(message.transferId);
+    if (!transfer || transfer.peerKey !== peerKey) return;
+
+    transfer.status = "rejected";
+    this.logger.warn(`🚫 ${transfer.peerId} rejected ${transfer.fileName}${message.reason ? `: ${message.reason}` : ""}`);
+  }
+
+  handleChunk({ peerKey, message }) {
+    const transfer = this.incoming.get(message.transferId);
+    if (!transfer || transfer.peerKey !== peerKey || transfer.status !== "receiving") return;
+
+    // Chunks are written strictly in order; anything else is a stale resend
+    if (message.offset !== transfer.received) {
+      this.logger.debug(`Skipping out-of-order chunk for ${transfer.fileName}`, {
+        expected: transfer.received,
+        offset: message.offset,
+      });
+      return;
+    }
+
+    const data = b4a.from(message.data, "base64");
+    if (transfer.received + data.length > transfer.size) {
+      this.failIncoming({ transfer, reason: "received more data than offered" });
+      return;
+    }
+
+    fs.appendFileSync(transfer.partPath, data);
+    transfer.received += data.length;
+    this.reportProgress({ transfer, done: transfer.received, verb: "Receiving" });
+
+    if (transfer.received === transfer.size) {
+      this.finishIncoming({ transfer }).catch((err) => {
+        this.failIncoming({ transfer, reason: err.message });
+      });
+    }
+  }
+
+  handleComplete({ peerKey, message }) {
+    const transfer = this.outgoing.get(message.transferId);
+    if (!transfer || transfer.peerKey !== peerKey) return;
+
+    if (message.ok) {
+      transfer.status = "done";
+      this.logger.success(`✅ ${transfer.peerId} received ${transfer.fileName} (hash verified)`);
+    } else {
+      transfer.status = "failed";
+      this.logger.error(`❌ ${transfer.peerId} could not verify ${transfer.fileName}`);
+    }
+  }
+
+  async finishIncoming({ transfer }) {
+    transfer.status = "verifying";
+    const hash = await this.hashFile({ filePath: transfer.partPath });
+
+    if (hash !== transfer.hash) {
+      this.failIncoming({ transfer, reason: "hash mismatch" });
+      return;
+    }
+
+    const finalPath = this.uniquePath({ fileName: transfer.fileName });
+    await fs.promises.rename(transfer.partPath, finalPath);
+    transfer.status = "done";
+    transfer.finalPath = finalPath;
+
+    this.send({
+      peerId: transfer.peerId,
+      message: { type: "file-complete", transferId: transfer.transferId, ok: true },
+    });
+    this.logger.success(`✅ Received ${transfer.fileName} → ${finalPath}`);
+  }
+
+  failIncoming({ transfer, reason }) {
+    transfer.status = "failed";
+    fs.rmSync(transfer.partPath, { force: true });
+
+    this.send({
+      peerId: transfer.peerId,
+      message: { type: "file-complete", transferId: transfer.transferId, ok: false, reason },
+    });
+    this.logger.error(`❌ Transfer of ${transfer.fileName} failed: ${reason}`);
+  }
+
+  // Sends one chunk at a time and yields between chunks, so chat messages
+  // written to the same connection are interleaved instead of queued behind
+  // the whole file
+  async streamFile({ transfer }) {
+    if (transfer.streaming) return;
+    transfer.streaming = true;
+
+    const handle = await fs.promises.open(transfer.filePath, "r");
+    try {
+      while (transfer.offset < transfer.size) {
+        const connection = this.connectionManager.getConnection({ peerId: transfer.peerId });
+        if (!connection || transfer.status !== "sending") {
+          transfer.status = "paused";
+          this.logger.warn(`⏸️  Paused ${transfer.fileName} at ${this.formatBytes(transfer.offset)}; it resumes when the peer reconnects`);
+          return;
+        }
+
+        const length = Math.min(CHUNK_SIZE, transfer.size - transfer.offset);
+        const buffer = b4a.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, transfer.offset);
+
+        const flushed = this.send({
+          peerId: transfer.peerId,
+          message: {
+            type: "file-chunk",
+            transferId: transfer.transferId,
+            offset: transfer.offset,
+            data: b4a.toString(buffer.subarray(0, bytesRead), "base64"),
+          },
+        });
+        transfer.offset += bytesRead;
+        this.reportProgress({ transfer, done: transfer.offset, verb: "Sending" });
+
+        if (flushed === false) {
+          await Promise.race([once(connection, "drain"), once(connection, "close")]);
+        } else {
+          await new Promise((resolve) => setImmediate(resolve));
+        }
+      }
+      transfer.status = "sent";
+    } finally {
+      transfer.streaming = false;
+      await handle.close();
+    }
+  }
+
+  onPeerConnected({ peerId }) {
+    const peerKey = this.connectionManager.getPeerKey({ peerId });
+    if (!peerKey) return;
+
+    for (const transfer of this.incoming.values()) {
+      if (transfer.peerKey !== peerKey || transfer.status !== "receiving") continue;
+
+      transfer.peerId = peerId;
+      this.send({
+        peerId,
+        message: { type: "file-accept", transferId: transfer.transferId, offset: transfer.received },
+      });
+      this.logger.info(`🔄 Asking ${peerId} to resume ${transfer.fileName} at ${this.formatBytes(transfer.received)}`);
+    }
+  }
+
+  send({ peerId, message }) {
+    return this.connectionManager.sendToPeer({
+      peerId,
+      message: this.messageHandler.signMessage({ message: { ...message, timestamp: Date.now() } }),
+    });
+  }
+
+  reportProgress({ transfer, done, verb }) {
+    const percent = transfer.size === 0 ? 100 : Math.floor((done / transfer.size) * 100);
+    if (percent < transfer.lastReported + 10 && percent !== 100) return;
+
+    transfer.lastReported = percent;
+    this.logger.info(`📦 ${verb} ${transfer.fileName}: ${percent}% (${this.formatBytes(done)}/${this.formatBytes(transfer.size)})`);
+  }
+
+  async hashFile({ filePath }) {
+    const hash = createHash("sha256");
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    return hash.digest("hex");
+  }
+
+  // Keeps only the base name so a peer cannot write outside the download directory
+  sanitizeFileName({ fileName }) {
+    if (typeof fileName !== "string") return null;
+    const base = path.basename(fileName.replace(/\\/g, "/")).replace(/[\x00-\x1f]/g, "");
+    return base && base !== "." && base !== ".." ? base : null;
+  }
+
+  uniquePath({ fileName }) {
+    const { name, ext } = path.parse(fileName);
+    let candidate = path.join(this.downloadDir, fileName);
+    for (let i = 1; fs.existsSync(candidate); i++) {
+      candidate = path.join(this.downloadDir, `${name} (${i})${ext}`);
+    }
+    return candidate;
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+}
+
+export default FileTransferManager;
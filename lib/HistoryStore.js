@@ -0,0 +1,108 @@
+import fs from "fs";
+import path from "path";
+import b4a from "b4a";
+
+// Messages that are not scoped to a channel (direct messages, welcomes, pings)
+const DIRECT_KEY = "direct";
+
+// Append-only JSON-lines history, one file per topic. A sent direct message
+// is written as "pending" and its final delivery state follows as a separate
+// record, which load() folds back into the entry.
+class HistoryStore {
+  constructor({ logger, directory }) {
+    this.logger = logger;
+    this.directory = directory;
+    this.files = new Map();
+  }
+
+  // Opens the history file for a topic (or DIRECT_KEY when topic is omitted)
+  // and returns the entries saved in it. Without a directory nothing is saved.
+  open({ topic = null } = {}) {
+    if (!this.directory) return [];
+    const key = this.keyFor({ topic });
+    fs.mkdirSync(this.directory, { recursive: true });
+    this.files.set(key, path.join(this.directory, `${key}.jsonl`));
+    return this.load({ key });
+  }
+
+  close({ topic = null } = {}) {
+    this.files.delete(this.keyFor({ topic }));
+  }
+
+  keyFor({ topic }) {
+    if (!topic) return DIRECT_KEY;
+    return typeof topic === "string" ? topic : b4a.toString(topic, "hex");
+  }
+
+  load({ key }) {
+    const file = this.files.get(key);
+    if (!file || !fs.existsSync(file)) return [];
+
+    const entries = [];
+    // message id -> sent entry still waiting for its delivery record
+    const sent = new Map();
+    let skipped = 0;
+    const lines = fs.readFileSync(file, "utf8").split("\n");
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        skipped++;
+        continue;
+      }
+
+      if (entry.type === "delivery") {
+        const original = sent.get(entry.id);
+        if (original) original.delivery = entry.delivery;
+        continue;
+      }
+      if (entry.outgoing && entry.id) {
+        sent.set(entry.id, entry);
+      }
+      entries.push(entry);
+    }
+
+    if (skipped > 0) {
+      this.logger.warn(`Skipped ${skipped} corrupt history entries in ${file}`);
+    }
+
+    // Retries stop with the process, so we never learn what became of these
+    for (const entry of sent.values()) {
+      if (entry.delivery === "pending") entry.delivery = "unconfirmed";
+    }
+
+    return entries;
+  }
+
+  // Entries are routed by their topic field; untagged entries go to the direct log
+  append({ entry }) {
+    const file = this.files.get(this.keyFor({ topic: entry.topic }));
+    if (!file) return;
+
+    try {
+      fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+    } catch (err) {
+      this.logger.error("Failed to write message history:", { error: err.message });
+    }
+  }
+
+  appendDelivery({ entry }) {
+    this.append({ entry: { type: "delivery", id: entry.id, delivery: entry.delivery, topic: entry.topic } });
+  }
+
+  page({ entries, limit = 10, before = null, topic = undefined }) {
+    let candidates = entries;
+    if (topic !== undefined) {
+      candidates = candidates.filter((entry) => !entry.topic || entry.topic === topic);
+    }
+    if (before !== null) {
+      candidates = candidates.filter((entry) => entry.received < before);
+    }
+    return candidates.slice(-limit);
+  }
+}
+
+export default HistoryStore;
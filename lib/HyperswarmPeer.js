@@ -0,0 +1,1076 @@
+import Hyperswarm from "hyperswarm";
+import crypto from "hypercore-crypto";
+import b4a from "b4a";
+import path from "path";
+import { EventEmitter } from "events";
+import { delay } from "es-toolkit";
+import EventHandler from "./EventHandler.js";
+import MessageHandler from "./MessageHandler.js";
+import ConnectionManager from "./ConnectionManager.js";
+import HistoryStore from "./HistoryStore.js";
+import IdentityStore from "./IdentityStore.js";
+import ChannelManager from "./ChannelManager.js";
+import FileTransferManager from "./FileTransferManager.js";
+import BanList from "./BanList.js";
+import AllowList from "./AllowList.js";
+import InviteManager from "./InviteManager.js";
+import DiscoveryMonitor from "./DiscoveryMonitor.js";
+import NameDirectory from "./NameDirectory.js";
+import PresenceManager from "./PresenceManager.js";
+import Outbox from "./Outbox.js";
+import DeliveryTracker, { DEFAULT_TIMEOUT as DEFAULT_ACK_TIMEOUT } from "./DeliveryTracker.js";
+
+// Events from the internal bus that are re-emitted to library users
+const PUBLIC_EVENTS = [
+  "ready",
+  "message",
+  "peerConnected",
+  "peerDisconnected",
+  "peerRenamed",
+  "peerError",
+  "pong",
+  "discovery",
+  "presence",
+  "delivery",
+];
+
+// Names travel in every message, so they share the validator's limit
+const MAX_NAME_LENGTH = 64;
+// Same limit as the presence message's reason and status fields
+const MAX_PRESENCE_TEXT_LENGTH = 256;
+
+// Seconds without any data after which a peer that sends heartbeats is evicted
+const DEFAULT_IDLE_TIMEOUT = 45;
+
+// Library users see nothing unless they pass a logger of their own
+function silentLogger() {
+  const noop = () => {};
+  return { info: noop, success: noop, warn: noop, error: noop, debug: noop, peer: noop, connection: noop };
+}
+
+// Errors thrown by the library API carry a code so callers can tell bad input
+// from a missing peer or channel without parsing messages
+function peerError({ code, message }) {
+  return Object.assign(new Error(message), { code });
+}
+
+// A Hyperswarm chat peer without any terminal or process handling: no signal
+// handlers, no stdin, no console output unless the injected logger prints, and
+// close() never exits the process. Several peers can run in one process.
+class HyperswarmPeer extends EventEmitter {
+  constructor({
+    name = null,
+    topic = null,
+    room = null,
+    secret = null,
+    identity = null,
+    keyPair = null,
+    swarm = null,
+    logger = null,
+    dataDir = null,
+    downloads = null,
+    allow = null,
+    invite = null,
+    pingInterval = null,
+    idleTimeout = DEFAULT_IDLE_TIMEOUT,
+    idleAfter = null,
+    ackTimeout = DEFAULT_ACK_TIMEOUT / 1000,
+  } = {}) {
+    super();
+
+    this.topic = topic;
+    this.topics = [].concat(topic || []);
+    this.rooms = [].concat(room || []);
+    this.secrets = [].concat(secret || []);
+    this.name = name || `peer-${Math.random().toString(36).substr(2, 8)}`;
+
+    // Nothing is written to disk unless the caller says where: without a data
+    // directory the identity, bans, outbox and history last as long as the peer
+    this.dataDir = dataDir;
+    const dataFile = (name) => (dataDir ? path.join(dataDir, name) : null);
+    this.identityFile = identity || dataFile("identity.json");
+    this.downloadDir = downloads || dataFile("downloads");
+
+    this.logger = logger || silentLogger();
+
+    // Messages are signed with the key the swarm authenticates connections with,
+    // so an injected swarm brings its own key pair
+    this.keyPair =
+      keyPair ||
+      (swarm && swarm.keyPair) ||
+      (this.identityFile ? new IdentityStore({ logger: this.logger, file: this.identityFile }).loadOrCreate() : crypto.keyPair());
+
+    // Banned keys are refused by the swarm's firewall before a connection is
+    // handed to us
+    this.banList = new BanList({ logger: this.logger, file: dataFile("bans.json") }).load();
+
+    // Direct messages for known peers that are not connected wait here
+    this.outbox = new Outbox({ logger: this.logger, file: dataFile("outbox.json") }).load();
+    // Message id -> outbox id, for queued messages sent and waiting for an ack
+    this.outboxDeliveries = new Map();
+
+    // With an allowlist (private mode) only listed keys get past the firewall,
+    // plus unknown keys while one of our invites is outstanding
+    this.allowList = allow ? new AllowList({ logger: this.logger, file: allow }).load() : null;
+    this.inviteManager = this.allowList
+      ? new InviteManager({ logger: this.logger, file: dataFile("invites.json"), keyPair: this.keyPair }).load()
+      : null;
+
+    // An invite we were given is presented to its issuer only
+    this.invite = invite;
+    this.inviteIssuer = null;
+    if (invite) {
+      const fields = InviteManager.decode({ token: invite });
+      if (!fields) {
+        throw new Error("Invalid invite token");
+      }
+      this.inviteIssuer = fields.issuer;
+    }
+
+    this.ownsSwarm = !swarm;
+    this.swarm =
+      swarm ||
+      new Hyperswarm({
+        keyPair: this.keyPair,
+        firewall: (remotePublicKey) => this.isFirewalled({ remotePublicKey }),
+      });
+    this.restoreFirewall = swarm ? this.installFirewall({ swarm }) : null;
+
+    this.messageHistory = [];
+    this.historyStore = new HistoryStore({
+      logger: this.logger,
+      directory: dataFile("history"),
+    });
+    this.pingInterval = pingInterval ? this.parseDuration({ value: pingInterval, label: "ping interval" }) : null;
+    this.idleTimeout = this.parseDuration({ value: idleTimeout, label: "idle timeout" });
+    // Minutes without input before our presence turns idle; off unless given
+    this.presence = new PresenceManager({
+      idleAfter: idleAfter ? this.parseDuration({ value: idleAfter, label: "idle time", unit: "minutes" }) * 60 * 1000 : null,
+    });
+    this.abortControllers = new Set(); // Track AbortControllers for cleanup
+    this.startedAt = null;
+    this.closed = false;
+
+    // Names announced by connected peers, and ours, so clashes can be flagged
+    this.nameDirectory = new NameDirectory();
+    this.nameDirectory.set({ publicKey: b4a.toString(this.keyPair.publicKey, "hex"), name: this.name });
+
+    // Initialize components
+    this.channelManager = new ChannelManager({
+      logger: this.logger,
+      swarm: this.swarm,
+    });
+
+    this.eventHandler = new EventHandler({
+      logger: this.logger,
+    });
+
+    this.messageHandler = new MessageHandler({
+      logger: this.logger,
+      name: this.name,
+      keyPair: this.keyPair,
+      sendToPeer: this.sendToPeer.bind(this),
+      updatePeerInfo: this.updatePeerInfo.bind(this),
+      getPeerName: ({ peerId }) => this.connectionManager.getPeerName({ peerId }),
+      sendPresence: this.sendPresence.bind(this),
+      flushOutbox: this.flushOutbox.bind(this),
+      confirmDelivery: ({ peerId, id }) => this.deliveryTracker.ack({ peerId, id }),
+      disconnectPeer: this.disconnectPeer.bind(this),
+      reportInvalidMessage: this.reportInvalidMessage.bind(this),
+      reportRateLimited: this.reportRateLimited.bind(this),
+      relayBroadcast: this.relayBroadcast.bind(this),
+      handleFileMessage: this.handleFileMessage.bind(this),
+      historyStore: this.historyStore,
+      channelManager: this.channelManager,
+      events: this.eventHandler,
+    });
+
+    this.connectionManager = new ConnectionManager({
+      logger: this.logger,
+      messageHandler: this.messageHandler,
+      messageHistory: this.messageHistory,
+      channelManager: this.channelManager,
+      events: this.eventHandler,
+      requiresInvite: ({ publicKey }) => Boolean(this.allowList) && !this.allowList.isAllowed({ publicKey }),
+      redeemInvite: this.redeemInvite.bind(this),
+      inviteFor: ({ publicKey }) => (publicKey && publicKey === this.inviteIssuer ? this.invite : null),
+      nameDirectory: this.nameDirectory,
+      selfKey: b4a.toString(this.keyPair.publicKey, "hex"),
+    });
+
+    this.deliveryTracker = new DeliveryTracker({
+      timeout: this.parseDuration({ value: ackTimeout, label: "ack timeout" }) * 1000,
+      resend: ({ peerId, message, attempt }) => {
+        this.logger.debug(`Resending direct message ${message.id} to ${peerId} (attempt ${attempt})`);
+        this.connectionManager.sendToPeer({ peerId, message });
+      },
+      onSettled: this.onDeliverySettled.bind(this),
+    });
+
+    this.discoveryMonitor = new DiscoveryMonitor({
+      logger: this.logger,
+      swarm: this.swarm,
+      channelManager: this.channelManager,
+      events: this.eventHandler,
+      getConnectionsSize: () => this.connectionManager.getConnectionsSize(),
+    });
+
+    this.fileTransferManager = new FileTransferManager({
+      logger: this.logger,
+      messageHandler: this.messageHandler,
+      connectionManager: this.connectionManager,
+      downloadDir: this.downloadDir,
+    });
+
+    this.setupEventHandlers();
+  }
+
+  setupEventHandlers() {
+    this.eventHandler.setupSwarmEventHandlers({
+      swarm: this.swarm,
+      connectionManager: this.connectionManager,
+    });
+
+    this.eventHandler.on("peerConnected", ({ peerId }) => {
+      this.fileTransferManager.onPeerConnected({ peerId });
+      this.discoveryMonitor.update();
+    });
+
+    this.eventHandler.on("peerDisconnected", () => {
+      this.discoveryMonitor.update();
+    });
+
+    for (const event of PUBLIC_EVENTS) {
+      this.eventHandler.on(event, (payload) => this.emit(event, payload));
+    }
+  }
+
+  // Called by the swarm for every incoming and outgoing connection; true refuses it
+  isFirewalled({ remotePublicKey }) {
+    const publicKey = b4a.toString(remotePublicKey, "hex");
+    if (this.banList.isBanned({ publicKey })) {
+      this.logger.debug(`Refused connection from banned key ${publicKey.substring(0, 16)}...`);
+      return true;
+    }
+
+    if (this.allowList && !this.allowList.isAllowed({ publicKey }) && !this.inviteManager.hasOutstanding()) {
+      this.logger.debug(`Refused connection from ${publicKey.substring(0, 16)}..., not on the allowlist`);
+      return true;
+    }
+    return false;
+  }
+
+  // Called by the connection manager when a key off the allowlist presents an
+  // invite; returns null once the key has been added, otherwise the refusal reason
+  redeemInvite({ publicKey, token, name }) {
+    const reason = this.inviteManager.redeem({ token, publicKey });
+    if (reason) return reason;
+
+    this.allowList.allow({ publicKey, name });
+    this.logger.success(`🎟️  ${name} (${publicKey.substring(0, 16)}) joined with an invite and was added to the allowlist`);
+    return null;
+  }
+
+  // Hyperswarm only takes a firewall as a constructor option, so an injected
+  // swarm has ours chained in front of its own. Returns a function that undoes it.
+  installFirewall({ swarm }) {
+    const previous = swarm._firewall;
+    swarm._firewall = (remotePublicKey, payload) =>
+      this.isFirewalled({ remotePublicKey }) || (previous ? previous(remotePublicKey, payload) : false);
+    return () => {
+      swarm._firewall = previous;
+    };
+  }
+
+  sendToPeer({ peerId, message }) {
+    this.connectionManager.sendToPeer({ peerId, message });
+  }
+
+  updatePeerInfo({ peerId, ...fields }) {
+    this.connectionManager.updatePeerInfo({ peerId, ...fields });
+  }
+
+  disconnectPeer({ peerId, reason }) {
+    this.connectionManager.disconnectPeer({ peerId, reason });
+  }
+
+  reportInvalidMessage({ peerId, reason }) {
+    this.connectionManager.recordInvalidMessage({ peerId, reason });
+  }
+
+  reportRateLimited({ peerId, type }) {
+    this.connectionManager.recordRateLimited({ peerId, type });
+  }
+
+  handleFileMessage({ peerId, message }) {
+    this.fileTransferManager.handleMessage({ peerId, message });
+  }
+
+  relayBroadcast({ message, fromPeerId }) {
+    this.connectionManager.relayBroadcast({ message, fromPeerId });
+  }
+
+  // Broadcasts to a joined channel (room name, topic hex or prefix), or the
+  // current channel when topic is omitted
+  broadcast({ message, topic = null }) {
+    if (typeof message !== "string" || !message.trim()) {
+      throw peerError({ code: "INVALID_ARGUMENT", message: "message must be a non-empty string" });
+    }
+
+    const channel = topic ? this.resolveChannel({ query: topic }) : this.channelManager.getCurrent();
+    const topicHex = channel ? channel.topicHex : null;
+    const { id, recipients } = this.connectionManager.broadcast({ message, name: this.name, topic: topicHex });
+    return { id, topic: topicHex, recipients };
+  }
+
+  // Resolves a peer ID, ID prefix or announced name to exactly one connected peer
+  findPeer({ query }) {
+    if (typeof query !== "string" || !query) {
+      throw peerError({ code: "INVALID_ARGUMENT", message: "peer must be a peer ID or name" });
+    }
+
+    const matches = this.connectionManager.findPeers({ query });
+    if (matches.length === 0) {
+      throw peerError({ code: "PEER_NOT_FOUND", message: `No connected peer matches "${query}"` });
+    }
+    if (matches.length > 1) {
+      throw peerError({ code: "PEER_AMBIGUOUS", message: `"${query}" is ambiguous, it matches: ${matches.join(", ")}` });
+    }
+    return matches[0];
+  }
+
+  // Changes our name at runtime and tells every peer that understands renames;
+  // the others learn it when they next connect. The data directory keeps the
+  // name the peer was started with.
+  nick({ name }) {
+    const trimmed = typeof name === "string" ? name.trim() : "";
+    if (!trimmed || trimmed.length > MAX_NAME_LENGTH || /\s/.test(trimmed)) {
+      throw peerError({
+        code: "INVALID_ARGUMENT",
+        message: `name must be 1-${MAX_NAME_LENGTH} characters without spaces`,
+      });
+    }
+
+    const previous = this.name;
+    this.name = trimmed;
+    this.messageHandler.name = trimmed;
+    this.nameDirectory.set({ publicKey: b4a.toString(this.keyPair.publicKey, "hex"), name: trimmed });
+
+    const nickMsg = this.messageHandler.createNickMessage({ name: trimmed, previous });
+    const notified = [...this.connectionManager.getConnections().keys()].filter(
+      (peerId) => this.connectionManager.sendToPeer({ peerId, message: nickMsg }) !== null,
+    );
+    this.logger.success(`✏️  You are now known as ${trimmed} (told ${notified.length} peers)`);
+
+    for (const peerId of this.connectionManager.getConnections().keys()) {
+      if (this.connectionManager.getPeerName({ peerId }) === trimmed) {
+        this.logger.warn(`⚠️  Name clash: ${peerId} also uses the name "${trimmed}"`);
+      }
+    }
+    return { name: trimmed, previous, notified };
+  }
+
+  // Sends our presence to one peer, or to every peer that understands it
+  sendPresence({ peerId = null } = {}) {
+    const presenceMsg = this.messageHandler.createPresenceMessage({ name: this.name, presence: this.presence.get() });
+    const recipients = peerId ? [peerId] : [...this.connectionManager.getConnections().keys()];
+    return recipients.filter(
+      (recipient) => this.connectionManager.sendToPeer({ peerId: recipient, message: presenceMsg }) !== null,
+    );
+  }
+
+  checkPresenceText({ value, label }) {
+    if (value === null) return null;
+    if (typeof value !== "string" || value.length > MAX_PRESENCE_TEXT_LENGTH) {
+      throw peerError({ code: "INVALID_ARGUMENT", message: `${label} must be a string of up to ${MAX_PRESENCE_TEXT_LENGTH} characters` });
+    }
+    return value.trim() || null;
+  }
+
+  setAway({ reason = null } = {}) {
+    const text = this.checkPresenceText({ value: reason, label: "reason" });
+    if (this.presence.away({ reason: text })) {
+      this.logger.info(`🌙 You are away${text ? `: ${text}` : ""}`);
+      this.sendPresence();
+    }
+    return this.presence.get();
+  }
+
+  setBack() {
+    if (this.presence.back()) {
+      this.logger.info("🟢 You are back");
+      this.sendPresence();
+    }
+    return this.presence.get();
+  }
+
+  // An empty or null text clears the status message
+  setStatusMessage({ text = null } = {}) {
+    const status = this.checkPresenceText({ value: text, label: "status message" });
+    if (this.presence.setStatus({ status })) {
+      this.logger.info(status ? `💬 Status message set: ${status}` : "💬 Status message cleared");
+      this.sendPresence();
+    }
+    return this.presence.get();
+  }
+
+  // Called for every line of user input; ends an automatic idle state
+  markActive() {
+    if (this.presence.activity()) {
+      this.logger.info("🟢 You are back from idle");
+      this.sendPresence();
+    }
+  }
+
+  sendMessage({ peer, message }) {
+    if (typeof message !== "string" || !message.trim()) {
+      throw peerError({ code: "INVALID_ARGUMENT", message: "message must be a non-empty string" });
+    }
+
+    let peerId;
+    try {
+      peerId = this.findPeer({ query: peer });
+    } catch (err) {
+      const known = err.code === "PEER_NOT_FOUND" ? this.findKnownKey({ query: peer }) : null;
+      if (!known) throw err;
+
+      peerId = this.connectionManager.getPeerIdForKey({ publicKey: known.publicKey });
+      if (!peerId) {
+        return this.queueMessage({ ...known, message });
+      }
+    }
+
+    this.logger.info(`📩 [DM] you → ${peer} (${peerId}): ${message}`);
+    return this.deliverMessage({ peerId, message });
+  }
+
+  deliverMessage({ peerId, message }) {
+    // Peers that predate acks cannot confirm anything, so their messages are not retried
+    const tracked = this.connectionManager.supports({ peerId, type: "ack" });
+    const chatMsg = this.messageHandler.createChatMessage({ name: this.name, message, tracked });
+    this.connectionManager.sendToPeer({ peerId, message: chatMsg });
+
+    const entry = this.recordSentMessage({ peerId, message: chatMsg, delivery: tracked ? "pending" : "unconfirmed" });
+    if (tracked) {
+      this.deliveryTracker.track({ peerId, message: chatMsg, entry });
+    }
+    return { peerId, id: chatMsg.id ?? null, delivery: entry.delivery };
+  }
+
+  // A full public key, or a name some peer announced while we were running.
+  // Returns { publicKey, name } or null.
+  findKnownKey({ query }) {
+    const selfKey = b4a.toString(this.keyPair.publicKey, "hex");
+    if (/^[0-9a-f]{64}$/i.test(query)) {
+      const publicKey = query.toLowerCase();
+      if (publicKey === selfKey) {
+        throw peerError({ code: "INVALID_ARGUMENT", message: "Cannot message our own key" });
+      }
+      return { publicKey, name: this.nameDirectory.lastNameOf({ publicKey }) };
+    }
+
+    const keys = this.nameDirectory.keysLastNamed({ name: query }).filter((key) => key !== selfKey);
+    if (keys.length > 1) {
+      throw peerError({
+        code: "PEER_AMBIGUOUS",
+        message: `"${query}" is ambiguous, it was used by: ${keys.map((key) => key.substring(0, 16)).join(", ")}`,
+      });
+    }
+    return keys.length === 1 ? { publicKey: keys[0], name: query } : null;
+  }
+
+  queueMessage({ publicKey, name, message }) {
+    const entry = this.outbox.add({ publicKey, name, message });
+    this.logger.info(`📬 [DM] ${name || publicKey.substring(0, 16)} is not connected, queued as ${entry.id}: ${message}`);
+    return { peerId: null, id: null, delivery: "queued", outboxId: entry.id };
+  }
+
+  // Sends what was queued for a peer while it was away. A message leaves the
+  // outbox once it is acknowledged, or at once for peers that cannot ack; one
+  // that fails is sent again when the peer next connects.
+  flushOutbox({ peerId }) {
+    const publicKey = this.connectionManager.getPeerKey({ peerId });
+    const entries = publicKey ? this.outbox.takeFor({ publicKey }) : [];
+    if (entries.length === 0) return;
+
+    for (const entry of entries) {
+      const { id, delivery } = this.deliverMessage({ peerId, message: entry.message });
+      if (delivery === "pending") {
+        this.outboxDeliveries.set(id, entry.id);
+      } else {
+        this.outbox.remove({ id: entry.id });
+      }
+    }
+    const name = this.connectionManager.getPeerName({ peerId }) || peerId;
+    this.logger.success(`📬 Sent ${entries.length} queued messages to ${name} (${peerId})`);
+  }
+
+  getOutbox() {
+    return this.outbox.list();
+  }
+
+  cancelQueued({ id }) {
+    if (typeof id !== "string" || !id) {
+      throw peerError({ code: "INVALID_ARGUMENT", message: "id must be the ID of a queued message" });
+    }
+
+    const entry = this.outbox.remove({ id });
+    if (!entry) {
+      throw peerError({ code: "OUTBOX_NOT_FOUND", message: `No queued message has ID "${id}"` });
+    }
+    this.logger.success(`🗑️  Cancelled queued message ${id} to ${entry.name || entry.publicKey.substring(0, 16)}`);
+    return entry;
+  }
+
+  // Our own direct messages are kept in history too, with their delivery state
+  recordSentMessage({ peerId, message, delivery }) {
+    const { signature, ...fields } = message;
+    const entry = {
+      ...fields,
+      peerId,
+      peerName: this.connectionManager.getPeerName({ peerId }),
+      direct: true,
+      outgoing: true,
+      verified: true,
+      received: Date.now(),
+      delivery,
+    };
+    this.messageHistory.push(entry);
+    this.historyStore.append({ entry });
+    return entry;
+  }
+
+  onDeliverySettled({ entry, attempts }) {
+    this.historyStore.appendDelivery({ entry });
+    const outboxId = this.outboxDeliveries.get(entry.id);
+    if (outboxId) {
+      this.outboxDeliveries.delete(entry.id);
+      if (entry.delivery === "delivered") {
+        this.outbox.remove({ id: outboxId });
+      } else {
+        this.outbox.release({ id: outboxId });
+      }
+    }
+    const recipient = entry.peerName ? `${entry.peerName} (${entry.peerId})` : entry.peerId;
+    if (entry.delivery === "failed") {
+      this.logger.warn(`❌ [DM] to ${recipient} was not acknowledged after ${attempts} attempts: ${entry.message}`);
+    } else {
+      this.logger.debug(`Direct message ${entry.id} delivered to ${recipient}`);
+    }
+    this.eventHandler.emit("delivery", { id: entry.id, peerId: entry.peerId, delivery: entry.delivery, attempts });
+  }
+
+  pingAllPeers() {
+    return this.connectionManager.pingAllPeers({ name: this.name });
+  }
+
+  // Bans a connected peer (ID, ID prefix or name) or any 64-hex public key, and
+  // drops every connection that key currently has
+  banPeer({ peer, reason = null }) {
+    let publicKey;
+    let name = null;
+    if (typeof peer === "string" && /^[0-9a-f]{64}$/i.test(peer)) {
+      publicKey = peer.toLowerCase();
+    } else {
+      const peerId = this.findPeer({ query: peer });
+      publicKey = this.connectionManager.getPeerKey({ peerId });
+      name = (this.connectionManager.getPeerInfo({ peerId }) || {}).name || null;
+    }
+
+    if (!publicKey) {
+      throw peerError({ code: "INVALID_ARGUMENT", message: `Peer "${peer}" has no public key to ban` });
+    }
+    if (publicKey === b4a.toString(this.keyPair.publicKey, "hex")) {
+      throw peerError({ code: "INVALID_ARGUMENT", message: "Cannot ban our own key" });
+    }
+
+    const added = this.banList.ban({ publicKey, name, reason });
+    if (added) {
+      this.logger.success(`🚫 Banned ${name || publicKey.substring(0, 16)}${reason ? `: ${reason}` : ""}`);
+    }
+    this.disconnectKey({ publicKey, reason: "banned" });
+
+    return { publicKey, name, added };
+  }
+
+  // Lifts a ban by public key, key prefix or the name the peer had when banned
+  unbanPeer({ query }) {
+    if (typeof query !== "string" || !query) {
+      throw peerError({ code: "INVALID_ARGUMENT", message: "peer must be a public key or name" });
+    }
+
+    const matches = this.banList.find({ query });
+    if (matches.length === 0) {
+      throw peerError({ code: "BAN_NOT_FOUND", message: `No banned key matches "${query}"` });
+    }
+    if (matches.length > 1) {
+      throw peerError({
+        code: "PEER_AMBIGUOUS",
+        message: `"${query}" is ambiguous, it matches: ${matches.map((entry) => entry.publicKey.substring(0, 16)).join(", ")}`,
+      });
+    }
+
+    const entry = this.banList.unban({ publicKey: matches[0].publicKey });
+
+    this.releaseSwarmPeer({ publicKey: entry.publicKey });
+    this.logger.success(`✅ Unbanned ${entry.name || entry.publicKey.substring(0, 16)}`);
+    return entry;
+  }
+
+  getBans() {
+    return this.banList.list();
+  }
+
+  // The swarm remembers peers its firewall refused; let it dial them again
+  releaseSwarmPeer({ publicKey }) {
+    const swarmPeer = this.swarm.peers ? this.swarm.peers.get(publicKey) : null;
+    if (swarmPeer && typeof swarmPeer.ban === "function") {
+      swarmPeer.ban(false);
+    }
+  }
+
+  disconnectKey({ publicKey, reason }) {
+    const peerId = this.connectionManager.getPeerIdForKey({ publicKey });
+    if (peerId) {
+      this.connectionManager.disconnectPeer({ peerId, reason });
+    }
+  }
+
+  requireAllowList() {
+    if (!this.allowList) {
+      throw peerError({ code: "ALLOWLIST_DISABLED", message: "Allowlist mode is off; start with --allow <keyfile>" });
+    }
+  }
+
+  allowKey({ publicKey, name = null }) {
+    this.requireAllowList();
+    if (typeof publicKey !== "string" || !/^[0-9a-f]{64}$/i.test(publicKey)) {
+      throw peerError({ code: "INVALID_ARGUMENT", message: "publicKey must be 64 hex characters" });
+    }
+
+    const key = publicKey.toLowerCase();
+    const added = this.allowList.allow({ publicKey: key, name });
+    this.releaseSwarmPeer({ publicKey: key });
+    if (added) {
+      this.logger.success(`🔓 Allowed ${name || key.substring(0, 16)}`);
+    }
+    return { publicKey: key, name, added };
+  }
+
+  // Removes a key from the allowlist and drops its connections
+  revokeKey({ query }) {
+    this.requireAllowList();
+    if (typeof query !== "string" || !query) {
+      throw peerError({ code: "INVALID_ARGUMENT", message: "peer must be a public key or name" });
+    }
+
+    const matches = this.allowList.find({ query });
+    if (matches.length === 0) {
+      throw peerError({ code: "KEY_NOT_FOUND", message: `No allowed key matches "${query}"` });
+    }
+    if (matches.length > 1) {
+      throw peerError({
+        code: "PEER_AMBIGUOUS",
+        message: `"${query}" is ambiguous, it matches: ${matches.map((entry) => entry.publicKey.substring(0, 16)).join(", ")}`,
+      });
+    }
+
+    const entry = this.allowList.revoke({ publicKey: matches[0].publicKey });
+    this.disconnectKey({ publicKey: entry.publicKey, reason: "access revoked" });
+    this.logger.success(`🔒 Revoked ${entry.name || entry.publicKey.substring(0, 16)}`);
+    return entry;
+  }
+
+  // Issues a single-use invite valid for the given number of hours
+  createInvite({ hours = 24 } = {}) {
+    this.requireAllowList();
+    const value = Number(hours);
+    if (!/^\d+$/.test(String(hours)) || value < 1 || value > 24 * 30) {
+      throw peerError({ code: "INVALID_ARGUMENT", message: `Invalid invite lifetime "${hours}": expected 1 to 720 hours` });
+    }
+
+    const { token, expires } = this.inviteManager.create({ hours: value });
+    // The swarm will not dial keys its firewall refused before the invite existed
+    for (const publicKey of this.swarm.peers ? [...this.swarm.peers.keys()] : []) {
+      if (!this.allowList.isAllowed({ publicKey }) && !this.banList.isBanned({ publicKey })) {
+        this.releaseSwarmPeer({ publicKey });
+      }
+    }
+    this.logger.info(`🎟️  Issued an invite valid until ${new Date(expires).toLocaleString()}`);
+    return { token, expires };
+  }
+
+  getAllowList() {
+    return { enabled: Boolean(this.allowList), keys: this.allowList ? this.allowList.list() : [] };
+  }
+
+  resolveChannel({ query }) {
+    const channel = this.channelManager.resolve({ query });
+    if (!channel) {
+      throw peerError({ code: "CHANNEL_NOT_FOUND", message: `Not on a channel matching "${query}"` });
+    }
+    return channel;
+  }
+
+  describeChannel({ channel }) {
+    return {
+      topic: channel.topicHex,
+      room: channel.name || null,
+      current: channel === this.channelManager.getCurrent(),
+      encrypted: Boolean(channel.cipher),
+      peers: this.connectionManager.getPeersInTopic({ topicHex: channel.topicHex }).length,
+    };
+  }
+
+  // Joins a room by name, a raw 64-hex topic or an encrypted room's secret and
+  // makes it the current channel
+  async join({ room = null, topic = null, secret = null }) {
+    if ([room, topic, secret].filter(Boolean).length !== 1) {
+      throw peerError({ code: "INVALID_ARGUMENT", message: "Specify one of room, topic or secret" });
+    }
+
+    let target;
+    try {
+      if (secret) {
+        target = { ...this.channelManager.roomFromSecret({ secret }), name: null };
+      } else if (room) {
+        target = { topic: this.channelManager.topicFromRoom({ room }), name: room.trim() };
+      } else {
+        target = { topic: this.channelManager.topicFromHex({ hex: topic }), name: null };
+      }
+    } catch (err) {
+      throw peerError({ code: "INVALID_ARGUMENT", message: err.message });
+    }
+
+    const channel = await this.joinTopic(target);
+    return this.describeChannel({ channel });
+  }
+
+  async joinTopic({ topic, name = null, cipher = null }) {
+    const { channel, joined } = await this.channelManager.join({ topic, name, cipher });
+    const label = this.channelManager.label({ topicHex: channel.topicHex });
+
+    if (!joined) {
+      this.logger.info(`Switched to channel ${label}`);
+      return channel;
+    }
+
+    this.logger.success(`✅ Joined ${channel.cipher ? "encrypted " : ""}channel ${label} and announced topic`);
+
+    // Reload the conversation saved for this topic
+    const savedHistory = this.historyStore.open({ topic });
+    this.messageHistory.push(...savedHistory);
+    if (savedHistory.length > 0) {
+      this.logger.info(`📜 Loaded ${savedHistory.length} messages from ${label} history`);
+    }
+
+    this.connectionManager.announceTopics({ name: this.name, topics: this.channelManager.getTopicHexes() });
+    return channel;
+  }
+
+  // Leaves a joined channel, or the current one when topic is omitted
+  async leave({ topic = null } = {}) {
+    const channel = topic ? this.resolveChannel({ query: topic }) : this.channelManager.getCurrent();
+    if (!channel) {
+      throw peerError({ code: "CHANNEL_NOT_FOUND", message: "Not on any channel" });
+    }
+
+    await this.channelManager.leave({ topicHex: channel.topicHex });
+    this.historyStore.close({ topic: channel.topic });
+    this.connectionManager.announceTopics({ name: this.name, topics: this.channelManager.getTopicHexes() });
+    this.logger.success(`👋 Left channel ${this.channelManager.label({ topicHex: channel.topicHex })}`);
+
+    return { topic: channel.topicHex, room: channel.name || null };
+  }
+
+  getStatus() {
+    const current = this.channelManager.getCurrent();
+    return {
+      name: this.name,
+      publicKey: b4a.toString(this.keyPair.publicKey, "hex"),
+      currentChannel: current ? current.topicHex : null,
+      channels: this.channelManager.getTopicHexes(),
+      connectedPeers: this.connectionManager.getConnectionsSize(),
+      messagesReceived: this.messageHistory.filter((entry) => !entry.outgoing).length,
+      uptime: this.startedAt ? Math.floor((Date.now() - this.startedAt) / 1000) : 0,
+      discovery: this.discoveryMonitor.getStatus(),
+      presence: this.presence.get(),
+    };
+  }
+
+  getPeers() {
+    return [...this.connectionManager.getConnections()].map(([peerId, conn]) => {
+      const info = this.connectionManager.getPeerInfo({ peerId }) || {};
+      return {
+        peerId,
+        publicKey: this.connectionManager.getPeerKey({ peerId }),
+        sessionId: this.connectionManager.getSessionId({ peerId }),
+        name: info.name || null,
+        nameClash: this.connectionManager.hasNameClash({ peerId }),
+        remoteAddress: conn.remoteAddress || null,
+        topics: info.topics || null,
+        protocol: info.protocol || null,
+        capabilities: info.capabilities || null,
+        invalidMessages: info.invalidMessages || 0,
+        rateLimited: info.rateLimited || 0,
+        rtt: info.rtt ?? null,
+        presence: info.presence || null,
+      };
+    });
+  }
+
+  // Latency statistics for one connected peer, or for all of them
+  getStats({ peer = null } = {}) {
+    const peerIds = peer ? [this.findPeer({ query: peer })] : [...this.connectionManager.getConnections().keys()];
+    return peerIds.map((peerId) => ({
+      peerId,
+      name: (this.connectionManager.getPeerInfo({ peerId }) || {}).name || null,
+      ...this.messageHandler.latency.stats({ peerId }),
+    }));
+  }
+
+  getChannels() {
+    return this.channelManager.getChannels().map((channel) => this.describeChannel({ channel }));
+  }
+
+  // limit and before may be given as strings (query parameters, command arguments)
+  getHistory({ limit = 10, before = null, topic = null } = {}) {
+    const options = { limit: Number(limit), before: null };
+    if (!/^\d+$/.test(String(limit)) || options.limit < 1) {
+      throw peerError({ code: "INVALID_ARGUMENT", message: `Invalid limit "${limit}"` });
+    }
+    if (before !== null) {
+      options.before = this.parseTime({ value: String(before) });
+      if (options.before === null) {
+        throw peerError({ code: "INVALID_ARGUMENT", message: `Invalid time "${before}"` });
+      }
+    }
+
+    const channel = topic ? this.resolveChannel({ query: topic }) : null;
+    return this.historyStore.page({
+      entries: this.messageHistory,
+      topic: channel ? channel.topicHex : undefined,
+      ...options,
+    });
+  }
+
+  // <time> is an epoch in milliseconds, a date string, or HH:MM[:SS] for today
+  parseTime({ value }) {
+    if (!value) return null;
+
+    if (/^\d{10,}$/.test(value)) {
+      return Number(value);
+    }
+
+    const clock = value.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (clock) {
+      const date = new Date();
+      date.setHours(Number(clock[1]), Number(clock[2]), Number(clock[3] || 0), 0);
+      return date.getTime();
+    }
+
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+
+  // Expose for testing
+  handleIncomingMessage({ peerId, data, remotePublicKey = null }) {
+    this.messageHandler.handleIncomingMessage({ peerId, data, remotePublicKey, messageHistory: this.messageHistory });
+  }
+
+  handleConnection({ connection, info }) {
+    this.connectionManager.handleConnection({ connection, info });
+  }
+
+  async start() {
+    this.logger.info(`Peer name: ${this.name}`);
+    this.logger.info(`Public key: ${b4a.toString(this.keyPair.publicKey, "hex")}`);
+
+    // Generate or use provided topics and rooms
+    const channels = [];
+    for (const topic of this.topics) {
+      channels.push({ topic: this.channelManager.topicFromHex({ hex: topic }), name: null });
+      this.logger.info(`Using provided topic: ${topic}`);
+    }
+    for (const room of this.rooms) {
+      const topic = this.channelManager.topicFromRoom({ room });
+      channels.push({ topic, name: room });
+      this.logger.info(`Using room "${room}" (topic ${b4a.toString(topic, "hex")})`);
+    }
+    for (const secret of this.secrets) {
+      const { topic, cipher } = this.channelManager.roomFromSecret({ secret });
+      channels.push({ topic, name: null, cipher });
+      this.logger.info(`Using encrypted room (topic ${b4a.toString(topic, "hex")})`);
+    }
+    if (channels.length === 0) {
+      const topicBuffer = crypto.randomBytes(32);
+      const topicHex = b4a.toString(topicBuffer, "hex");
+      channels.push({ topic: topicBuffer, name: null });
+      this.logger.info(`Generated topic: ${topicHex}`);
+      this.logger.warn(`⚠️  To connect other peers, use: --topic ${topicHex}`);
+    }
+
+    this.startedAt = Date.now();
+
+    // Direct messages are not tied to a channel and share one history file
+    const directHistory = this.historyStore.open();
+    this.messageHistory.push(...directHistory);
+
+    // Join the swarm on every topic; the first one becomes the current channel
+    for (const { topic, name, cipher } of channels) {
+      await this.joinTopic({ topic, name, cipher });
+    }
+    this.channelManager.setCurrent({ topicHex: b4a.toString(channels[0].topic, "hex") });
+    this.logger.success("✅ Successfully joined swarm and announced topic");
+
+    // Log additional swarm info
+    this.logger.debug(
+      `Swarm info: ${this.swarm.connections.size} connections, ${this.swarm.peers.size} peers`,
+    );
+
+    // Start looking for peers
+    this.logger.info("🔍 Looking for peers on the network...");
+
+    // Keep re-announcing for as long as no peer is connected
+    this.discoveryMonitor.start();
+
+    if (this.pingInterval) {
+      this.startPinger({ interval: this.pingInterval });
+    }
+    this.startHeartbeat({ idleTimeout: this.idleTimeout });
+    if (this.presence.idleAfter !== null) {
+      this.startIdleWatch();
+    }
+
+    this.eventHandler.emit("ready", {
+      name: this.name,
+      publicKey: b4a.toString(this.keyPair.publicKey, "hex"),
+      topics: this.channelManager.getTopicHexes(),
+    });
+  }
+
+  // Re-announces and looks up every joined topic now instead of waiting for
+  // the next scheduled attempt; resolves with the discovery status
+  async discover() {
+    if (this.channelManager.getChannels().length === 0) {
+      throw peerError({ code: "CHANNEL_NOT_FOUND", message: "Not on any channel" });
+    }
+    return this.discoveryMonitor.refresh();
+  }
+
+  // Fractions are allowed for tests, but not below a tenth of the unit
+  parseDuration({ value, label, unit = "seconds" }) {
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount < 0.1) {
+      throw new Error(`Invalid ${label} "${value}": expected a number of ${unit}`);
+    }
+    return amount;
+  }
+
+  // Pings every connected peer in the background so latency statistics stay current
+  async startPinger({ interval }) {
+    const controller = new AbortController();
+    this.abortControllers.add(controller);
+    this.logger.info(`📈 Pinging peers every ${interval}s for latency statistics`);
+
+    try {
+      for (;;) {
+        await delay(interval * 1000, { signal: controller.signal });
+        this.connectionManager.pingAllPeers({ name: this.name, background: true });
+      }
+    } catch (error) {
+      if (error.name === "AbortError") {
+        this.logger.debug("Background pinger stopped");
+      } else {
+        this.logger.error("Error in background pinger:", { error: error.message });
+      }
+    } finally {
+      this.abortControllers.delete(controller);
+    }
+  }
+
+  // Turns our presence idle once there has been no input for the idle time
+  async startIdleWatch() {
+    const controller = new AbortController();
+    this.abortControllers.add(controller);
+
+    try {
+      for (;;) {
+        await delay(Math.min(this.presence.idleAfter / 4, 15 * 1000), { signal: controller.signal });
+        if (this.presence.checkIdle()) {
+          this.logger.info(`💤 No input for ${this.presence.idleAfter / 60000} minutes, you are now idle`);
+          this.sendPresence();
+        }
+      }
+    } catch (error) {
+      if (error.name === "AbortError") {
+        this.logger.debug("Idle watch stopped");
+      } else {
+        this.logger.error("Error in idle watch:", { error: error.message });
+      }
+    } finally {
+      this.abortControllers.delete(controller);
+    }
+  }
+
+  // Sends heartbeats three times per idle timeout, so a peer is only evicted
+  // after missing several, and evicts peers that have gone silent
+  async startHeartbeat({ idleTimeout }) {
+    const controller = new AbortController();
+    this.abortControllers.add(controller);
+
+    try {
+      for (;;) {
+        await delay((idleTimeout * 1000) / 3, { signal: controller.signal });
+        this.connectionManager.sendHeartbeats({ name: this.name });
+        this.connectionManager.evictIdlePeers({ idleTimeout: idleTimeout * 1000 });
+      }
+    } catch (error) {
+      if (error.name === "AbortError") {
+        this.logger.debug("Heartbeat stopped");
+      } else {
+        this.logger.error("Error in heartbeat:", { error: error.message });
+      }
+    } finally {
+      this.abortControllers.delete(controller);
+    }
+  }
+
+  // Closes connections and the swarm. An injected swarm is left running; only
+  // this peer's topics and listeners are removed from it.
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+
+    // Abort all ongoing delay operations
+    for (const controller of this.abortControllers) {
+      controller.abort();
+    }
+    this.abortControllers.clear();
+    this.discoveryMonitor.stop();
+    this.deliveryTracker.stop();
+
+    // Close all connections
+    this.connectionManager.closeAllConnections();
+
+    try {
+      if (this.ownsSwarm) {
+        await this.swarm.destroy();
+        this.logger.success("✅ Swarm destroyed successfully");
+      } else {
+        for (const topicHex of this.channelManager.getTopicHexes()) {
+          await this.channelManager.leave({ topicHex });
+        }
+        this.eventHandler.removeSwarmEventHandlers({ swarm: this.swarm });
+        this.restoreFirewall();
+      }
+    } catch (err) {
+      this.logger.error("Error destroying swarm:", { error: err.message });
+    }
+
+    this.emit("close");
+  }
+}
+
+export { DEFAULT_IDLE_TIMEOUT };
+export default HyperswarmPeer;
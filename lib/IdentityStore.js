@@ -0,0 +1,64 @@
+import fs from "fs";
+import path from "path";
+import crypto from "hypercore-crypto";
+import b4a from "b4a";
+
+// Persists the peer's keypair so its public key stays the same across restarts
+class IdentityStore {
+  constructor({ logger, file }) {
+    this.logger = logger;
+    this.file = file;
+  }
+
+  loadOrCreate() {
+    if (fs.existsSync(this.file)) {
+      return this.load();
+    }
+    return this.create();
+  }
+
+  load() {
+    let stored;
+    try {
+      stored = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    } catch (err) {
+      throw new Error(`Cannot read identity file ${this.file}: ${err.message}`);
+    }
+
+    const keyPair = {
+      publicKey: b4a.from(stored.publicKey || "", "hex"),
+      secretKey: b4a.from(stored.secretKey || "", "hex"),
+    };
+
+    if (keyPair.publicKey.length !== 32 || keyPair.secretKey.length !== 64) {
+      throw new Error(`Identity file ${this.file} does not contain a valid keypair`);
+    }
+
+    this.logger.info(`🔑 Loaded identity from ${this.file}`);
+    return keyPair;
+  }
+
+  create() {
+    const keyPair = crypto.keyPair();
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(
+      this.file,
+      JSON.stringify(
+        {
+          publicKey: b4a.toString(keyPair.publicKey, "hex"),
+          secretKey: b4a.toString(keyPair.secretKey, "hex"),
+          created: new Date().toISOString(),
+        },
+        null,
+        2,
+      ),
+      { mode: 0o600 },
+    );
+
+    this.logger.success(`🔑 Generated new identity at ${this.file}`);
+    return keyPair;
+  }
+}
+
+export default IdentityStore;
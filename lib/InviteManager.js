@@ -0,0 +1,108 @@
+import fs from "fs";
+import path from "path";
+import crypto from "hypercore-crypto";
+import b4a from "b4a";
+
+// Single-use invites to a private peer. A token carries the issuer's public
+// key, an ID and an expiry, signed by the issuer, and is redeemed once by the
+// first key that presents it. Issued invites are saved so a token cannot be
+// reused after a restart.
+class InviteManager {
+  constructor({ logger, file, keyPair }) {
+    this.logger = logger;
+    this.file = file;
+    this.keyPair = keyPair;
+    // id -> { id, expires, usedBy, usedAt }
+    this.invites = new Map();
+  }
+
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) return this;
+
+    let stored;
+    try {
+      stored = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    } catch (err) {
+      throw new Error(`Cannot read invites file ${this.file}: ${err.message}`);
+    }
+
+    for (const invite of Array.isArray(stored.invites) ? stored.invites : []) {
+      this.invites.set(invite.id, invite);
+    }
+    return this;
+  }
+
+  // Expired invites are dropped on save; their tokens are rejected by expiry anyway
+  save() {
+    const now = Date.now();
+    for (const [id, invite] of this.invites) {
+      if (invite.expires < now) this.invites.delete(id);
+    }
+
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({ invites: [...this.invites.values()] }, null, 2));
+  }
+
+  static signable({ issuer, id, expires }) {
+    return b4a.from(JSON.stringify({ issuer, id, expires }));
+  }
+
+  // Returns the token's fields, or null if it is not a well-formed token
+  static decode({ token }) {
+    if (typeof token !== "string" || !/^[A-Za-z0-9_-]+$/.test(token)) return null;
+
+    try {
+      const fields = JSON.parse(b4a.toString(b4a.from(token, "base64url")));
+      const valid =
+        /^[0-9a-f]{64}$/.test(fields.issuer) &&
+        /^[0-9a-f]{32}$/.test(fields.id) &&
+        Number.isInteger(fields.expires) &&
+        /^[0-9a-f]{128}$/.test(fields.signature);
+      return valid ? fields : null;
+    } catch {
+      return null;
+    }
+  }
+
+  create({ hours = 24 }) {
+    const issuer = b4a.toString(this.keyPair.publicKey, "hex");
+    const id = b4a.toString(crypto.randomBytes(16), "hex");
+    const expires = Date.now() + hours * 60 * 60 * 1000;
+    const signature = b4a.toString(crypto.sign(InviteManager.signable({ issuer, id, expires }), this.keyPair.secretKey), "hex");
+
+    this.invites.set(id, { id, expires, usedBy: null, usedAt: null });
+    this.save();
+
+    const token = b4a.toString(b4a.from(JSON.stringify({ issuer, id, expires, signature })), "base64url");
+    return { token, id, expires };
+  }
+
+  // Whether any invite could still be redeemed; unknown keys are only let
+  // through the firewall while one is
+  hasOutstanding() {
+    const now = Date.now();
+    return [...this.invites.values()].some((invite) => !invite.usedBy && invite.expires >= now);
+  }
+
+  // Returns null once the token has been redeemed for publicKey, otherwise why it was refused
+  redeem({ token, publicKey }) {
+    const fields = InviteManager.decode({ token });
+    if (!fields) return "malformed invite";
+
+    const issuer = b4a.toString(this.keyPair.publicKey, "hex");
+    const signed = crypto.verify(InviteManager.signable(fields), b4a.from(fields.signature, "hex"), this.keyPair.publicKey);
+    if (fields.issuer !== issuer || !signed) return "invite was not issued by this peer";
+
+    const invite = this.invites.get(fields.id);
+    if (!invite || invite.expires < Date.now()) return "invite has expired";
+    if (invite.usedBy) return "invite has already been used";
+
+    invite.usedBy = publicKey;
+    invite.usedAt = Date.now();
+    this.save();
+    return null;
+  }
+}
+
+export default InviteManager;
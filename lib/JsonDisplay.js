@@ -0,0 +1,143 @@
+import b4a from "b4a";
+import process from "process";
+
+// Headless counterpart of UIDisplay: every event and command result is
+// written to stdout as one JSON object per line
+class JsonDisplay {
+  constructor({ output = process.stdout } = {}) {
+    this.output = output;
+  }
+
+  write(event, payload = {}) {
+    this.output.write(JSON.stringify({ event, time: new Date().toISOString(), ...payload }) + "\n");
+  }
+
+  attach({ events }) {
+    events.on("ready", (payload) => this.write("ready", payload));
+    events.on("peerConnected", (payload) => this.write("connection", { status: "connected", ...payload }));
+    events.on("peerDisconnected", (payload) => this.write("connection", { status: "disconnected", ...payload }));
+    events.on("peerRenamed", (payload) => this.write("rename", payload));
+    events.on("message", ({ entry }) => this.write("message", entry));
+    events.on("pong", (payload) => this.write("pong", payload));
+    events.on("discovery", (payload) => this.write("discovery", payload));
+    events.on("presence", (payload) => this.write("presence", payload));
+    events.on("delivery", (payload) => this.write("delivery", payload));
+  }
+
+  // Logger hook: warnings and errors become events, everything else stays in the log file
+  onLog({ level, message, data }) {
+    if (level === "error") {
+      this.write("error", { message, data: data || null });
+    } else if (level === "warn") {
+      this.write("warning", { message, data: data || null });
+    }
+  }
+
+  showHelp() {
+    this.write("help", {
+      commands: [
+        "/help",
+        "/peers",
+        "/ping",
+        "/stats [peer]",
+        "/broadcast <message>",
+        "/msg <peer> <message>",
+        "/outbox [cancel <id>]",
+        "/send <peer> <path>",
+        "/accept [id]",
+        "/reject [id]",
+        "/transfers",
+        "/history [count] [--before <time>]",
+        "/ban <peer> [reason]",
+        "/unban <key|name>",
+        "/bans",
+        "/allow [key [name]]",
+        "/revoke <key|name>",
+        "/invite [hours]",
+        "/nick <name>",
+        "/away [reason]",
+        "/back",
+        "/status-msg [text]",
+        "/status",
+        "/discover",
+        "/topic",
+        "/topics",
+        "/join <room|topic>",
+        "/join --secret <secret>",
+        "/leave [topic]",
+        "/switch <topic>",
+        "/quit",
+      ],
+    });
+  }
+
+  showPeers({ peers }) {
+    this.write("peers", { peers });
+  }
+
+  showStats({ stats }) {
+    this.write("stats", { peers: stats });
+  }
+
+  showMessageHistory({ messageHistory, messages = messageHistory, before = null }) {
+    this.write("history", { total: messageHistory.length, before, messages });
+  }
+
+  showStatus({ status }) {
+    this.write("status", status);
+  }
+
+  showPresence({ presence }) {
+    // Our own presence has no peer ID, unlike the presence events of peers
+    this.write("presence", { peerId: null, ...presence });
+  }
+
+  showDiscovery({ discovery }) {
+    this.write("discover", discovery);
+  }
+
+  showTopic({ topic, room = null, encrypted = false }) {
+    this.write("topic", { topic: topic ? b4a.toString(topic, "hex") : null, room, encrypted });
+  }
+
+  showTopics({ channelManager, connectionManager }) {
+    const current = channelManager.getCurrent();
+    this.write("topics", {
+      channels: channelManager.getChannels().map((channel) => ({
+        topic: channel.topicHex,
+        room: channel.name || null,
+        current: channel === current,
+        encrypted: Boolean(channel.cipher),
+        peers: connectionManager.getPeersInTopic({ topicHex: channel.topicHex }).length,
+      })),
+    });
+  }
+
+  showBans({ bans }) {
+    this.write("bans", { bans });
+  }
+
+  showOutbox({ messages }) {
+    this.write("outbox", { messages });
+  }
+
+  showAllowList({ keys }) {
+    this.write("allowlist", { keys });
+  }
+
+  showInvite({ token, expires }) {
+    this.write("invite", { token, expires });
+  }
+
+  showTransfers({ fileTransferManager }) {
+    const { outgoing, incoming } = fileTransferManager.getTransfers();
+    const summarize = ({ transferId, peerId, fileName, size, status }) => ({ transferId, peerId, fileName, size, status });
+
+    this.write("transfers", {
+      outgoing: outgoing.map((transfer) => ({ ...summarize(transfer), sent: transfer.offset })),
+      incoming: incoming.map((transfer) => ({ ...summarize(transfer), received: transfer.received })),
+    });
+  }
+}
+
+export default JsonDisplay;
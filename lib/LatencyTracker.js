@@ -0,0 +1,103 @@
+// Pings without a pong after this long count as lost
+const DEFAULT_TIMEOUT = 10 * 1000;
+// Statistics cover this many of the most recent round trips
+const DEFAULT_WINDOW = 100;
+
+// Round-trip times per peer. Only pings we sent to a peer can be answered by
+// it, and each only once, so a peer cannot report a made-up time.
+class LatencyTracker {
+  constructor({ timeout = DEFAULT_TIMEOUT, window = DEFAULT_WINDOW, now = Date.now } = {}) {
+    this.timeout = timeout;
+    this.window = window;
+    this.now = now;
+    // peerId -> { outstanding: Map(id -> { sentAt, background }), samples, sent, received, lost }
+    this.peers = new Map();
+  }
+
+  getPeer({ peerId }) {
+    let peer = this.peers.get(peerId);
+    if (!peer) {
+      peer = { outstanding: new Map(), samples: [], sent: 0, received: 0, lost: 0 };
+      this.peers.set(peerId, peer);
+    }
+    return peer;
+  }
+
+  // id is the ping's ID, or its timestamp for peers that predate ping IDs;
+  // the pong echoes it back
+  ping({ peerId, id, background = false }) {
+    this.expire({ peerId });
+    const peer = this.getPeer({ peerId });
+    peer.outstanding.set(id, { sentAt: this.now(), background });
+    peer.sent++;
+  }
+
+  // Returns { rtt, background } for an answer to an outstanding ping, otherwise null
+  pong({ peerId, id }) {
+    if (!this.peers.has(peerId)) return null;
+    this.expire({ peerId });
+
+    const peer = this.peers.get(peerId);
+    const ping = peer.outstanding.get(id);
+    if (!ping) return null;
+    peer.outstanding.delete(id);
+
+    const rtt = this.now() - ping.sentAt;
+    peer.samples.push(rtt);
+    if (peer.samples.length > this.window) {
+      peer.samples.shift();
+    }
+    peer.received++;
+    return { rtt, background: ping.background };
+  }
+
+  expire({ peerId }) {
+    const peer = this.peers.get(peerId);
+    if (!peer) return;
+
+    const now = this.now();
+    for (const [id, ping] of peer.outstanding) {
+      if (now - ping.sentAt > this.timeout) {
+        peer.outstanding.delete(id);
+        peer.lost++;
+      }
+    }
+  }
+
+  // Times are in milliseconds and null until the first pong; loss is a
+  // fraction of the pings that were either answered or timed out
+  stats({ peerId }) {
+    this.expire({ peerId });
+    const { samples, sent, received, lost, outstanding } = this.getPeer({ peerId });
+    const settled = received + lost;
+    const summary = { sent, received, lost, pending: outstanding.size, loss: settled > 0 ? lost / settled : 0 };
+
+    if (samples.length === 0) {
+      return { ...summary, last: null, min: null, avg: null, p95: null, jitter: null };
+    }
+
+    const sorted = [...samples].sort((a, b) => a - b);
+    const round = (value) => Math.round(value * 10) / 10;
+    let jitter = 0;
+    for (let i = 1; i < samples.length; i++) {
+      jitter += Math.abs(samples[i] - samples[i - 1]);
+    }
+
+    return {
+      ...summary,
+      last: samples[samples.length - 1],
+      min: sorted[0],
+      avg: round(samples.reduce((sum, rtt) => sum + rtt, 0) / samples.length),
+      p95: sorted[Math.ceil(sorted.length * 0.95) - 1],
+      // Mean difference between consecutive round trips
+      jitter: samples.length > 1 ? round(jitter / (samples.length - 1)) : 0,
+    };
+  }
+
+  forget({ peerId }) {
+    this.peers.delete(peerId);
+  }
+}
+
+export { DEFAULT_TIMEOUT };
+export default LatencyTracker;
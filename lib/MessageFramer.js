@@ -0,0 +1,57 @@
+import { StringDecoder } from "string_decoder";
+import b4a from "b4a";
+
+const FRAME_DELIMITER = "\n";
+const DEFAULT_MAX_FRAME_SIZE = 1024 * 1024;
+
+// Newline-delimited JSON framing. JSON.stringify escapes every newline inside
+// strings, so the delimiter can never appear within an encoded message.
+class MessageFramer {
+  constructor({ maxFrameSize = DEFAULT_MAX_FRAME_SIZE } = {}) {
+    this.maxFrameSize = maxFrameSize;
+    this.decoder = new StringDecoder("utf8");
+    this.buffer = "";
+    // Set after an oversized frame, whose remaining input is skipped up to the next delimiter
+    this.discarding = false;
+  }
+
+  encode({ message }) {
+    return JSON.stringify(message) + FRAME_DELIMITER;
+  }
+
+  // Throws when a frame is larger than maxFrameSize bytes, whether it arrived
+  // whole or is still unfinished. The error's frames are the ones that were
+  // within the limit in the same data; an oversized frame is dropped, and
+  // decoding resumes with the frame after it.
+  decode({ data }) {
+    let text = typeof data === "string" ? data : this.decoder.write(data);
+
+    if (this.discarding) {
+      const end = text.indexOf(FRAME_DELIMITER);
+      if (end === -1) return [];
+      text = text.substring(end + 1);
+      this.discarding = false;
+    }
+
+    const frames = (this.buffer + text).split(FRAME_DELIMITER);
+    this.buffer = frames.pop();
+
+    const complete = frames.filter((frame) => frame.trim().length > 0);
+    const withinLimit = complete.filter((frame) => b4a.byteLength(frame) <= this.maxFrameSize);
+    let oversized = withinLimit.length < complete.length;
+
+    if (b4a.byteLength(this.buffer) > this.maxFrameSize) {
+      this.buffer = "";
+      this.discarding = true;
+      oversized = true;
+    }
+
+    if (oversized) {
+      throw Object.assign(new Error(`Frame exceeds maximum size of ${this.maxFrameSize} bytes`), { frames: withinLimit });
+    }
+
+    return withinLimit;
+  }
+}
+
+export default MessageFramer;
@@ -1,108 +1,648 @@
+import crypto from "hypercore-crypto";
+import b4a from "b4a";
+import DedupCache from "./DedupCache.js";
+import MessageValidator, { MAX_TEXT_LENGTH } from "./MessageValidator.js";
+import RateLimiter, { DEFAULT_LIMITS } from "./RateLimiter.js";
+import LatencyTracker, { DEFAULT_TIMEOUT as PING_TIMEOUT } from "./LatencyTracker.js";
+import { PRESENCE_ICONS } from "./PresenceManager.js";
+
+// How many times a broadcast may be forwarded beyond the peers its author is connected to
+const DEFAULT_BROADCAST_TTL = 4;
+
+// major.minor: the major changes when older peers can no longer understand us,
+// the minor when message types or features are added
+const PROTOCOL_VERSION = "1.5";
+
+// Message types this peer handles, followed by optional features
+const CAPABILITIES = [
+  "welcome",
+  "chat",
+  "broadcast",
+  "ping",
+  "pong",
+  "topics",
+  "disconnect",
+  "file-offer",
+  "file-accept",
+  "file-reject",
+  "file-chunk",
+  "file-complete",
+  "heartbeat",
+  "nick",
+  "presence",
+  "ack",
+  "signatures",
+  "relay",
+  "encryption",
+  "ping-id",
+];
+
+// Handled without being kept in history, so background traffic and renames
+// do not fill it up
+const UNRECORDED_TYPES = new Set(["ping", "pong", "heartbeat", "nick", "presence", "ack"]);
+
+// What a peer that predates the handshake is assumed to understand
+const LEGACY_CAPABILITIES = ["welcome", "chat", "broadcast", "ping", "pong"];
+
 class MessageHandler {
-  constructor({ logger, name, sendToPeer }) {
+  constructor({
+    logger,
+    name,
+    keyPair,
+    sendToPeer,
+    updatePeerInfo = () => {},
+    getPeerName = () => null,
+    sendPresence = () => {},
+    flushOutbox = () => {},
+    confirmDelivery = () => {},
+    disconnectPeer = () => {},
+    reportInvalidMessage = () => {},
+    reportRateLimited = () => {},
+    relayBroadcast = () => {},
+    handleFileMessage = () => {},
+    historyStore = null,
+    channelManager = null,
+    events = null,
+    broadcastTtl = DEFAULT_BROADCAST_TTL,
+    rateLimits = DEFAULT_LIMITS,
+    pingTimeout = PING_TIMEOUT,
+  }) {
     this.logger = logger;
     this.name = name;
+    this.keyPair = keyPair;
     this.sendToPeer = sendToPeer;
+    this.updatePeerInfo = updatePeerInfo;
+    this.getPeerName = getPeerName;
+    this.sendPresence = sendPresence;
+    this.flushOutbox = flushOutbox;
+    this.confirmDelivery = confirmDelivery;
+    this.disconnectPeer = disconnectPeer;
+    this.reportInvalidMessage = reportInvalidMessage;
+    this.reportRateLimited = reportRateLimited;
+    this.relayBroadcast = relayBroadcast;
+    this.handleFileMessage = handleFileMessage;
+    this.historyStore = historyStore;
+    this.channelManager = channelManager;
+    this.events = events;
+    this.broadcastTtl = broadcastTtl;
+    this.seenBroadcasts = new DedupCache({ maxSize: 4096 });
+    this.seenDirect = new DedupCache({ maxSize: 1024 });
+    this.validator = new MessageValidator();
+    this.rateLimiter = new RateLimiter({ limits: rateLimits });
+    this.latency = new LatencyTracker({ timeout: pingTimeout });
   }
 
-  handleIncomingMessage({ peerId, data, messageHistory }) {
+  handleIncomingMessage({ peerId, data, messageHistory, remotePublicKey = null }) {
     try {
       const message = this.parseMessage({ data });
-      this.recordMessage({ message, peerId, messageHistory });
-      this.logIncomingMessage({ peerId, message });
-      this.processMessageByType({ peerId, message });
+
+      // Enforce the schema of the message type before anything is logged, stored or acted on
+      const problem = this.validator.validate({ message });
+      if (problem) {
+        this.rejectMessage({ peerId, reason: problem });
+        return;
+      }
+
+      // A flooding peer is cut off before its messages cost a signature check or a log write
+      const relayed = message.type === "broadcast" && message.hops > 0;
+      if (!this.rateLimiter.take({ peerId, type: message.type, relayed })) {
+        this.reportRateLimited({ peerId, type: message.type });
+        return;
+      }
+
+      // Gossiped broadcasts reach us once per path; only the first copy counts
+      if (message.type === "broadcast" && message.id && this.seenBroadcasts.has(message.id)) {
+        this.logger.debug(`Dropping duplicate broadcast ${message.id} from ${peerId}`);
+        return;
+      }
+
+      // A direct message comes again when our ack was lost; acknowledge it without showing it twice
+      if (message.type === "chat" && message.id && this.seenDirect.has(message.id)) {
+        this.logger.debug(`Acknowledging repeated direct message ${message.id} from ${peerId}`);
+        this.sendAck({ peerId, id: message.id });
+        return;
+      }
+
+      const verification = this.verifyMessage({ message, remotePublicKey });
+      if (verification === "invalid") {
+        this.logger.warn(`⚠️  Rejected message from ${peerId}: signature does not match the sender's public key`, {
+          type: message.type,
+          from: message.from,
+        });
+        this.reportInvalidMessage({ peerId, reason: "bad signature" });
+        return;
+      }
+      const verified = verification === "verified";
+
+      // File transfer traffic is neither logged verbatim nor kept in history
+      if (typeof message.type === "string" && message.type.startsWith("file-")) {
+        if (verified) {
+          this.handleFileMessage({ peerId, message });
+        } else {
+          this.logger.warn(`⚠️  Ignoring unverified ${message.type} from ${peerId}`);
+        }
+        return;
+      }
+
+      if (UNRECORDED_TYPES.has(message.type)) {
+        this.processMessageByType({ peerId, message, verified });
+        return;
+      }
+
+      if (!this.isForJoinedChannel({ message })) {
+        this.logger.debug(`Ignoring ${message.type} from ${peerId} for a channel we have not joined`, {
+          topic: message.topic,
+        });
+        return;
+      }
+
+      const content = this.openMessage({ peerId, message });
+      if (!content) return;
+
+      // Only remember IDs of authentic copies so a forgery cannot suppress the real message
+      if (message.type === "broadcast" && message.id) {
+        this.seenBroadcasts.add(message.id);
+      }
+
+      const entry = this.recordMessage({ message: content, peerId, verified, messageHistory });
+      this.logIncomingMessage({ peerId, message: content });
+      this.processMessageByType({ peerId, message: content, verified });
+      this.emit("message", { entry });
+      // The ack goes out once the message is stored, so it means processed rather than received
+      if (message.type === "chat" && message.id) {
+        this.seenDirect.add(message.id);
+        this.sendAck({ peerId, id: message.id });
+      }
+      // Relays forward what they received, so encrypted broadcasts stay encrypted
+      this.relayIfNeeded({ peerId, message, verified });
     } catch (err) {
-      this.logger.error("Failed to parse incoming message:", { error: err.message });
+      if (err instanceof SyntaxError) {
+        this.rejectMessage({ peerId, reason: "malformed JSON" });
+      } else {
+        this.logger.error("Failed to handle incoming message:", { error: err.message });
+      }
     }
   }
 
+  // A peer that is not on our allowlist must open with a welcome, signed by the
+  // key it connected with, that carries an invite. Returns { token, name } or { reason }.
+  readInvite({ data, remotePublicKey }) {
+    let message;
+    try {
+      message = this.parseMessage({ data });
+    } catch {
+      return { reason: "malformed JSON" };
+    }
+
+    const problem = this.validator.validate({ message });
+    if (problem) return { reason: problem };
+    if (message.type !== "welcome" || !message.invite) return { reason: "not on the allowlist and no invite presented" };
+    if (this.verifyMessage({ message, remotePublicKey }) !== "verified") {
+      return { reason: "invite is not signed by the connecting key" };
+    }
+    return { token: message.invite, name: message.from };
+  }
+
+  forgetPeer({ peerId }) {
+    this.rateLimiter.forget({ peerId });
+    this.latency.forget({ peerId });
+  }
+
   parseMessage({ data }) {
     return JSON.parse(data.toString());
   }
 
-  recordMessage({ message, peerId, messageHistory }) {
-    messageHistory.push({ ...message, peerId, received: Date.now() });
+  rejectMessage({ peerId, reason }) {
+    this.logger.warn(`⚠️  Dropped invalid message from ${peerId}: ${reason}`);
+    this.reportInvalidMessage({ peerId, reason });
+  }
+
+  // The signature covers the JSON encoding of every other field, in the order
+  // the sender wrote them, which JSON.parse preserves on the receiving side.
+  // ttl and hops change at every relay and are therefore left out.
+  signablePayload({ message }) {
+    const { signature, ttl, hops, ...body } = message;
+    return b4a.from(JSON.stringify(body));
+  }
+
+  signMessage({ message }) {
+    const signature = crypto.sign(this.signablePayload({ message }), this.keyPair.secretKey);
+    return { ...message, signature: b4a.toString(signature, "hex") };
+  }
+
+  // Returns "verified", "unsigned" (no signature or no key to check against) or "invalid".
+  // Broadcasts may be relayed, so they are checked against their author's key
+  // (origin) rather than the key of the connection they arrived on.
+  verifyMessage({ message, remotePublicKey }) {
+    const signerKey = message.type === "broadcast" && message.origin ? b4a.from(message.origin, "hex") : remotePublicKey;
+
+    if (typeof message.signature !== "string" || !signerKey) {
+      return "unsigned";
+    }
+
+    const signature = b4a.from(message.signature, "hex");
+    if (signature.length !== 64 || signerKey.length !== 32) {
+      return "invalid";
+    }
+
+    return crypto.verify(this.signablePayload({ message }), signature, signerKey) ? "verified" : "invalid";
+  }
+
+  // Forward authentic gossip broadcasts to our other peers while hops remain
+  relayIfNeeded({ peerId, message, verified }) {
+    if (message.type !== "broadcast" || !message.id || !verified) return;
+    if (!Number.isInteger(message.ttl) || message.ttl <= 0) return;
+
+    this.relayBroadcast({
+      fromPeerId: peerId,
+      message: { ...message, ttl: message.ttl - 1, hops: (message.hops || 0) + 1 },
+    });
+  }
+
+  // Additional data for a broadcast's ciphertext: the payload only decrypts
+  // for the channel and message ID it was written for
+  broadcastAad({ message }) {
+    return `${message.topic}/${message.id}`;
+  }
+
+  // Decrypts broadcasts on encrypted channels. Returns the message with its
+  // plaintext, or null if it must be dropped: a channel with a key only
+  // accepts broadcasts encrypted with that key, so peers without the secret
+  // cannot inject into it.
+  openMessage({ peerId, message }) {
+    const cipher =
+      message.type === "broadcast" && message.topic && this.channelManager
+        ? this.channelManager.getCipher({ topicHex: message.topic })
+        : null;
+    if (!cipher) return message;
+
+    if (typeof message.ciphertext !== "string") {
+      this.logger.warn(
+        `⚠️  Dropped unencrypted broadcast from ${peerId} on encrypted channel ${this.channelManager.label({ topicHex: message.topic })}`,
+      );
+      return null;
+    }
+
+    const plaintext = cipher.decrypt({ payload: message.ciphertext, aad: this.broadcastAad({ message }) });
+    if (plaintext === null || plaintext.length > MAX_TEXT_LENGTH) {
+      this.logger.warn(`⚠️  Dropped broadcast from ${peerId} that does not decrypt with the room key`);
+      return null;
+    }
+
+    const { ciphertext, ...fields } = message;
+    return { ...fields, message: plaintext, encrypted: true };
+  }
+
+  // Messages without a topic are connection-level and always accepted
+  isForJoinedChannel({ message }) {
+    if (!message.topic || !this.channelManager) return true;
+    return this.channelManager.hasTopic({ topicHex: message.topic });
+  }
+
+  formatChannel({ message }) {
+    if (!message.topic || !this.channelManager) return "";
+    return `[${this.channelManager.label({ topicHex: message.topic })}] `;
+  }
+
+  // Messages straight from their author show the name from the peer's welcome
+  // or latest rename; relayed broadcasts can only show the name they carry
+  formatSender({ peerId, message, verified }) {
+    const name = message.hops > 0 ? message.from : this.getPeerName({ peerId }) || message.from;
+    return verified ? name : `${name} ⚠️ (unverified)`;
+  }
+
+  // Ciphertext we hold no key for is not kept; the entry is only marked encrypted
+  recordMessage({ message, peerId, verified, messageHistory }) {
+    const { signature, ciphertext, ...fields } = message;
+    const entry = {
+      ...fields,
+      peerId,
+      peerName: this.getPeerName({ peerId }),
+      direct: message.type === "chat",
+      verified,
+      received: Date.now(),
+    };
+    if (ciphertext) {
+      entry.encrypted = true;
+    }
+    messageHistory.push(entry);
+
+    if (this.historyStore) {
+      this.historyStore.append({ entry });
+    }
+    return entry;
+  }
+
+  emit(event, payload) {
+    if (this.events) {
+      this.events.emit(event, payload);
+    }
   }
 
   logIncomingMessage({ peerId, message }) {
     this.logger.peer(`Message from ${peerId}:`, message);
   }
 
-  processMessageByType({ peerId, message }) {
+  processMessageByType({ peerId, message, verified = false }) {
     switch (message.type) {
       case "welcome":
-        this.handleWelcomeMessage({ message });
+        this.handleWelcomeMessage({ peerId, message, verified });
         break;
       case "chat":
-        this.handleChatMessage({ message });
+        this.handleChatMessage({ peerId, message, verified });
         break;
       case "broadcast":
-        this.handleBroadcastMessage({ message });
+        this.handleBroadcastMessage({ peerId, message, verified });
         break;
       case "ping":
         this.handlePingMessage({ peerId, message });
         break;
       case "pong":
-        this.handlePongMessage({ message });
+        this.handlePongMessage({ peerId, message });
+        break;
+      case "topics":
+        this.handleTopicsMessage({ peerId, message });
+        break;
+      case "disconnect":
+        this.handleDisconnectMessage({ peerId, message });
+        break;
+      case "nick":
+        this.handleNickMessage({ peerId, message, verified });
+        break;
+      case "presence":
+        this.handlePresenceMessage({ peerId, message });
+        break;
+      case "ack":
+        this.confirmDelivery({ peerId, id: message.id });
+        break;
+      case "heartbeat":
+        // Any data from a peer counts as a sign of life; the connection manager
+        // has already noted it
         break;
       default:
         this.logger.warn(`Unknown message type: ${message.type}`, message);
     }
   }
 
-  handleWelcomeMessage({ message }) {
-    this.logger.success(`Welcome message from ${message.from}`);
+  handleWelcomeMessage({ peerId, message, verified }) {
+    const protocol = typeof message.protocol === "string" ? message.protocol : null;
+    const reason = this.checkProtocolVersion({ version: message.protocol });
+    if (reason) {
+      this.disconnectPeer({ peerId, reason });
+      return;
+    }
+
+    const capabilities = protocol && Array.isArray(message.capabilities) ? message.capabilities : LEGACY_CAPABILITIES;
+    this.updatePeerInfo({ peerId, name: message.from, verified, protocol, capabilities });
+    if (Array.isArray(message.topics)) {
+      this.updatePeerInfo({ peerId, topics: message.topics });
+    }
+    this.logger.success(`Welcome message from ${this.formatSender({ peerId, message, verified })}`);
+
+    // Late joiners learn our presence as part of the handshake
+    if (capabilities.includes("presence")) {
+      this.sendPresence({ peerId });
+    }
+    // Messages queued while the peer was away go out once we know what it supports
+    this.flushOutbox({ peerId });
+  }
+
+  // Returns why a peer speaking the given version cannot be talked to, or null.
+  // Peers without a version predate the handshake and are accepted as legacy.
+  checkProtocolVersion({ version }) {
+    if (version === undefined) return null;
+
+    const match = typeof version === "string" && version.match(/^(\d+)\.(\d+)$/);
+    if (!match) {
+      return `malformed protocol version ${JSON.stringify(version)}`;
+    }
+
+    const [ourMajor] = PROTOCOL_VERSION.split(".");
+    if (match[1] !== ourMajor) {
+      return `incompatible protocol version ${version} (we speak ${PROTOCOL_VERSION})`;
+    }
+    return null;
+  }
+
+  handleDisconnectMessage({ peerId, message }) {
+    this.logger.warn(`Peer ${peerId} is disconnecting: ${message.reason || "no reason given"}`);
   }
 
-  handleChatMessage({ message }) {
-    this.logger.info(`💬 ${message.from}: ${message.message}`);
+  handleChatMessage({ peerId, message, verified }) {
+    this.logger.peer(`📩 [DM] ${this.formatSender({ peerId, message, verified })} → you: ${message.message}`);
   }
 
-  handleBroadcastMessage({ message }) {
-    this.logger.info(`📢 Broadcast from ${message.from}: ${message.message}`);
+  handleBroadcastMessage({ peerId, message, verified }) {
+    const via = message.hops > 0 ? ` (${message.hops} hops)` : "";
+    const text = message.message === undefined ? "🔒 (encrypted, no key for this room)" : message.message;
+    this.logger.info(`📢 ${this.formatChannel({ message })}Broadcast from ${this.formatSender({ peerId, message, verified })}${via}: ${text}`);
   }
 
   handlePingMessage({ peerId, message }) {
     this.sendToPeer({
       peerId,
+      message: this.signMessage({
+        message: {
+          type: "pong",
+          ...(message.id ? { id: message.id } : {}),
+          from: this.name,
+          originalTimestamp: message.timestamp,
+          timestamp: Date.now(),
+        },
+      }),
+    });
+  }
+
+  // Latency is measured against our own record of when the ping went out to
+  // this peer, so a peer cannot report a made-up time or answer a ping twice.
+  // Answers to background pings only go to the log, with the peer's statistics.
+  // Peers that predate ping IDs are matched on the ping's timestamp instead.
+  handlePongMessage({ peerId, message }) {
+    const sample = this.latency.pong({ peerId, id: message.id ?? message.originalTimestamp });
+    if (!sample) {
+      this.logger.debug(`Ignoring pong from ${peerId} that does not answer a pending ping`);
+      return;
+    }
+
+    const latency = sample.rtt;
+    this.updatePeerInfo({ peerId, rtt: latency });
+    if (sample.background) {
+      this.logger.debug(`🏓 Pong from ${message.from} (${latency}ms)`, this.latency.stats({ peerId }));
+    } else {
+      this.logger.success(`🏓 Pong from ${message.from} (${latency}ms latency)`);
+    }
+    this.emit("pong", { peerId, from: message.from, latency });
+  }
+
+  handleNickMessage({ peerId, message, verified }) {
+    const previous = this.getPeerName({ peerId }) || peerId;
+    this.updatePeerInfo({ peerId, name: message.from });
+    this.logger.info(`✏️  ${previous} is now known as ${this.formatSender({ peerId, message, verified })}`);
+  }
+
+  handlePresenceMessage({ peerId, message }) {
+    const presence = {
+      state: message.state,
+      reason: message.reason ?? null,
+      status: message.status ?? null,
+      since: message.since ?? message.timestamp,
+    };
+    this.updatePeerInfo({ peerId, presence });
+
+    const name = this.getPeerName({ peerId }) || message.from;
+    const reason = presence.reason ? `: ${presence.reason}` : "";
+    const status = presence.status ? ` (${presence.status})` : "";
+    this.logger.info(`${PRESENCE_ICONS[presence.state]} ${name} is ${presence.state}${reason}${status}`);
+    this.emit("presence", { peerId, name, ...presence });
+  }
+
+  handleTopicsMessage({ peerId, message }) {
+    if (!Array.isArray(message.topics)) return;
+    this.updatePeerInfo({ peerId, topics: message.topics });
+    this.logger.debug(`Peer ${peerId} is now on ${message.topics.length} topics`);
+  }
+
+  // invite is only included for the peer that issued it
+  createWelcomeMessage({ name, topics = [], invite = null }) {
+    return this.signMessage({
       message: {
-        type: "pong",
-        from: this.name,
-        originalTimestamp: message.timestamp,
+        type: "welcome",
+        from: name,
+        message: `Hello from ${name}!`,
+        protocol: PROTOCOL_VERSION,
+        capabilities: CAPABILITIES,
+        topics,
+        ...(invite ? { invite } : {}),
         timestamp: Date.now(),
       },
     });
   }
 
-  handlePongMessage({ message }) {
-    const latency = Date.now() - message.originalTimestamp;
-    this.logger.success(`🏓 Pong from ${message.from} (${latency}ms latency)`);
+  createDisconnectMessage({ name, reason }) {
+    return this.signMessage({
+      message: {
+        type: "disconnect",
+        from: name,
+        reason,
+        timestamp: Date.now(),
+      },
+    });
   }
 
-  createWelcomeMessage({ name }) {
-    return {
-      type: "welcome",
-      from: name,
-      message: `Hello from ${name}!`,
-      timestamp: Date.now(),
-    };
+  createTopicsMessage({ name, topics }) {
+    return this.signMessage({
+      message: {
+        type: "topics",
+        from: name,
+        topics,
+        timestamp: Date.now(),
+      },
+    });
   }
 
-  createBroadcastMessage({ name, message }) {
-    return {
-      type: "broadcast",
-      from: name,
-      message,
-      timestamp: Date.now(),
-    };
+  // Only peers that send acks get an id, older ones would reject the field
+  createChatMessage({ name, message, tracked = false }) {
+    const id = tracked ? { id: b4a.toString(crypto.randomBytes(16), "hex") } : {};
+    return this.signMessage({
+      message: {
+        type: "chat",
+        ...id,
+        from: name,
+        message,
+        timestamp: Date.now(),
+      },
+    });
   }
 
-  createPingMessage({ name }) {
-    return {
-      type: "ping",
-      from: name,
-      timestamp: Date.now(),
-    };
+  sendAck({ peerId, id }) {
+    this.sendToPeer({ peerId, message: this.createAckMessage({ name: this.name, id }) });
+  }
+
+  createAckMessage({ name, id }) {
+    return this.signMessage({
+      message: {
+        type: "ack",
+        from: name,
+        id,
+        timestamp: Date.now(),
+      },
+    });
+  }
+
+  // On an encrypted channel the text is sent as ciphertext only
+  createBroadcastMessage({ name, message, topic = null }) {
+    const id = b4a.toString(crypto.randomBytes(16), "hex");
+
+    // Our own broadcast will come back to us through the mesh; ignore it then
+    this.seenBroadcasts.add(id);
+
+    const cipher = topic && this.channelManager ? this.channelManager.getCipher({ topicHex: topic }) : null;
+    const body = cipher
+      ? { ciphertext: cipher.encrypt({ plaintext: message, aad: this.broadcastAad({ message: { topic, id } }) }) }
+      : { message };
+
+    return this.signMessage({
+      message: {
+        type: "broadcast",
+        id,
+        origin: b4a.toString(this.keyPair.publicKey, "hex"),
+        from: name,
+        ...body,
+        topic,
+        timestamp: Date.now(),
+        ttl: this.broadcastTtl,
+        hops: 0,
+      },
+    });
+  }
+
+  createHeartbeatMessage({ name }) {
+    return this.signMessage({
+      message: {
+        type: "heartbeat",
+        from: name,
+        timestamp: Date.now(),
+      },
+    });
+  }
+
+  createNickMessage({ name, previous }) {
+    return this.signMessage({
+      message: {
+        type: "nick",
+        from: name,
+        previous,
+        timestamp: Date.now(),
+      },
+    });
+  }
+
+  createPresenceMessage({ name, presence }) {
+    return this.signMessage({
+      message: {
+        type: "presence",
+        from: name,
+        state: presence.state,
+        reason: presence.reason,
+        status: presence.status,
+        since: presence.since,
+        timestamp: Date.now(),
+      },
+    });
+  }
+
+  // The caller registers the ping with latency for every peer it is sent to.
+  // Only peers that list ping-id get an id, older ones would reject the field.
+  createPingMessage({ name, tracked = false }) {
+    const id = tracked ? { id: b4a.toString(crypto.randomBytes(16), "hex") } : {};
+    return this.signMessage({
+      message: {
+        type: "ping",
+        ...id,
+        from: name,
+        timestamp: Date.now(),
+      },
+    });
   }
 }
 
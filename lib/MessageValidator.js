@@ -0,0 +1,193 @@
+// Limits on what a peer may send us; anything larger is dropped before it is
+// logged or stored
+const MAX_NAME_LENGTH = 64;
+const MAX_TEXT_LENGTH = 4096;
+const MAX_TOPICS = 64;
+// Text of up to 4096 characters (3 UTF-8 bytes each), plus nonce and tag, as base64
+const MAX_CIPHERTEXT_LENGTH = 16 * 1024 + 64;
+
+const NAME = { type: "string", maxLength: MAX_NAME_LENGTH };
+const TEXT = { type: "string", maxLength: MAX_TEXT_LENGTH };
+const TIMESTAMP = { type: "number" };
+const TOPIC = { type: "string", pattern: /^[0-9a-f]{64}$/ };
+const TOPIC_LIST = { type: "array", maxItems: MAX_TOPICS, items: TOPIC };
+const TRANSFER_ID = { type: "string", pattern: /^[0-9a-f]{16}$/ };
+const OFFSET = { type: "integer", min: 0 };
+const MESSAGE_ID = { type: "string", pattern: /^[0-9a-f]{32}$/ };
+
+// Fields every message may or must carry, on top of its type's schema
+const COMMON = {
+  type: { type: "string" },
+  from: { ...NAME, optional: true },
+  timestamp: TIMESTAMP,
+  signature: { type: "string", pattern: /^[0-9a-f]{128}$/, optional: true },
+};
+
+// One schema per message type. Fields not listed here are rejected.
+const SCHEMAS = {
+  welcome: {
+    from: NAME,
+    message: { type: "string", maxLength: 256, optional: true },
+    protocol: { type: "string", maxLength: 16, optional: true },
+    capabilities: { type: "array", maxItems: 64, items: { type: "string", maxLength: 32 }, optional: true },
+    topics: { ...TOPIC_LIST, optional: true },
+    invite: { type: "string", maxLength: 1024, pattern: /^[A-Za-z0-9_-]+$/, optional: true },
+  },
+  chat: {
+    id: { ...MESSAGE_ID, optional: true },
+    from: NAME,
+    message: TEXT,
+  },
+  broadcast: {
+    id: { ...MESSAGE_ID, optional: true },
+    origin: { ...TOPIC, optional: true },
+    from: NAME,
+    // Broadcasts on an encrypted room carry ciphertext instead of message
+    message: { ...TEXT, optional: true },
+    ciphertext: { type: "string", maxLength: MAX_CIPHERTEXT_LENGTH, pattern: /^[A-Za-z0-9+/]*={0,2}$/, optional: true },
+    topic: { ...TOPIC, optional: true, nullable: true },
+    ttl: { type: "integer", min: 0, max: 16, optional: true },
+    hops: { type: "integer", min: 0, max: 64, optional: true },
+  },
+  ping: {
+    id: { ...MESSAGE_ID, optional: true },
+    from: NAME,
+  },
+  pong: {
+    id: { ...MESSAGE_ID, optional: true },
+    from: NAME,
+    originalTimestamp: TIMESTAMP,
+  },
+  topics: {
+    from: NAME,
+    topics: TOPIC_LIST,
+  },
+  disconnect: {
+    reason: { type: "string", maxLength: 256 },
+  },
+  heartbeat: {
+    from: NAME,
+  },
+  nick: {
+    from: NAME,
+    previous: { ...NAME, optional: true },
+  },
+  ack: {
+    from: NAME,
+    id: MESSAGE_ID,
+  },
+  presence: {
+    from: NAME,
+    state: { type: "string", pattern: /^(online|away|idle)$/ },
+    reason: { type: "string", maxLength: 256, optional: true, nullable: true },
+    status: { type: "string", maxLength: 256, optional: true, nullable: true },
+    since: { ...TIMESTAMP, optional: true },
+  },
+  "file-offer": {
+    transferId: TRANSFER_ID,
+    fileName: { type: "string", maxLength: 255 },
+    size: OFFSET,
+    hash: TOPIC,
+  },
+  "file-accept": {
+    transferId: TRANSFER_ID,
+    offset: OFFSET,
+  },
+  "file-reject": {
+    transferId: TRANSFER_ID,
+    reason: { type: "string", maxLength: 256, optional: true },
+  },
+  "file-chunk": {
+    transferId: TRANSFER_ID,
+    offset: OFFSET,
+    // 16 KB chunks are about 21.9 KB as base64
+    data: { type: "string", maxLength: 24 * 1024, pattern: /^[A-Za-z0-9+/]*={0,2}$/ },
+  },
+  "file-complete": {
+    transferId: TRANSFER_ID,
+    ok: { type: "boolean" },
+    reason: { type: "string", maxLength: 256, optional: true },
+  },
+};
+
+// Types where exactly one of the listed fields must be present
+const EXACTLY_ONE = {
+  broadcast: ["message", "ciphertext"],
+};
+
+// Checks incoming messages against the schema for their type
+class MessageValidator {
+  // Returns null for a valid message, otherwise a short reason
+  validate({ message }) {
+    if (message === null || typeof message !== "object" || Array.isArray(message)) {
+      return "message is not a JSON object";
+    }
+
+    const schema = typeof message.type === "string" && Object.hasOwn(SCHEMAS, message.type) ? SCHEMAS[message.type] : null;
+    if (!schema) {
+      return `unknown message type ${JSON.stringify(String(message.type).substring(0, 32))}`;
+    }
+
+    const rules = { ...COMMON, ...schema };
+    for (const field of Object.keys(message)) {
+      if (!Object.hasOwn(rules, field)) {
+        return `unexpected field "${field.substring(0, 32)}"`;
+      }
+    }
+
+    for (const [field, rule] of Object.entries(rules)) {
+      const error = this.checkField({ value: message[field], rule });
+      if (error) {
+        return `${field} ${error}`;
+      }
+    }
+
+    const alternatives = EXACTLY_ONE[message.type];
+    if (alternatives && alternatives.filter((field) => message[field] !== undefined).length !== 1) {
+      return `exactly one of ${alternatives.join(", ")} is required`;
+    }
+
+    return null;
+  }
+
+  checkField({ value, rule }) {
+    if (value === undefined) {
+      return rule.optional ? null : "is required";
+    }
+    if (value === null) {
+      return rule.nullable ? null : "must not be null";
+    }
+
+    switch (rule.type) {
+      case "string":
+        if (typeof value !== "string") return "must be a string";
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+          return `is longer than ${rule.maxLength} characters`;
+        }
+        if (rule.pattern && !rule.pattern.test(value)) return "has an invalid format";
+        return null;
+      case "number":
+      case "integer":
+        if (typeof value !== "number" || !Number.isFinite(value)) return "must be a number";
+        if (rule.type === "integer" && !Number.isInteger(value)) return "must be an integer";
+        if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+        if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+        return null;
+      case "boolean":
+        return typeof value === "boolean" ? null : "must be a boolean";
+      case "array":
+        if (!Array.isArray(value)) return "must be an array";
+        if (value.length > rule.maxItems) return `has more than ${rule.maxItems} items`;
+        for (const item of value) {
+          const error = this.checkField({ value: item, rule: rule.items });
+          if (error) return `item ${error}`;
+        }
+        return null;
+      default:
+        return "has an unsupported rule";
+    }
+  }
+}
+
+export { MAX_TEXT_LENGTH };
+export default MessageValidator;
@@ -0,0 +1,45 @@
+// The names peers announce, by public key. Every peer picks its own name, so
+// two keys can claim the same one; clashes are reported, never resolved by
+// renaming anyone.
+class NameDirectory {
+  constructor() {
+    // publicKey hex -> name, for connected peers
+    this.names = new Map();
+    // publicKey hex -> the last name it announced, kept after it disconnects
+    this.lastNames = new Map();
+  }
+
+  // Returns the name the key had before, or null
+  set({ publicKey, name }) {
+    const previous = this.names.get(publicKey) ?? null;
+    this.names.set(publicKey, name);
+    this.lastNames.set(publicKey, name);
+    return previous;
+  }
+
+  get({ publicKey }) {
+    return this.names.get(publicKey) ?? null;
+  }
+
+  delete({ publicKey }) {
+    this.names.delete(publicKey);
+  }
+
+  // Keys that announced this name at some point while we were running
+  keysLastNamed({ name }) {
+    return [...this.lastNames.entries()].filter(([, other]) => other === name).map(([key]) => key);
+  }
+
+  lastNameOf({ publicKey }) {
+    return this.lastNames.get(publicKey) ?? null;
+  }
+
+  // The other keys that announced the same name as this one
+  clashesFor({ publicKey }) {
+    const name = this.names.get(publicKey);
+    if (!name) return [];
+    return [...this.names.entries()].filter(([key, other]) => key !== publicKey && other === name).map(([key]) => key);
+  }
+}
+
+export default NameDirectory;
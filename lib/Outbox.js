@@ -0,0 +1,91 @@
+import fs from "fs";
+import path from "path";
+import crypto from "hypercore-crypto";
+import b4a from "b4a";
+
+// Direct messages for peers that are not connected, by public key. Saved to
+// disk on every change, so messages survive restarts until their delivery
+// settles or they are cancelled.
+class Outbox {
+  constructor({ logger, file }) {
+    this.logger = logger;
+    this.file = file;
+    // id -> { id, publicKey, name, message, queuedAt }
+    this.entries = new Map();
+    // IDs of entries sent and waiting for an ack; not saved, so a restart sends them again
+    this.sending = new Set();
+  }
+
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) return this;
+
+    let stored;
+    try {
+      stored = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    } catch (err) {
+      throw new Error(`Cannot read outbox ${this.file}: ${err.message}`);
+    }
+
+    for (const entry of Array.isArray(stored.messages) ? stored.messages : []) {
+      if (typeof entry.id === "string" && /^[0-9a-f]{64}$/.test(entry.publicKey) && typeof entry.message === "string") {
+        this.entries.set(entry.id, entry);
+      }
+    }
+
+    if (this.entries.size > 0) {
+      this.logger.info(`📬 Loaded ${this.entries.size} queued messages from ${this.file}`);
+    }
+    return this;
+  }
+
+  save() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({ messages: this.list() }, null, 2));
+  }
+
+  add({ publicKey, name = null, message }) {
+    let id;
+    do {
+      id = b4a.toString(crypto.randomBytes(4), "hex");
+    } while (this.entries.has(id));
+
+    const entry = { id, publicKey, name, message, queuedAt: Date.now() };
+    this.entries.set(entry.id, entry);
+    this.save();
+    return entry;
+  }
+
+  // Called when a message is cancelled or delivered
+  remove({ id }) {
+    const entry = this.entries.get(id) || null;
+    this.sending.delete(id);
+    if (entry) {
+      this.entries.delete(id);
+      this.save();
+    }
+    return entry;
+  }
+
+  // A message whose delivery failed waits for the peer's next connection
+  release({ id }) {
+    this.sending.delete(id);
+  }
+
+  // Returns what is queued for a key and not already on its way, oldest first,
+  // and marks it as sent. The entries stay queued until they are removed.
+  takeFor({ publicKey }) {
+    const entries = this.list({ publicKey }).filter((entry) => !this.sending.has(entry.id));
+    for (const entry of entries) {
+      this.sending.add(entry.id);
+    }
+    return entries;
+  }
+
+  list({ publicKey = null } = {}) {
+    const entries = [...this.entries.values()];
+    return publicKey ? entries.filter((entry) => entry.publicKey === publicKey) : entries;
+  }
+}
+
+export default Outbox;
@@ -0,0 +1,61 @@
+// How each state is shown next to a peer's name and in presence changes
+const PRESENCE_ICONS = { online: "🟢", away: "🌙", idle: "💤" };
+
+// Our own presence: online, away (set by hand, with an optional reason) or
+// idle (set automatically after a while without input), plus a free-text
+// status message that is independent of the state. Every method returns
+// whether anything changed, so the caller knows when to tell peers.
+class PresenceManager {
+  constructor({ idleAfter = null, now = Date.now } = {}) {
+    // Milliseconds without input before going idle; null never goes idle
+    this.idleAfter = idleAfter;
+    this.now = now;
+    this.state = "online";
+    this.reason = null;
+    this.status = null;
+    this.since = now();
+    this.lastActivity = now();
+  }
+
+  setState({ state, reason = null }) {
+    if (this.state === state && this.reason === reason) return false;
+    this.state = state;
+    this.reason = reason;
+    this.since = this.now();
+    return true;
+  }
+
+  away({ reason = null } = {}) {
+    return this.setState({ state: "away", reason });
+  }
+
+  back() {
+    this.lastActivity = this.now();
+    return this.setState({ state: "online" });
+  }
+
+  setStatus({ status = null }) {
+    if (this.status === status) return false;
+    this.status = status;
+    return true;
+  }
+
+  // Input ends an automatic idle state, but not an away set by hand
+  activity() {
+    this.lastActivity = this.now();
+    return this.state === "idle" ? this.setState({ state: "online" }) : false;
+  }
+
+  checkIdle() {
+    if (this.idleAfter === null || this.state !== "online") return false;
+    if (this.now() - this.lastActivity < this.idleAfter) return false;
+    return this.setState({ state: "idle" });
+  }
+
+  get() {
+    return { state: this.state, reason: this.reason, status: this.status, since: this.since };
+  }
+}
+
+export { PRESENCE_ICONS };
+export default PresenceManager;
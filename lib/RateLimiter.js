@@ -0,0 +1,77 @@
+// Incoming message budgets per peer, one token bucket per group of message
+// types. rate is tokens refilled per second, burst the bucket size.
+const DEFAULT_LIMITS = {
+  messages: { rate: 5, burst: 20 },
+  // Broadcasts a neighbour forwards for other authors carry a whole room's traffic
+  relay: { rate: 50, burst: 200 },
+  ping: { rate: 1, burst: 5 },
+  control: { rate: 1, burst: 10 },
+  // A transfer streams 16 KB chunks as fast as the connection drains
+  file: { rate: 500, burst: 1000 },
+};
+
+const GROUP_BY_TYPE = {
+  chat: "messages",
+  broadcast: "messages",
+  // Acks answer our own direct messages one for one
+  ack: "messages",
+  ping: "ping",
+  pong: "ping",
+  welcome: "control",
+  topics: "control",
+  disconnect: "control",
+  heartbeat: "control",
+  nick: "control",
+  presence: "control",
+  // Only chunks are bulk; offers, answers and completions are control messages
+  "file-chunk": "file",
+};
+
+class RateLimiter {
+  constructor({ limits = DEFAULT_LIMITS, now = Date.now } = {}) {
+    this.limits = limits;
+    this.now = now;
+    // peerId -> Map(group -> { tokens, updated })
+    this.buckets = new Map();
+  }
+
+  groupFor({ type, relayed = false }) {
+    if (relayed) return "relay";
+    return Object.hasOwn(GROUP_BY_TYPE, type) ? GROUP_BY_TYPE[type] : "control";
+  }
+
+  // Spends one token from the peer's bucket for this type; false means drop the message.
+  // relayed marks a broadcast the peer forwards rather than wrote itself.
+  take({ peerId, type, relayed = false }) {
+    const group = this.groupFor({ type, relayed });
+    const limit = this.limits[group];
+    if (!limit) return true;
+
+    let peerBuckets = this.buckets.get(peerId);
+    if (!peerBuckets) {
+      peerBuckets = new Map();
+      this.buckets.set(peerId, peerBuckets);
+    }
+
+    const now = this.now();
+    let bucket = peerBuckets.get(group);
+    if (!bucket) {
+      bucket = { tokens: limit.burst, updated: now };
+      peerBuckets.set(group, bucket);
+    }
+
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + ((now - bucket.updated) / 1000) * limit.rate);
+    bucket.updated = now;
+
+    if (bucket.tokens < 1) return false;
+    bucket.tokens--;
+    return true;
+  }
+
+  forget({ peerId }) {
+    this.buckets.delete(peerId);
+  }
+}
+
+export { DEFAULT_LIMITS };
+export default RateLimiter;
@@ -0,0 +1,61 @@
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from "crypto";
+import b4a from "b4a";
+
+// Both the topic and the key are derived from the secret with scrypt, so the
+// topic announced on the DHT does not make weak secrets cheap to guess
+const SECRET_SALT = "hyperswarm-cli/room-secret/v1";
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+const ALGORITHM = "chacha20-poly1305";
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Encrypts message bodies for a room created from a shared secret. Payloads
+// are base64 of nonce, ciphertext and authentication tag; the additional data
+// binds a payload to one message so it cannot be replayed elsewhere.
+class RoomCipher {
+  constructor({ key }) {
+    this.key = key;
+  }
+
+  static fromSecret({ secret }) {
+    if (typeof secret !== "string" || secret.length === 0) {
+      throw new Error("Room secret cannot be empty");
+    }
+
+    const derived = scryptSync(secret, SECRET_SALT, 64, SCRYPT_OPTIONS);
+    return {
+      topic: b4a.from(derived.subarray(0, 32)),
+      cipher: new RoomCipher({ key: b4a.from(derived.subarray(32)) }),
+    };
+  }
+
+  encrypt({ plaintext, aad }) {
+    const nonce = randomBytes(NONCE_LENGTH);
+    const cipher = createCipheriv(ALGORITHM, this.key, nonce, { authTagLength: TAG_LENGTH });
+    cipher.setAAD(b4a.from(aad));
+    const ciphertext = b4a.concat([cipher.update(b4a.from(plaintext)), cipher.final()]);
+    return b4a.toString(b4a.concat([nonce, ciphertext, cipher.getAuthTag()]), "base64");
+  }
+
+  // Returns the plaintext, or null if the payload was not encrypted with this
+  // key for this message
+  decrypt({ payload, aad }) {
+    const data = b4a.from(payload, "base64");
+    if (data.length < NONCE_LENGTH + TAG_LENGTH) return null;
+
+    try {
+      const decipher = createDecipheriv(ALGORITHM, this.key, data.subarray(0, NONCE_LENGTH), {
+        authTagLength: TAG_LENGTH,
+      });
+      decipher.setAAD(b4a.from(aad));
+      decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+      const plaintext = b4a.concat([decipher.update(data.subarray(NONCE_LENGTH, data.length - TAG_LENGTH)), decipher.final()]);
+      return b4a.toString(plaintext);
+    } catch {
+      return null;
+    }
+  }
+}
+
+export default RoomCipher;
@@ -1,5 +1,13 @@
 import b4a from "b4a";
-import process from "process";
+import { PRESENCE_ICONS } from "./PresenceManager.js";
+
+// How the delivery state of our own direct messages is shown in /history
+const DELIVERY_LABELS = {
+  pending: "⏳ pending",
+  delivered: "✓ delivered",
+  failed: "❌ failed",
+  unconfirmed: "(unconfirmed)",
+};
 
 class UIDisplay {
   constructor({ logger }) {
@@ -10,67 +18,188 @@ class UIDisplay {
     this.logger.separator();
     this.logger.info("Available commands:");
     console.log("  /help      - Show this help message");
-    console.log("  /peers     - List connected peers");
+    console.log("  /peers     - List connected peers and their protocol versions");
     console.log("  /ping      - Ping all connected peers");
+    console.log("  /stats [peer] - Show round-trip time, jitter and loss per peer");
     console.log("  /broadcast <message> - Broadcast message to all peers");
-    console.log("  /history   - Show message history");
-    console.log("  /status    - Show connection status");
+    console.log("  /msg <peer> <message> - Send a direct message to one peer (ID prefix or name)");
+    console.log("  /outbox [cancel <id>] - List messages queued for peers that are not connected, or cancel one");
+    console.log("  /send <peer> <path> - Offer a file to a peer");
+    console.log("  /accept [id] - Accept a file offer");
+    console.log("  /reject [id] - Reject a file offer");
+    console.log("  /transfers - List file transfers");
+    console.log("  /history [count] [--before <time>] - Show message history (default: last 10)");
+    console.log("  /ban <peer> [reason] - Ban a peer or public key; banned keys are refused on connect");
+    console.log("  /unban <key|name> - Lift a ban");
+    console.log("  /bans      - List banned public keys");
+    console.log("  /allow [key [name]] - Add a key to the allowlist, or list it (needs --allow)");
+    console.log("  /revoke <key|name> - Remove a key from the allowlist and disconnect it");
+    console.log("  /invite [hours] - Issue a single-use invite to this private peer (default: 24 hours)");
+    console.log("  /nick <name> - Change your name and tell all peers");
+    console.log("  /away [reason] - Tell peers you are away");
+    console.log("  /back      - Tell peers you are back");
+    console.log("  /status-msg [text] - Set a status message shown to peers (no text clears it)");
+    console.log("  /status    - Show connection and discovery status");
+    console.log("  /discover  - Re-announce and look up all topics now");
     console.log("  /topic     - Show current topic for sharing");
+    console.log("  /topics    - List joined channels");
+    console.log("  /join <room|topic> - Join a room name or hex topic as a new channel (or switch to it)");
+    console.log("  /join --secret <secret> - Join the end-to-end encrypted room for a shared secret");
+    console.log("  /leave [topic] - Leave a channel (default: current)");
+    console.log("  /switch <topic> - Make a joined channel the current one");
     console.log("  /quit      - Quit the application");
-    console.log("  <message>  - Send message to all peers");
+    console.log("  <message>  - Send message to all peers on the current channel");
     this.logger.separator();
   }
 
-  showPeers({ connectionManager }) {
-    const connections = connectionManager.getConnections();
-    const connectionsSize = connectionManager.getConnectionsSize();
+  showPeers({ peers }) {
+    this.logger.separator();
+    this.logger.info(`Connected peers (${peers.length}):`);
 
+    if (peers.length === 0) {
+      console.log("  No peers connected");
+    }
+    for (const peer of peers) {
+      const name = peer.name ? ` ${peer.name}` : "";
+      const clash = peer.nameClash ? " ⚠️ name clash" : "";
+      const invalid = peer.invalidMessages > 0 ? ` ⚠️ ${peer.invalidMessages} invalid` : "";
+      const limited = peer.rateLimited > 0 ? ` ⏱️ ${peer.rateLimited} rate-limited` : "";
+      const rtt = peer.rtt !== null ? ` ${peer.rtt}ms` : "";
+      const presence = peer.presence ? ` ${this.formatPresence({ presence: peer.presence })}` : "";
+      console.log(
+        `  • ${peer.peerId}${name}${clash}${presence} (${peer.remoteAddress}) ${this.formatProtocol({ info: peer })}${rtt}${invalid}${limited}`,
+      );
+    }
     this.logger.separator();
-    this.logger.info(`Connected peers (${connectionsSize}):`);
+  }
+
+  // Peers that predate presence never send one and show nothing
+  formatPresence({ presence }) {
+    const reason = presence.reason ? `: ${presence.reason}` : "";
+    const status = presence.status ? ` "${presence.status}"` : "";
+    return `${PRESENCE_ICONS[presence.state] || ""} ${presence.state}${reason}${status}`;
+  }
+
+  showPresence({ presence }) {
+    this.logger.info(`Presence: ${this.formatPresence({ presence })}`);
+  }
 
-    if (connectionsSize === 0) {
+  showStats({ stats }) {
+    const ms = (value) => (value === null ? "-" : `${value}ms`);
+
+    this.logger.separator();
+    this.logger.info(`Latency statistics (${stats.length} peers):`);
+
+    if (stats.length === 0) {
       console.log("  No peers connected");
-    } else {
-      for (const [peerId, conn] of connections) {
-        console.log(`  • ${peerId} (${conn.remoteAddress})`);
-      }
+    }
+    for (const peer of stats) {
+      const name = peer.name ? ` ${peer.name}` : "";
+      const loss = `${Math.round(peer.loss * 100)}% (${peer.lost}/${peer.received + peer.lost})`;
+      console.log(
+        `  • ${peer.peerId}${name}: last ${ms(peer.last)}, min ${ms(peer.min)}, avg ${ms(peer.avg)}, ` +
+          `p95 ${ms(peer.p95)}, jitter ${ms(peer.jitter)}, loss ${loss}`,
+      );
+    }
+    if (stats.some((peer) => peer.sent === 0)) {
+      console.log("  Peers without samples have not been pinged yet: use /ping or --ping-interval");
     }
     this.logger.separator();
   }
 
-  showMessageHistory({ messageHistory }) {
+  // Peers that have not sent their welcome yet are "handshaking"; peers that
+  // predate protocol versions are "legacy"
+  formatProtocol({ info }) {
+    if (!info || !info.capabilities) return "[handshaking]";
+    return info.protocol ? `[v${info.protocol}]` : "[legacy]";
+  }
+
+  showMessageHistory({ messageHistory, messages = messageHistory, before = null }) {
+    const beforeLabel = before === null ? "" : ` before ${new Date(before).toLocaleString()}`;
+    const today = new Date().toDateString();
+
     this.logger.separator();
-    this.logger.info(`Message history (${messageHistory.length} messages):`);
+    this.logger.info(`Message history (showing ${messages.length} of ${messageHistory.length} messages${beforeLabel}):`);
 
-    messageHistory.slice(-10).forEach((msg, index) => {
-      const time = new Date(msg.received).toLocaleTimeString();
-      console.log(`  [${time}] ${msg.peerId}: ${msg.message || msg.type}`);
+    messages.forEach((msg) => {
+      const received = new Date(msg.received);
+      const time = received.toDateString() === today ? received.toLocaleTimeString() : received.toLocaleString();
+      const tag = `${msg.direct ? " [DM]" : ""}${msg.encrypted ? " 🔒" : ""}${msg.verified ? "" : " [unverified]"}`;
+      const hops = msg.hops > 0 ? ` (${msg.hops} hops)` : "";
+      const text = msg.message || (msg.encrypted ? "(encrypted, no key for this room)" : msg.type);
+      // Relayed broadcasts name their author; everything else the peer it came from
+      const sender = msg.hops > 0 ? msg.from : msg.peerName || msg.from;
+      const peer = sender ? `${sender} (${msg.peerId})` : msg.peerId;
+      const label = msg.outgoing ? `you → ${msg.peerName ? `${msg.peerName} (${msg.peerId})` : msg.peerId}` : peer;
+      const delivery = msg.delivery ? ` ${DELIVERY_LABELS[msg.delivery] || msg.delivery}` : "";
+      console.log(`  [${time}]${tag} ${label}: ${text}${hops}${delivery}`);
     });
     this.logger.separator();
   }
 
-  showStatus({ mode, name, topic, connectionManager, messageHistory }) {
-    const connectionsSize = connectionManager.getConnectionsSize();
+  // The channel manager is only needed for the room name of the current channel
+  showStatus({ status, channelManager }) {
+    const current = status.currentChannel;
 
     this.logger.separator();
     this.logger.info("Status Information:");
-    console.log(`  Mode: ${mode}`);
-    console.log(`  Name: ${name}`);
-    console.log(`  Topic: ${topic ? b4a.toString(topic, "hex").substring(0, 16) + "..." : "none"}`);
-    console.log(`  Connected peers: ${connectionsSize}`);
-    console.log(`  Messages received: ${messageHistory.length}`);
-    console.log(`  Uptime: ${Math.floor(process.uptime())}s`);
+    console.log(`  Mode: ${status.mode}`);
+    console.log(`  Name: ${status.name}`);
+    console.log(`  Presence: ${this.formatPresence({ presence: status.presence })}`);
+    console.log(`  Public key: ${status.publicKey}`);
+    console.log(`  Current channel: ${current ? `${channelManager.label({ topicHex: current })} (${current.substring(0, 16)}...)` : "none"}`);
+    console.log(`  Joined channels: ${status.channels.length}`);
+    console.log(`  Connected peers: ${status.connectedPeers}`);
+    console.log(`  Discovery: ${this.describeDiscovery({ discovery: status.discovery })}`);
+    console.log(`  Messages received: ${status.messagesReceived}`);
+    console.log(`  Uptime: ${status.uptime}s`);
     this.logger.separator();
   }
 
-  showTopic({ topic }) {
+  showDiscovery({ discovery }) {
+    this.logger.info(`📡 Discovery: ${this.describeDiscovery({ discovery })}`);
+  }
+
+  describeDiscovery({ discovery }) {
+    const { state, attempts, nextAttemptAt, lastResult } = discovery;
+    const secondsFrom = (time) => Math.max(0, Math.round(Math.abs(Date.now() - time) / 1000));
+
+    let result = "none yet";
+    if (lastResult) {
+      const outcome = lastResult.error
+        ? `failed: ${lastResult.error}`
+        : `${lastResult.peersSeen} peers seen on ${lastResult.topics} topics`;
+      result = `${outcome}, ${secondsFrom(lastResult.at)}s ago`;
+    }
+
+    if (state === "searching") {
+      const next = nextAttemptAt ? `, next try in ${secondsFrom(nextAttemptAt)}s` : "";
+      return `still searching (${attempts} attempts, last DHT result: ${result}${next})`;
+    }
+    return state === "connected" ? `connected (last DHT result: ${result})` : "not started";
+  }
+
+  showTopic({ topic, room = null, encrypted = false }) {
     this.logger.separator();
-    if (topic) {
+    if (topic && encrypted) {
+      // The topic alone only gets a peer ciphertext
+      this.logger.info("Current channel is an encrypted room:");
+      console.log(`  Topic: ${b4a.toString(topic, "hex")}`);
+      console.log("");
+      console.log("Share the room secret privately; peers join with:");
+      console.log("  node main.js --secret <secret>");
+    } else if (topic) {
       const topicHex = b4a.toString(topic, "hex");
       this.logger.info("Current Topic (copy this to connect other peers):");
+      if (room) {
+        console.log(`  Room: ${room}`);
+      }
       console.log(`  ${topicHex}`);
       console.log("");
       console.log(`To connect peers, use:`);
+      if (room) {
+        console.log(`  node main.js --room ${JSON.stringify(room)}`);
+      }
       console.log(`  node main.js --topic ${topicHex}`);
       console.log(`  npm run peer -- --topic ${topicHex}`);
     } else {
@@ -79,6 +208,103 @@ class UIDisplay {
     this.logger.separator();
   }
 
+  showTopics({ channelManager, connectionManager }) {
+    const channels = channelManager.getChannels();
+    const current = channelManager.getCurrent();
+
+    this.logger.separator();
+    this.logger.info(`Joined channels (${channels.length}):`);
+
+    if (channels.length === 0) {
+      console.log("  Not on any channel");
+    } else {
+      for (const channel of channels) {
+        const marker = channel === current ? "*" : " ";
+        const peers = connectionManager.getPeersInTopic({ topicHex: channel.topicHex }).length;
+        const lock = channel.cipher ? " 🔒" : "";
+        console.log(`  ${marker} ${channelManager.label({ topicHex: channel.topicHex })}${lock} ${channel.topicHex} (${peers} peers)`);
+      }
+    }
+    this.logger.separator();
+  }
+
+  showBans({ bans }) {
+    this.logger.separator();
+    this.logger.info(`Banned keys (${bans.length}):`);
+
+    if (bans.length === 0) {
+      console.log("  No banned keys");
+    }
+    for (const ban of bans) {
+      const name = ban.name ? ` ${ban.name}` : "";
+      const reason = ban.reason ? ` - ${ban.reason}` : "";
+      console.log(`  🚫 ${ban.publicKey}${name} (since ${new Date(ban.bannedAt).toLocaleString()})${reason}`);
+    }
+    this.logger.separator();
+  }
+
+  showOutbox({ messages }) {
+    this.logger.separator();
+    this.logger.info(`Queued messages (${messages.length}):`);
+
+    if (messages.length === 0) {
+      console.log("  Nothing queued. /msg to a known peer that is not connected queues the message");
+    }
+    for (const { id, publicKey, name, message, queuedAt } of messages) {
+      const recipient = name ? `${name} (${publicKey.substring(0, 16)})` : publicKey.substring(0, 16);
+      console.log(`  📬 ${id} → ${recipient}, queued ${new Date(queuedAt).toLocaleString()}: ${message}`);
+    }
+    this.logger.separator();
+  }
+
+  showAllowList({ keys }) {
+    this.logger.separator();
+    this.logger.info(`Allowed keys (${keys.length}):`);
+
+    if (keys.length === 0) {
+      console.log("  No keys allowed yet. Add one with /allow <key> or issue an /invite");
+    }
+    for (const { publicKey, name } of keys) {
+      console.log(`  🔑 ${publicKey}${name ? ` ${name}` : ""}`);
+    }
+    this.logger.separator();
+  }
+
+  showInvite({ token, expires }) {
+    this.logger.separator();
+    this.logger.info(`Invite (single use, valid until ${new Date(expires).toLocaleString()}):`);
+    console.log(`  ${token}`);
+    console.log("");
+    console.log("The invited peer joins with:");
+    console.log(`  node main.js --invite ${token} --topic <topic>`);
+    this.logger.separator();
+  }
+
+  showTransfers({ fileTransferManager }) {
+    const { outgoing, incoming } = fileTransferManager.getTransfers();
+    const format = (bytes) => fileTransferManager.formatBytes(bytes);
+
+    this.logger.separator();
+    this.logger.info(`File transfers (${outgoing.length} outgoing, ${incoming.length} incoming):`);
+
+    if (outgoing.length === 0 && incoming.length === 0) {
+      console.log("  No file transfers");
+    }
+    for (const transfer of outgoing) {
+      console.log(
+        `  ↑ ${transfer.transferId.substring(0, 8)} ${transfer.fileName} → ${transfer.peerId} ` +
+          `${transfer.status} (${format(transfer.offset)}/${format(transfer.size)})`,
+      );
+    }
+    for (const transfer of incoming) {
+      console.log(
+        `  ↓ ${transfer.transferId.substring(0, 8)} ${transfer.fileName} ← ${transfer.peerId} ` +
+          `${transfer.status} (${format(transfer.received)}/${format(transfer.size)})`,
+      );
+    }
+    this.logger.separator();
+  }
+
   showUsage() {
     console.log(`
 🌐 Hyperswarm CLI - Advanced P2P Networking Tool
@@ -87,15 +313,28 @@ Usage: node main.js [options]
 
 Options:
   -m, --mode <mode>     Operation mode: peer (default: peer)
-  -t, --topic <topic>   Hex-encoded topic to join (generates random if not provided)
-  -n, --name <name>     Peer name (generates random if not provided)
-  -p, --port <port>     Port number (for future use)
+  -t, --topic <topic>   Hex-encoded 32-byte topic to join, repeatable (generates random if not provided)
+  -r, --room <name>     Room name to join, the topic is derived from it; repeatable
+  --secret <secret>     Join the end-to-end encrypted room for a shared secret; repeatable
+  -n, --name <name>     Peer name (default: a random name, kept in the first free data/default*)
+  -p, --port <port>     Serve the control API on http://127.0.0.1:<port>
+  -i, --identity <file> Keypair file (default: data/<name or default>/identity.json, created if missing)
+  --downloads <dir>     Where received files are saved (default: data/<name>/downloads)
+  --allow <keyfile>     Private mode: only accept peers whose public keys are listed in <keyfile>
+  --invite <token>      Present an invite issued by a private peer's /invite
+  --ping-interval <s>   Ping peers every <s> seconds in the background for /stats
+  --idle-timeout <s>    Evict peers silent for <s> seconds (default: 45)
+  --idle-after <min>    Show as idle after <min> minutes without input (default: 10)
+  --headless            Read commands from any stdin, write JSON lines to stdout
+  --exit-on-eof         Quit when stdin ends, as if /quit had been typed (headless)
   -h, --help           Show this help message
   -v, --version        Show version information
 
 Examples:
   node main.js                                     # Start as peer with random topic
   node main.js --name "alice" --topic <hex-topic>  # Join specific topic as "alice"
+  node main.js --topic <hex-a> --topic <hex-b>     # Join two topics as separate channels
+  node main.js --room "team-standup"               # Join a room by name
 
 npm scripts:
   npm run peer     # Start as peer
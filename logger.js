@@ -3,8 +3,10 @@ import path from "path";
 import chalk from "chalk";
 
 class Logger {
-  constructor({ name = "app" } = {}) {
+  constructor({ name = "app", quiet = false, onLog = null } = {}) {
     this.name = name;
+    this.quiet = quiet; // Skip console output (headless mode), the log file is still written
+    this.onLog = onLog;
     
     // Ensure log directory exists
     const logDir = "./log";
@@ -48,8 +50,14 @@ class Logger {
     const formattedMessage = this._formatMessage({ level, message, data });
     const coloredMessage = this.colors[level] ? this.colors[level](formattedMessage) : formattedMessage;
 
-    console.log(coloredMessage);
+    if (!this.quiet) {
+      console.log(coloredMessage);
+    }
     this._writeToFile({ message: formattedMessage });
+
+    if (this.onLog) {
+      this.onLog({ level, message, data });
+    }
   }
 
   info(message, data) {
@@ -76,7 +84,9 @@ class Logger {
 
   separator() {
     const line = "─".repeat(80);
-    console.log(chalk.gray(line));
+    if (!this.quiet) {
+      console.log(chalk.gray(line));
+    }
     this._writeToFile(line);
   }
 }
@@ -1,76 +1,139 @@
 #!/usr/bin/env node
 
-import Hyperswarm from "hyperswarm";
-import crypto from "hypercore-crypto";
-import b4a from "b4a";
 import minimist from "minimist";
+import fs from "fs";
 import process from "process";
-import { delay } from "es-toolkit";
+import path from "path";
 import Logger from "./logger.js";
-import EventHandler from "./lib/EventHandler.js";
-import MessageHandler from "./lib/MessageHandler.js";
-import ConnectionManager from "./lib/ConnectionManager.js";
+import HyperswarmPeer, { DEFAULT_IDLE_TIMEOUT } from "./lib/HyperswarmPeer.js";
 import UIDisplay from "./lib/UIDisplay.js";
-
-class HyperswarmCLI {
-  constructor({ mode = "peer", topic = null, port = null, name = null } = {}) {
-    this.mode = mode;
-    this.topic = topic;
-    this.port = port;
-    this.name = name || `peer-${Math.random().toString(36).substr(2, 8)}`;
-
-    this.logger = new Logger({ name: this.name });
-    this.swarm = new Hyperswarm();
-    this.messageHistory = [];
-    this.abortControllers = new Set(); // Track AbortControllers for cleanup
-
-    // Initialize components
-    this.messageHandler = new MessageHandler({
-      logger: this.logger,
-      name: this.name,
-      sendToPeer: this.sendToPeer.bind(this),
-    });
-
-    this.connectionManager = new ConnectionManager({
-      logger: this.logger,
-      messageHandler: this.messageHandler,
-      messageHistory: this.messageHistory,
+import JsonDisplay from "./lib/JsonDisplay.js";
+import ControlServer from "./lib/ControlServer.js";
+
+// Terminal front end for HyperswarmPeer: reads commands from the input stream,
+// shows results and serves the control API. Signal handling and exiting the
+// process are left to main() so the class can be embedded and tested.
+class HyperswarmCLI extends HyperswarmPeer {
+  constructor({
+    mode = "peer",
+    topic = null,
+    room = null,
+    secret = null,
+    port = null,
+    name = null,
+    dataDir = null,
+    identity = null,
+    downloads = null,
+    allow = null,
+    invite = null,
+    pingInterval = null,
+    idleTimeout = DEFAULT_IDLE_TIMEOUT,
+    idleAfter = 10,
+    headless = false,
+    exitOnEof = false,
+    input = process.stdin,
+    output = process.stdout,
+    swarm = null,
+  } = {}) {
+    // Without --name the peer lives in the first free data/default directory
+    // and keeps the name it was first given there, so its identity and
+    // history survive restarts
+    let dataDirLock = null;
+    if (!dataDir && !name) {
+      ({ dataDir, lockFile: dataDirLock } = claimDefaultDataDir());
+    }
+    dataDir = dataDir || path.join("data", name);
+    name = name || loadOrCreateName({ dataDir });
+
+    // Headless output replaces the coloured console; the log file is written either way
+    const jsonDisplay = headless ? new JsonDisplay({ output }) : null;
+    const logger = new Logger({
+      name,
+      quiet: headless,
+      onLog: headless ? (entry) => jsonDisplay.onLog(entry) : null,
     });
 
-    this.eventHandler = new EventHandler({
-      logger: this.logger,
+    super({
+      name,
+      topic,
+      room,
+      secret,
+      dataDir,
+      identity,
+      downloads,
+      allow,
+      invite,
+      pingInterval,
+      idleTimeout,
+      idleAfter,
+      swarm,
+      logger,
     });
 
-    this.uiDisplay = new UIDisplay({
-      logger: this.logger,
-    });
+    this.mode = mode;
+    this.dataDirLock = dataDirLock;
+    this.headless = headless;
+    this.exitOnEof = exitOnEof;
+    this.port = port;
+    this.input = input;
+    this.output = output;
+    this.jsonDisplay = jsonDisplay;
 
-    this.setupEventHandlers();
-    this.setupGracefulShutdown();
-  }
+    if (headless) {
+      this.uiDisplay = this.jsonDisplay;
+      this.jsonDisplay.attach({ events: this.eventHandler });
+    } else {
+      this.uiDisplay = new UIDisplay({
+        logger: this.logger,
+      });
+    }
 
-  setupEventHandlers() {
-    this.eventHandler.setupSwarmEventHandlers({
-      swarm: this.swarm,
-      connectionManager: this.connectionManager,
-    });
+    // Only started when --port is given
+    this.controlServer = null;
+    this.stopReadingInput = null;
 
-    this.eventHandler.setupStdinEventHandlers();
     this.eventHandler.on("userInput", ({ input }) => {
       this.handleUserInput({ input });
     });
+
+    // Services often run with stdin on /dev/null, so the end of input only
+    // stops the peer when asked to with --exit-on-eof
+    this.eventHandler.on("inputClosed", () => {
+      if (this.exitOnEof) {
+        this.shutdown();
+        return;
+      }
+      this.logger.info("Input closed; still running until stopped with a signal");
+    });
   }
 
-  sendToPeer({ peerId, message }) {
-    this.connectionManager.sendToPeer({ peerId, message });
+  // Resolves a /msg or /send target to exactly one connected peer, warning otherwise
+  resolvePeer({ target }) {
+    try {
+      return this.findPeer({ query: target });
+    } catch (err) {
+      this.logger.warn(err.code === "PEER_NOT_FOUND" ? `${err.message}. Use /peers to list peers.` : err.message);
+      return null;
+    }
   }
 
-  broadcast({ message }) {
-    this.connectionManager.broadcast({ message, name: this.name });
+  sendDirectMessage({ target, message }) {
+    if (!target || !message) {
+      this.logger.warn("Usage: /msg <peer> <message>");
+      return;
+    }
+
+    // Peers that are known but not connected get the message queued in the outbox
+    try {
+      this.sendMessage({ peer: target, message });
+    } catch (err) {
+      this.logger.warn(err.code === "PEER_NOT_FOUND" ? `${err.message}. Use /peers to list peers.` : err.message);
+    }
   }
 
   handleUserInput({ input }) {
     if (!input) return;
+    this.markActive();
 
     const [command, ...args] = input.split(" ");
 
@@ -79,28 +142,98 @@ class HyperswarmCLI {
         this.uiDisplay.showHelp();
         break;
       case "/peers":
-        this.uiDisplay.showPeers({ connectionManager: this.connectionManager });
+        this.uiDisplay.showPeers({ peers: this.getPeers() });
         break;
       case "/ping":
         this.pingAllPeers();
         break;
+      case "/stats":
+        this.showStats({ query: args[0] });
+        break;
       case "/broadcast":
         this.broadcast({ message: args.join(" ") });
         break;
+      case "/msg":
+        this.sendDirectMessage({ target: args[0], message: args.slice(1).join(" ") });
+        break;
+      case "/send":
+        this.sendFile({ target: args[0], filePath: args.slice(1).join(" ") });
+        break;
+      case "/accept":
+        this.respondToTransfer({ query: args[0], accept: true });
+        break;
+      case "/reject":
+        this.respondToTransfer({ query: args[0], accept: false });
+        break;
+      case "/transfers":
+        this.uiDisplay.showTransfers({ fileTransferManager: this.fileTransferManager });
+        break;
       case "/history":
-        this.uiDisplay.showMessageHistory({ messageHistory: this.messageHistory });
+        this.showHistory({ args });
+        break;
+      case "/ban":
+        this.banFromInput({ target: args[0], reason: args.slice(1).join(" ") });
+        break;
+      case "/unban":
+        this.unbanFromInput({ query: args[0] });
+        break;
+      case "/bans":
+        this.uiDisplay.showBans({ bans: this.getBans() });
+        break;
+      case "/outbox":
+        this.outboxFromInput({ args });
+        break;
+      case "/allow":
+        this.allowFromInput({ publicKey: args[0], name: args.slice(1).join(" ") });
+        break;
+      case "/revoke":
+        this.revokeFromInput({ query: args[0] });
+        break;
+      case "/invite":
+        this.inviteFromInput({ hours: args[0] });
         break;
       case "/status":
-        this.uiDisplay.showStatus({
-          mode: this.mode,
-          name: this.name,
-          topic: this.topic,
-          connectionManager: this.connectionManager,
-          messageHistory: this.messageHistory,
+        this.uiDisplay.showStatus({ status: this.getStatus(), channelManager: this.channelManager });
+        break;
+      case "/discover":
+        this.discoverFromInput();
+        break;
+      case "/nick":
+        this.nickFromInput({ name: args.join(" ") });
+        break;
+      case "/away":
+        this.presenceFromInput(() => this.setAway({ reason: args.join(" ") || null }));
+        break;
+      case "/back":
+        this.presenceFromInput(() => this.setBack());
+        break;
+      case "/status-msg":
+        this.presenceFromInput(() => this.setStatusMessage({ text: args.join(" ") || null }));
+        break;
+      case "/topic": {
+        const channel = this.channelManager.getCurrent();
+        this.uiDisplay.showTopic({
+          topic: channel ? channel.topic : null,
+          room: channel ? channel.name : null,
+          encrypted: Boolean(channel && channel.cipher),
         });
         break;
-      case "/topic":
-        this.uiDisplay.showTopic({ topic: this.topic });
+      }
+      case "/topics":
+        this.uiDisplay.showTopics({ channelManager: this.channelManager, connectionManager: this.connectionManager });
+        break;
+      case "/join":
+        if (args[0] === "--secret") {
+          this.joinSecretFromInput({ secret: args.slice(1).join(" ") });
+        } else {
+          this.joinTopicFromInput({ value: args[0] });
+        }
+        break;
+      case "/leave":
+        this.leaveTopic({ query: args[0] });
+        break;
+      case "/switch":
+        this.switchTopic({ query: args[0] });
         break;
       case "/quit":
       case "/exit":
@@ -115,150 +248,406 @@ class HyperswarmCLI {
     }
   }
 
-  pingAllPeers() {
-    this.connectionManager.pingAllPeers({ name: this.name });
+  // Library errors become console warnings
+  broadcast({ message, topic = null }) {
+    try {
+      return super.broadcast({ message, topic });
+    } catch (err) {
+      this.logger.warn(err.code === "INVALID_ARGUMENT" ? "Usage: /broadcast <message>" : err.message);
+      return null;
+    }
   }
 
-  // Expose for testing
-  handleIncomingMessage({ peerId, data }) {
-    this.messageHandler.handleIncomingMessage({ peerId, data, messageHistory: this.messageHistory });
-  }
+  async sendFile({ target, filePath }) {
+    if (!target || !filePath) {
+      this.logger.warn("Usage: /send <peer> <path>");
+      return;
+    }
+
+    const peerId = this.resolvePeer({ target });
+    if (!peerId) return;
 
-  handleConnection({ connection, info }) {
-    this.connectionManager.handleConnection({ connection, info });
+    try {
+      await this.fileTransferManager.offerFile({ peerId, filePath });
+    } catch (err) {
+      this.logger.error(`Cannot send ${filePath}:`, { error: err.message });
+    }
   }
 
-  async start() {
-    this.logger.success(`🚀 Starting Hyperswarm CLI in ${this.mode} mode`);
-    this.logger.info(`Peer name: ${this.name}`);
+  respondToTransfer({ query, accept }) {
+    const transfer = this.fileTransferManager.findPendingIncoming({ query });
+    if (!transfer) {
+      this.logger.warn(
+        query ? `No pending file offer matches "${query}"` : "Specify which offer to answer. Use /transfers to list them.",
+      );
+      return;
+    }
 
-    // Generate or use provided topic
-    let topicBuffer;
-    if (this.topic) {
-      topicBuffer = b4a.from(this.topic, "hex");
-      this.logger.info(`Using provided topic: ${this.topic}`);
+    if (accept) {
+      this.fileTransferManager.acceptTransfer({ transferId: transfer.transferId });
     } else {
-      topicBuffer = crypto.randomBytes(32);
-      const topicHex = b4a.toString(topicBuffer, "hex");
-      this.logger.info(`Generated topic: ${topicHex}`);
-      this.logger.warn(`⚠️  To connect other peers, use: --topic ${topicHex}`);
+      this.fileTransferManager.rejectTransfer({ transferId: transfer.transferId });
     }
+  }
 
-    // Store the topic for status display
-    this.topic = topicBuffer;
+  banFromInput({ target, reason }) {
+    if (!target) {
+      this.logger.warn("Usage: /ban <peer | public key> [reason]");
+      return;
+    }
 
-    // Join the swarm
-    const discovery = this.swarm.join(topicBuffer, {
-      client: true,
-      server: true,
-    });
+    try {
+      const { added } = this.banPeer({ peer: target, reason: reason || null });
+      if (!added) {
+        this.logger.info(`"${target}" is already banned`);
+      }
+    } catch (err) {
+      this.logger.warn(err.code === "PEER_NOT_FOUND" ? `${err.message}. Use /peers to list peers.` : err.message);
+    }
+  }
 
-    this.logger.info("Joining swarm...", {
-      mode: this.mode,
-      client: true,
-      server: true,
-      topicHash: b4a.toString(topicBuffer, "hex").substring(0, 16) + "...",
-    });
+  outboxFromInput({ args }) {
+    if (args.length === 0) {
+      this.uiDisplay.showOutbox({ messages: this.getOutbox() });
+      return;
+    }
+    if (args[0] !== "cancel" || !args[1]) {
+      this.logger.warn("Usage: /outbox [cancel <id>]");
+      return;
+    }
 
-    // Wait for the topic to be announced
-    await discovery.flushed();
-    this.logger.success("✅ Successfully joined swarm and announced topic");
+    try {
+      this.cancelQueued({ id: args[1] });
+    } catch (err) {
+      this.logger.warn(err.code === "OUTBOX_NOT_FOUND" ? `${err.message}. Use /outbox to list queued messages.` : err.message);
+    }
+  }
 
-    // Log additional swarm info
-    this.logger.debug(
-      `Swarm info: ${this.swarm.connections.size} connections, ${this.swarm.peers.size} peers`,
-    );
+  unbanFromInput({ query }) {
+    if (!query) {
+      this.logger.warn("Usage: /unban <public key | name>");
+      return;
+    }
 
-    // Start looking for peers
-    this.logger.info("🔍 Looking for peers on the network...");
+    try {
+      this.unbanPeer({ query });
+    } catch (err) {
+      this.logger.warn(err.code === "BAN_NOT_FOUND" ? `${err.message}. Use /bans to list bans.` : err.message);
+    }
+  }
 
-    // Set up a periodic check for peer discovery using delay
-    this.startPeerDiscoveryCheck();
+  // Without a key, lists the allowlist
+  allowFromInput({ publicKey, name }) {
+    try {
+      if (!publicKey) {
+        this.requireAllowList();
+        this.uiDisplay.showAllowList({ keys: this.getAllowList().keys });
+        return;
+      }
 
-    if (process.stdin.isTTY) {
-      this.logger.info("💡 Type /help for available commands, or just type a message to broadcast");
-      process.stdout.write("> ");
+      const { added } = this.allowKey({ publicKey, name: name || null });
+      if (!added) {
+        this.logger.info(`${publicKey.substring(0, 16)} is already allowed`);
+      }
+    } catch (err) {
+      this.logger.warn(err.code === "INVALID_ARGUMENT" ? "Usage: /allow [<public key> [name]]" : err.message);
     }
   }
 
-  async startPeerDiscoveryCheck() {
-    const controller = new AbortController();
-    this.abortControllers.add(controller);
+  revokeFromInput({ query }) {
+    if (!query) {
+      this.logger.warn("Usage: /revoke <public key | name>");
+      return;
+    }
 
     try {
-      // Check every 5 seconds for up to 30 seconds
-      for (let i = 0; i < 6; i++) {
-        await delay(5000, { signal: controller.signal });
-
-        const connections = this.connectionManager.getConnectionsSize();
-        this.logger.debug(`Peer discovery: ${this.swarm.peers.size} announcing topic, ${connections} connected`);
-        
-        if (connections > 0) {
-          // Found peers, stop checking
-          break;
-        }
+      this.revokeKey({ query });
+    } catch (err) {
+      this.logger.warn(err.code === "KEY_NOT_FOUND" ? `${err.message}. Use /allow to list allowed keys.` : err.message);
+    }
+  }
+
+  inviteFromInput({ hours }) {
+    try {
+      const { token, expires } = this.createInvite({ hours: hours || 24 });
+      this.uiDisplay.showInvite({ token, expires });
+    } catch (err) {
+      this.logger.warn(err.code === "INVALID_ARGUMENT" ? "Usage: /invite [hours]" : err.message);
+    }
+  }
+
+  showStats({ query }) {
+    try {
+      this.uiDisplay.showStats({ stats: this.getStats({ peer: query || null }) });
+    } catch (err) {
+      this.logger.warn(err.code === "PEER_NOT_FOUND" ? `${err.message}. Use /peers to list peers.` : err.message);
+    }
+  }
+
+  nickFromInput({ name }) {
+    if (!name) {
+      this.logger.warn("Usage: /nick <name>");
+      return;
+    }
+
+    try {
+      this.nick({ name });
+    } catch (err) {
+      this.logger.warn(err.message);
+    }
+  }
+
+  presenceFromInput(change) {
+    try {
+      this.uiDisplay.showPresence({ presence: change() });
+    } catch (err) {
+      this.logger.warn(err.message);
+    }
+  }
+
+  async discoverFromInput() {
+    this.logger.info("🔍 Refreshing peer discovery...");
+    try {
+      this.uiDisplay.showDiscovery({ discovery: await this.discover() });
+    } catch (err) {
+      this.logger.warn(err.message);
+    }
+  }
+
+  showHistory({ args }) {
+    const options = this.parseHistoryArgs({ args });
+    if (!options) {
+      this.logger.warn("Usage: /history [count] [--before <time>]");
+      return;
+    }
+
+    const channel = this.channelManager.getCurrent();
+    const messages = this.getHistory({ topic: channel ? channel.topicHex : null, ...options });
+    this.uiDisplay.showMessageHistory({ messageHistory: this.messageHistory, messages, before: options.before });
+  }
+
+  // Accepts "/history 50", "/history --before <time>" or both. <time> is an
+  // epoch in milliseconds, a date string, or HH:MM[:SS] for today.
+  parseHistoryArgs({ args }) {
+    const options = { limit: 10, before: null };
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      if (!arg) continue;
+
+      if (arg === "--before") {
+        const before = this.parseTime({ value: args[++i] });
+        if (before === null) return null;
+        options.before = before;
+      } else if (/^\d+$/.test(arg) && Number(arg) > 0) {
+        options.limit = Number(arg);
+      } else {
+        return null;
       }
-    } catch (error) {
-      if (error.name === "AbortError") {
-        this.logger.debug("Peer discovery check was cancelled");
+    }
+
+    return options;
+  }
+
+  // 64 hex characters are taken as a raw topic, anything else as a room name
+  async joinTopicFromInput({ value }) {
+    if (!value) {
+      this.logger.warn("Usage: /join <room name | 64-char hex topic>");
+      return;
+    }
+
+    try {
+      if (/^[0-9a-f]{64}$/i.test(value)) {
+        await this.join({ topic: value });
       } else {
-        this.logger.error("Error in peer discovery check:", { error: error.message });
+        await this.join({ room: value });
       }
-    } finally {
-      this.abortControllers.delete(controller);
+    } catch (err) {
+      this.logger.error("Failed to join topic:", { error: err.message });
     }
   }
 
-  setupGracefulShutdown() {
-    const shutdown = () => {
-      this.shutdown();
-    };
+  // The secret is never logged; the derived topic is
+  async joinSecretFromInput({ secret }) {
+    if (!secret) {
+      this.logger.warn("Usage: /join --secret <secret>");
+      return;
+    }
+
+    try {
+      await this.join({ secret });
+    } catch (err) {
+      this.logger.error("Failed to join encrypted room:", { error: err.message });
+    }
+  }
+
+  async leaveTopic({ query }) {
+    try {
+      await this.leave({ topic: query || null });
+    } catch (err) {
+      if (err.code === "CHANNEL_NOT_FOUND") {
+        this.logger.warn(query ? `${err.message}. Use /topics to list channels.` : "No channel to leave");
+      } else {
+        this.logger.error("Failed to leave topic:", { error: err.message });
+      }
+      return;
+    }
 
-    process.on("SIGINT", shutdown);
-    process.on("SIGTERM", shutdown);
-    process.on("uncaughtException", (err) => {
-      this.logger.error("Uncaught exception:", { error: err.message });
-      shutdown();
+    const current = this.channelManager.getCurrent();
+    if (current) {
+      this.logger.info(`Current channel is now ${this.channelManager.label({ topicHex: current.topicHex })}`);
+    } else {
+      this.logger.warn("Not on any channel. Use /join <topic> to join one.");
+    }
+  }
+
+  switchTopic({ query }) {
+    const channel = this.channelManager.resolve({ query });
+    if (!channel) {
+      this.logger.warn(`Not on a channel matching "${query || ""}". Use /topics to list channels.`);
+      return;
+    }
+
+    this.channelManager.setCurrent({ topicHex: channel.topicHex });
+    this.logger.info(`Switched to channel ${this.channelManager.label({ topicHex: channel.topicHex })}`);
+  }
+
+  getStatus() {
+    return { mode: this.mode, ...super.getStatus() };
+  }
+
+  // --port must be a TCP port; the control server only listens on localhost
+  parsePort({ value }) {
+    const port = Number(value);
+    if (!/^\d+$/.test(String(value)) || port < 1 || port > 65535) {
+      throw new Error(`Invalid port "${value}": expected a number between 1 and 65535`);
+    }
+    return port;
+  }
+
+  async startControlServer({ port }) {
+    this.controlServer = new ControlServer({
+      logger: this.logger,
+      port,
+      peer: this,
+      token: ControlServer.loadOrCreateToken({ file: path.join(this.dataDir, "control-token") }),
     });
+    await this.controlServer.start();
+  }
+
+  async start() {
+    // Validate before joining anything so a typo fails fast
+    const controlPort = this.port ? this.parsePort({ value: this.port }) : null;
+
+    this.logger.success(`🚀 Starting Hyperswarm CLI in ${this.mode} mode`);
+    await super.start();
+
+    if (controlPort) {
+      await this.startControlServer({ port: controlPort });
+    }
+
+    this.stopReadingInput = this.eventHandler.setupStdinEventHandlers({ input: this.input, headless: this.headless });
+
+    if (this.input.isTTY && !this.headless) {
+      this.logger.info("💡 Type /help for available commands, or just type a message to broadcast to the current channel");
+      this.output.write("> ");
+    }
   }
 
   async shutdown() {
+    if (this.closed) return;
     this.logger.info("🔄 Shutting down...");
 
-    // Abort all ongoing delay operations
-    for (const controller of this.abortControllers) {
-      controller.abort();
+    if (this.stopReadingInput) {
+      this.stopReadingInput();
+      this.stopReadingInput = null;
     }
-    this.abortControllers.clear();
 
-    // Close all connections
-    this.connectionManager.closeAllConnections();
+    if (this.controlServer) {
+      await this.controlServer.close();
+    }
+
+    await this.close();
+    if (this.dataDirLock) {
+      fs.rmSync(this.dataDirLock, { force: true });
+    }
+    this.logger.success("👋 Goodbye!");
+  }
+}
+
+// Unnamed peers would all share one keypair in data/default, and the swarm
+// refuses connections from its own key. Each running one holds a lock on its
+// directory, so another started alongside moves on to data/default-2 and so on.
+function claimDefaultDataDir() {
+  for (let n = 1; ; n++) {
+    const dataDir = path.join("data", n === 1 ? "default" : `default-${n}`);
+    const lockFile = path.join(dataDir, "lock");
+    fs.mkdirSync(dataDir, { recursive: true });
+    if (isLockHeld({ lockFile })) continue;
 
-    // Destroy the swarm
     try {
-      await this.swarm.destroy();
-      this.logger.success("✅ Swarm destroyed successfully");
+      fs.writeFileSync(lockFile, String(process.pid), { flag: "wx" });
     } catch (err) {
-      this.logger.error("Error destroying swarm:", { error: err.message });
+      if (err.code === "EEXIST") continue;
+      throw err;
     }
+    return { dataDir, lockFile };
+  }
+}
 
-    this.logger.success("👋 Goodbye!");
-    process.exit(0);
+// A lock left behind by a process that no longer runs is removed
+function isLockHeld({ lockFile }) {
+  let pid;
+  try {
+    pid = Number(fs.readFileSync(lockFile, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw err;
+  }
+
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    if (err.code === "EPERM") return true;
+    fs.rmSync(lockFile, { force: true });
+    return false;
+  }
+}
+
+// The generated name of a peer started without --name, saved in its data directory
+function loadOrCreateName({ dataDir }) {
+  const file = path.join(dataDir, "profile.json");
+  if (fs.existsSync(file)) {
+    let stored;
+    try {
+      stored = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      throw new Error(`Cannot read profile ${file}: ${err.message}`);
+    }
+    if (typeof stored.name === "string" && stored.name) return stored.name;
   }
+
+  const name = `peer-${Math.random().toString(36).substr(2, 8)}`;
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ name }, null, 2));
+  return name;
 }
 
 // CLI argument parsing
 function parseArgs() {
   const args = minimist(process.argv.slice(2), {
-    string: ["mode", "topic", "name", "port"],
-    boolean: ["help", "version"],
+    string: ["mode", "topic", "room", "secret", "name", "port", "identity", "downloads", "allow", "invite", "ping-interval", "idle-timeout", "idle-after"],
+    boolean: ["help", "version", "headless", "exit-on-eof"],
     alias: {
       h: "help",
       v: "version",
       m: "mode",
       t: "topic",
+      r: "room",
       n: "name",
       p: "port",
+      i: "identity",
     },
     default: {
       mode: "peer",
@@ -268,6 +657,23 @@ function parseArgs() {
   return args;
 }
 
+// The process belongs to the CLI here: exit once the peer has closed, and
+// turn signals and crashes into a graceful shutdown
+function setupGracefulShutdown({ cli }) {
+  const shutdown = () => {
+    cli.shutdown();
+  };
+
+  // Deferred so shutdown() can finish logging after the peer has closed
+  cli.once("close", () => setImmediate(() => process.exit(0)));
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+  process.on("uncaughtException", (err) => {
+    cli.logger.error("Uncaught exception:", { error: err.message });
+    shutdown();
+  });
+}
+
 // Main execution
 async function main() {
   const args = parseArgs();
@@ -285,6 +691,11 @@ async function main() {
     return;
   }
 
+  // --topic and --room may be given several times to join several channels
+  const topics = [].concat(args.topic || []);
+  const rooms = [].concat(args.room || []);
+  const secrets = [].concat(args.secret || []);
+
   // Override mode based on positional argument for npm scripts
   if (args._[0] && ["peer"].includes(args._[0])) {
     args.mode = args._[0];
@@ -293,11 +704,23 @@ async function main() {
   try {
     const cli = new HyperswarmCLI({
       mode: args.mode,
-      topic: args.topic,
+      topic: topics,
+      room: rooms,
+      secret: secrets,
       name: args.name,
       port: args.port,
+      identity: args.identity,
+      downloads: args.downloads,
+      allow: args.allow,
+      invite: args.invite,
+      pingInterval: args["ping-interval"],
+      idleTimeout: args["idle-timeout"],
+      idleAfter: args["idle-after"],
+      headless: args.headless,
+      exitOnEof: args["exit-on-eof"],
     });
 
+    setupGracefulShutdown({ cli });
     await cli.start();
   } catch (error) {
     console.error("❌ Failed to start application:", error.message);
@@ -309,4 +732,5 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   main().catch(console.error);
 }
 
+export { HyperswarmPeer };
 export default HyperswarmCLI;
@@ -0,0 +1,53 @@
+import crypto from 'hypercore-crypto'
+import { EventEmitter } from 'events'
+import MessageHandler from '../lib/MessageHandler.js'
+import ConnectionManager from '../lib/ConnectionManager.js'
+
+// Shared by the unit tests that drive the message layer without a swarm
+
+export const noop = () => {}
+
+// Swallows every level the library logs at
+export const logger = { info: noop, success: noop, warn: noop, error: noop, debug: noop, peer: noop, connection: noop }
+
+// A local peer with one connection from 'remote01'. Everything written to it
+// is collected in peer.written, and peer.receive() feeds it a message from
+// the remote. handler and manager options are passed on to MessageHandler
+// and ConnectionManager.
+export function createPeer ({ handler = {}, manager = {} } = {}) {
+  const peer = { events: new EventEmitter(), history: [], written: [], ended: false, destroyed: false }
+  peer.messageHandler = new MessageHandler({
+    logger,
+    name: 'local',
+    keyPair: crypto.keyPair(),
+    sendToPeer: (args) => peer.connectionManager.sendToPeer(args),
+    updatePeerInfo: (args) => peer.connectionManager.updatePeerInfo(args),
+    disconnectPeer: (args) => peer.connectionManager.disconnectPeer(args),
+    reportInvalidMessage: (args) => peer.connectionManager.recordInvalidMessage(args),
+    reportRateLimited: (args) => peer.connectionManager.recordRateLimited(args),
+    ...handler
+  })
+  peer.connectionManager = new ConnectionManager({
+    logger,
+    messageHandler: peer.messageHandler,
+    messageHistory: peer.history,
+    events: peer.events,
+    ...manager
+  })
+
+  peer.connectionManager.registerConnection({
+    peerId: 'remote01',
+    connection: {
+      write: (data) => peer.written.push(JSON.parse(data)),
+      end: () => { peer.ended = true },
+      destroy: () => { peer.destroyed = true }
+    },
+    info: { client: true }
+  })
+  peer.receive = (message) => peer.messageHandler.handleIncomingMessage({
+    peerId: 'remote01',
+    data: typeof message === 'string' ? message : JSON.stringify(message),
+    messageHistory: peer.history
+  })
+  return peer
+}
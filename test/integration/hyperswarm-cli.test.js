@@ -1,12 +1,29 @@
 import test from 'brittle'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { PassThrough } from 'stream'
 import crypto from 'hypercore-crypto'
 import b4a from 'b4a'
 import HyperswarmCLI from '../../main.js'
+import MessageFramer from '../../lib/MessageFramer.js'
+import MessageHandler from '../../lib/MessageHandler.js'
+
+// Every CLI gets its own data directory, removed again after the test
+function createCLI (t, options = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'))
+  const cli = new HyperswarmCLI({ dataDir, ...options })
+  t.teardown(async () => {
+    await cli.shutdown()
+    fs.rmSync(dataDir, { recursive: true, force: true })
+  })
+  return cli
+}
 
 test('HyperswarmCLI - constructor initialization', async function (t) {
   t.plan(7)
   
-  const cli = new HyperswarmCLI({
+  const cli = createCLI(t, {
     mode: 'peer',
     name: 'test-cli',
     topic: 'deadbeef'
@@ -19,31 +36,85 @@ test('HyperswarmCLI - constructor initialization', async function (t) {
   t.ok(cli.swarm, 'should initialize swarm')
   t.ok(cli.connectionManager, 'should initialize connection manager')
   t.ok(cli.connectionManager.getConnections() instanceof Map, 'should initialize connections Map')
-  
-  t.teardown(async () => {
-    await cli.shutdown()
-  })
 })
 
 test('HyperswarmCLI - default values', async function (t) {
   t.plan(4)
   
-  const cli = new HyperswarmCLI()
+  const cli = createCLI(t)
   
   t.is(cli.mode, 'peer', 'should default to peer mode')
   t.absent(cli.topic, 'should not have default topic')
   t.ok(cli.name.startsWith('peer-'), 'should generate random name')
   t.is(cli.messageHistory.length, 0, 'should initialize empty message history')
-  
-  t.teardown(async () => {
-    await cli.shutdown()
+})
+
+test('HyperswarmCLI - a peer without a name keeps its identity across restarts', async function (t) {
+  t.plan(3)
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-unnamed-'))
+  t.teardown(() => fs.rmSync(dataDir, { recursive: true, force: true }))
+
+  const first = new HyperswarmCLI({ dataDir })
+  await first.shutdown()
+  const second = new HyperswarmCLI({ dataDir })
+  await second.shutdown()
+
+  t.ok(first.name.startsWith('peer-'), 'should generate a name')
+  t.is(second.name, first.name, 'should reload the generated name')
+  t.alike(second.keyPair.publicKey, first.keyPair.publicKey, 'should reload the same keypair')
+})
+
+test('HyperswarmCLI - unnamed peers started side by side get their own keys', async function (t) {
+  t.plan(5)
+
+  const cwd = process.cwd()
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-unnamed-'))
+  process.chdir(dir)
+  t.teardown(() => {
+    process.chdir(cwd)
+    fs.rmSync(dir, { recursive: true, force: true })
   })
+
+  const first = new HyperswarmCLI()
+  const second = new HyperswarmCLI()
+  t.is(first.dataDir, path.join('data', 'default'), 'should give the first unnamed peer data/default')
+  t.is(second.dataDir, path.join('data', 'default-2'), 'should move the second one to its own directory')
+  t.absent(b4a.equals(first.keyPair.publicKey, second.keyPair.publicKey), 'should give them different keys')
+  await second.shutdown()
+  await first.shutdown()
+
+  const again = new HyperswarmCLI()
+  await again.shutdown()
+  t.is(again.dataDir, first.dataDir, 'should reuse data/default once it is free')
+  t.alike(again.keyPair.publicKey, first.keyPair.publicKey, 'should keep the identity of the first peer')
+})
+
+test('HyperswarmCLI - a peer without a name keeps its history across restarts', async function (t) {
+  t.plan(2)
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-unnamed-'))
+  t.teardown(() => fs.rmSync(dataDir, { recursive: true, force: true }))
+
+  const first = new HyperswarmCLI({ dataDir })
+  first.historyStore.open()
+  first.connectionManager.connections.set('testpeer', { write: () => {} })
+  const chat = { type: 'chat', from: 'remote-peer', message: 'remember me', timestamp: Date.now() }
+  first.handleIncomingMessage({ peerId: 'testpeer', data: Buffer.from(JSON.stringify(chat)) })
+  await first.shutdown()
+
+  const second = new HyperswarmCLI({ dataDir })
+  const history = second.historyStore.open()
+  await second.shutdown()
+
+  t.is(history.length, 1, 'should reload the history of the previous run')
+  t.is(history[0].message, 'remember me', 'should keep the message')
 })
 
 test('HyperswarmCLI - message handling', async function (t) {
   t.plan(3)
   
-  const cli = new HyperswarmCLI({ name: 'test-handler' })
+  const cli = createCLI(t, { name: 'test-handler' })
   
   const mockPeerId = 'testpeer'
   const welcomeMessage = {
@@ -64,16 +135,12 @@ test('HyperswarmCLI - message handling', async function (t) {
   t.is(cli.messageHistory.length, originalLength + 1, 'should add message to history')
   t.is(cli.messageHistory[cli.messageHistory.length - 1].type, 'welcome', 'should store message type')
   t.is(cli.messageHistory[cli.messageHistory.length - 1].peerId, mockPeerId, 'should store peer ID')
-  
-  t.teardown(async () => {
-    await cli.shutdown()
-  })
 })
 
 test('HyperswarmCLI - broadcast functionality', async function (t) {
   t.plan(3)
   
-  const cli = new HyperswarmCLI({ name: 'test-broadcast' })
+  const cli = createCLI(t, { name: 'test-broadcast' })
   
   let writeCallCount = 0
   let lastMessage = null
@@ -95,21 +162,17 @@ test('HyperswarmCLI - broadcast functionality', async function (t) {
   cli.connectionManager.connections.set('peer1', mockConn1)
   cli.connectionManager.connections.set('peer2', mockConn2)
   
-  cli.broadcast('Test broadcast message')
+  cli.broadcast({ message: 'Test broadcast message' })
   
   t.is(writeCallCount, 2, 'should send message to all connections')
   t.is(lastMessage.type, 'broadcast', 'should send broadcast type message')
   t.is(lastMessage.message, 'Test broadcast message', 'should include message content')
-  
-  t.teardown(async () => {
-    await cli.shutdown()
-  })
 })
 
 test('HyperswarmCLI - ping functionality', async function (t) {
   t.plan(2)
   
-  const cli = new HyperswarmCLI({ name: 'test-ping' })
+  const cli = createCLI(t, { name: 'test-ping' })
   
   let pingCount = 0
   let lastPingMessage = null
@@ -128,16 +191,12 @@ test('HyperswarmCLI - ping functionality', async function (t) {
   
   t.is(pingCount, 1, 'should send ping to connection')
   t.is(lastPingMessage.type, 'ping', 'should send ping type message')
-  
-  t.teardown(async () => {
-    await cli.shutdown()
-  })
 })
 
 test('HyperswarmCLI - user input handling', async function (t) {
   t.plan(7)
   
-  const cli = new HyperswarmCLI({ name: 'test-input' })
+  const cli = createCLI(t, { name: 'test-input' })
   
   let broadcastCalled = false
   let pingCalled = false
@@ -149,10 +208,10 @@ test('HyperswarmCLI - user input handling', async function (t) {
   // Override methods to track calls
   cli.broadcast = () => { broadcastCalled = true }
   cli.pingAllPeers = () => { pingCalled = true }
-  cli.showStatus = () => { statusShown = true }
-  cli.showPeers = () => { peersShown = true }
-  cli.showHelp = () => { helpShown = true }
-  cli.showTopic = () => { topicShown = true }
+  cli.uiDisplay.showStatus = () => { statusShown = true }
+  cli.uiDisplay.showPeers = () => { peersShown = true }
+  cli.uiDisplay.showHelp = () => { helpShown = true }
+  cli.uiDisplay.showTopic = () => { topicShown = true }
   
   cli.handleUserInput({ input: '/ping' })
   cli.handleUserInput({ input: '/status' })
@@ -174,16 +233,12 @@ test('HyperswarmCLI - user input handling', async function (t) {
   cli.connectionManager.connections.set('test', { write: () => {} })
   cli.handleUserInput({ input: 'regular message' })
   t.ok(broadcastCalled, 'should broadcast regular messages when peers connected')
-  
-  t.teardown(async () => {
-    await cli.shutdown()
-  })
 })
 
 test('HyperswarmCLI - connection management', async function (t) {
   t.plan(3)
   
-  const cli = new HyperswarmCLI({ name: 'test-connections' })
+  const cli = createCLI(t, { name: 'test-connections' })
   
   // Simulate connection event
   const mockConn = {
@@ -203,16 +258,12 @@ test('HyperswarmCLI - connection management', async function (t) {
   const connections = cli.connectionManager.getConnections()
   t.ok(connections.has(peerId), 'should use correct peer ID as key')
   t.is(connections.get(peerId), mockConn, 'should store connection object')
-  
-  t.teardown(async () => {
-    await cli.shutdown()
-  })
 })
 
 test('HyperswarmCLI - showTopic method', async function (t) {
   t.plan(2)
   
-  const cli = new HyperswarmCLI({ name: 'test-topic' })
+  const cli = createCLI(t, { name: 'test-topic' })
   
   // Mock console.log to capture output
   let logOutput = ''
@@ -220,26 +271,24 @@ test('HyperswarmCLI - showTopic method', async function (t) {
   console.log = (msg) => { logOutput += msg + '\n' }
   
   // Test with no topic set
-  cli.showTopic()
-  t.ok(logOutput === '', 'should not log when no topic is set')
+  cli.handleUserInput({ input: '/topic' })
+  t.ok(logOutput.includes('No topic set'), 'should report that no topic is set')
   
   // Test with topic set
-  cli.topic = b4a.from('deadbeefcafebabe1234567890abcdef1234567890abcdef1234567890abcdef', 'hex')
+  const topicHex = 'deadbeefcafebabe1234567890abcdef1234567890abcdef1234567890abcdef'
+  cli.channelManager.channels.set(topicHex, { topic: b4a.from(topicHex, 'hex'), topicHex })
+  cli.channelManager.setCurrent({ topicHex })
   logOutput = ''
-  cli.showTopic()
+  cli.handleUserInput({ input: '/topic' })
   t.ok(logOutput.includes('deadbeefcafebabe1234567890abcdef'), 'should display topic when set')
   
   console.log = originalLog
-  
-  t.teardown(async () => {
-    await cli.shutdown()
-  })
 })
 
 test('HyperswarmCLI - EventHandler stdin integration', async function (t) {
   t.plan(4)
   
-  const cli = new HyperswarmCLI({ name: 'test-stdin' })
+  const cli = createCLI(t, { name: 'test-stdin' })
   
   let helpCalled = false
   let broadcastCalled = false
@@ -265,8 +314,210 @@ test('HyperswarmCLI - EventHandler stdin integration', async function (t) {
   
   // Test that the event listener is properly set up
   t.ok(cli.eventHandler.listenerCount('userInput') > 0, 'should have userInput event listener registered')
-  
-  t.teardown(async () => {
-    await cli.shutdown()
-  })
-})
\ No newline at end of file
+})
+
+test('HyperswarmCLI - framed stream handling', async function (t) {
+  t.plan(3)
+
+  const cli = createCLI(t, { name: 'test-framing' })
+  const framer = new MessageFramer()
+
+  const first = framer.encode({ message: { type: 'broadcast', from: 'remote', message: 'one', timestamp: Date.now() } })
+  const second = framer.encode({ message: { type: 'broadcast', from: 'remote', message: 'two', timestamp: Date.now() } })
+  const stream = b4a.from(first + second)
+
+  const decoder = new MessageFramer()
+  cli.connectionManager.onConnectionData({ peerId: 'peer1', framer: decoder, data: stream.subarray(0, first.length + 4) })
+  t.is(cli.messageHistory.length, 1, 'should handle the complete message and buffer the partial one')
+
+  cli.connectionManager.onConnectionData({ peerId: 'peer1', framer: decoder, data: stream.subarray(first.length + 4) })
+  t.is(cli.messageHistory.length, 2, 'should handle the message once the rest arrives')
+  t.is(cli.messageHistory[1].message, 'two', 'should reassemble the split message')
+})
+
+test('HyperswarmCLI - direct messages with /msg', async function (t) {
+  t.plan(6)
+
+  const cli = createCLI(t, { name: 'test-dm' })
+
+  const written = { abcd1234: [], ef567890: [] }
+  cli.connectionManager.registerConnection({ peerId: 'abcd1234', connection: { write: (data) => written.abcd1234.push(JSON.parse(data)) }, info: { client: true } })
+  cli.connectionManager.registerConnection({ peerId: 'ef567890', connection: { write: (data) => written.ef567890.push(JSON.parse(data)) }, info: { client: true } })
+  cli.connectionManager.updatePeerInfo({ peerId: 'ef567890', name: 'bob' })
+
+  cli.handleUserInput({ input: '/msg abcd hello there' })
+  t.is(written.abcd1234.length, 1, 'should send to the peer matching the ID prefix')
+  t.is(written.abcd1234[0].type, 'chat', 'should send a chat message')
+  t.is(written.abcd1234[0].message, 'hello there', 'should send the full message text')
+  t.is(written.ef567890.length, 0, 'should not send to other peers')
+
+  cli.handleUserInput({ input: '/msg bob hi bob' })
+  t.is(written.ef567890[0].message, 'hi bob', 'should resolve peers by announced name')
+
+  cli.handleIncomingMessage({ peerId: 'ef567890', data: Buffer.from(JSON.stringify({ type: 'chat', from: 'bob', message: 'psst', timestamp: Date.now() })) })
+  t.ok(cli.messageHistory[cli.messageHistory.length - 1].direct, 'should tag incoming chat messages as direct')
+})
+
+test('HyperswarmCLI - history paging arguments', async function (t) {
+  t.plan(5)
+
+  const cli = createCLI(t, { name: 'test-history-args' })
+
+  t.alike(cli.parseHistoryArgs({ args: [] }), { limit: 10, before: null }, 'should default to the last 10 messages')
+  t.alike(cli.parseHistoryArgs({ args: ['50'] }), { limit: 50, before: null }, 'should parse a message count')
+  t.alike(cli.parseHistoryArgs({ args: ['--before', '1700000000000'] }), { limit: 10, before: 1700000000000 }, 'should parse an epoch before time')
+  t.is(cli.parseHistoryArgs({ args: ['5', '--before', '2024-01-01T00:00:00Z'] }).before, Date.parse('2024-01-01T00:00:00Z'), 'should parse a date string')
+  t.is(cli.parseHistoryArgs({ args: ['--before', 'soon'] }), null, 'should reject an unparseable time')
+})
+
+test('HyperswarmCLI - broadcasts only reach peers on the channel', async function (t) {
+  t.plan(5)
+
+  const cli = createCLI(t, { name: 'test-channels' })
+  const topicA = 'aa'.repeat(32)
+  const topicB = 'bb'.repeat(32)
+
+  // Register channels without touching the network
+  cli.channelManager.channels.set(topicA, { topic: b4a.from(topicA, 'hex'), topicHex: topicA })
+  cli.channelManager.channels.set(topicB, { topic: b4a.from(topicB, 'hex'), topicHex: topicB })
+  cli.channelManager.setCurrent({ topicHex: topicA })
+
+  const received = { onA: [], onB: [] }
+  cli.connectionManager.registerConnection({ peerId: 'onA', connection: { write: (data) => received.onA.push(JSON.parse(data)) }, info: { client: true } })
+  cli.connectionManager.registerConnection({ peerId: 'onB', connection: { write: (data) => received.onB.push(JSON.parse(data)) }, info: { client: true } })
+  cli.connectionManager.updatePeerInfo({ peerId: 'onA', topics: [topicA] })
+  cli.connectionManager.updatePeerInfo({ peerId: 'onB', topics: [topicB] })
+
+  cli.broadcast({ message: 'hello A' })
+  t.is(received.onA.length, 1, 'should send to peers on the current channel')
+  t.is(received.onA[0].topic, topicA, 'should tag the broadcast with its topic')
+  t.is(received.onB.length, 0, 'should not send to peers on other channels')
+
+  const foreign = { type: 'broadcast', from: 'x', message: 'elsewhere', topic: 'cc'.repeat(32), timestamp: Date.now() }
+  cli.handleIncomingMessage({ peerId: 'onA', data: JSON.stringify(foreign) })
+  t.is(cli.messageHistory.length, 0, 'should ignore broadcasts for channels we have not joined')
+
+  cli.handleIncomingMessage({ peerId: 'onB', data: JSON.stringify({ type: 'topics', from: 'b', topics: [topicA, topicB], timestamp: Date.now() }) })
+  cli.broadcast({ message: 'hello again' })
+  t.is(received.onB.length, 1, 'should follow topic announcements from peers')
+})
+
+test('HyperswarmCLI - malformed topics are rejected at start', async function (t) {
+  t.plan(2)
+
+  const cli = createCLI(t, { name: 'test-bad-topic', topic: 'deadbeef' })
+
+  await t.exception(cli.start(), /Invalid topic "deadbeef"/, 'should refuse to start with a truncated topic')
+  t.is(cli.channelManager.getChannels().length, 0, 'should not join any swarm')
+})
+
+test('HyperswarmCLI - gossip relay of broadcasts', async function (t) {
+  t.plan(8)
+
+  const cli = createCLI(t, { name: 'test-relay' })
+  const author = new MessageHandler({ logger: cli.logger, name: 'author', keyPair: crypto.keyPair(), sendToPeer: () => {} })
+
+  const received = { left: [], right: [] }
+  cli.connectionManager.registerConnection({ peerId: 'left', connection: { write: (data) => received.left.push(JSON.parse(data)) }, info: { client: true } })
+  cli.connectionManager.registerConnection({ peerId: 'right', connection: { write: (data) => received.right.push(JSON.parse(data)) }, info: { client: true } })
+
+  const original = author.createBroadcastMessage({ name: 'author', message: 'spread the word' })
+  cli.handleIncomingMessage({ peerId: 'left', data: JSON.stringify(original) })
+
+  t.is(received.left.length, 0, 'should not relay back to the sending peer')
+  t.is(received.right.length, 1, 'should relay to the other peers')
+  t.is(received.right[0].ttl, original.ttl - 1, 'should decrease the hop budget')
+  t.is(received.right[0].hops, 1, 'should count the hop')
+  t.is(author.verifyMessage({ message: received.right[0] }), 'verified', 'should keep the author signature valid')
+
+  cli.handleIncomingMessage({ peerId: 'right', data: JSON.stringify(received.right[0]) })
+  t.is(cli.messageHistory.length, 1, 'should drop duplicates arriving on another path')
+
+  const exhausted = { ...author.createBroadcastMessage({ name: 'author', message: 'last hop' }), ttl: 0, hops: 4 }
+  cli.handleIncomingMessage({ peerId: 'left', data: JSON.stringify(exhausted) })
+  t.is(received.right.length, 1, 'should not relay once the hop budget is spent')
+  t.is(cli.messageHistory[1].hops, 4, 'should record how many hops a message travelled')
+})
+
+test('HyperswarmCLI - control API operates the peer', async function (t) {
+  t.plan(8)
+
+  const cli = createCLI(t, { name: 'test-control' })
+  const topic = 'aa'.repeat(32)
+  cli.channelManager.channels.set(topic, { topic: b4a.from(topic, 'hex'), topicHex: topic, name: 'ops' })
+  cli.channelManager.setCurrent({ topicHex: topic })
+
+  const written = []
+  cli.connectionManager.registerConnection({ peerId: 'abcd1234', connection: { write: (data) => written.push(JSON.parse(data)) }, info: { client: true } })
+  cli.connectionManager.updatePeerInfo({ peerId: 'abcd1234', name: 'bob', topics: [topic] })
+
+  t.exception(() => cli.parsePort({ value: 'http' }), /Invalid port "http"/, 'should reject a non-numeric port')
+
+  await cli.startControlServer({ port: 0 })
+  const url = `http://127.0.0.1:${cli.controlServer.port}`
+  const token = fs.readFileSync(path.join(cli.dataDir, 'control-token'), 'utf8').trim()
+  const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' }
+  const get = (route) => fetch(url + route, { headers })
+  const post = (route, body) => fetch(url + route, { method: 'POST', headers, body: JSON.stringify(body) })
+
+  const status = await (await get('/status')).json()
+  t.is(status.name, 'test-control', 'should report status')
+  t.is(status.currentChannel, topic, 'should report the current channel')
+
+  const peers = await (await get('/peers')).json()
+  t.is(peers.peers[0].name, 'bob', 'should list peers with names')
+
+  const sent = await (await post('/broadcast', { message: 'from a script', topic: 'ops' })).json()
+  t.alike(sent.recipients, ['abcd1234'], 'should broadcast to the channel')
+  t.is(written[written.length - 1].message, 'from a script', 'should write the broadcast to peers')
+
+  await post('/send', { peer: 'bob', message: 'psst' })
+  t.is(written[written.length - 1].type, 'chat', 'should send direct messages')
+
+  t.is((await post('/join', { topic: 'deadbeef' })).status, 400, 'should reject malformed topics')
+})
+
+test('HyperswarmCLI - headless peers only quit at the end of input with exitOnEof', async function (t) {
+  t.plan(2)
+
+  const inputClosed = (cli) => {
+    const input = new PassThrough()
+    cli.stopReadingInput = cli.eventHandler.setupStdinEventHandlers({ input, headless: true })
+    const closed = new Promise((resolve) => cli.eventHandler.once('inputClosed', resolve))
+    input.end()
+    return closed
+  }
+
+  const service = createCLI(t, { name: 'test-service', headless: true, output: new PassThrough() })
+  await inputClosed(service)
+  t.absent(service.closed, 'should keep running when stdin ends')
+
+  const script = createCLI(t, { name: 'test-script', headless: true, exitOnEof: true, output: new PassThrough() })
+  const shutDown = new Promise((resolve) => script.once('close', resolve))
+  await inputClosed(script)
+  await shutDown
+  t.ok(script.closed, 'should shut down when stdin ends with exitOnEof')
+})
+
+test('HyperswarmCLI - headless /status and /peers report the library view', async function (t) {
+  t.plan(4)
+
+  const output = new PassThrough()
+  const lines = []
+  output.on('data', (chunk) => lines.push(...chunk.toString().split('\n').filter(Boolean)))
+
+  const cli = createCLI(t, { name: 'test-status', headless: true, output })
+  cli.startedAt = Date.now() - 90 * 1000
+
+  cli.handleUserInput({ input: '/status' })
+  cli.handleUserInput({ input: '/peers' })
+  await new Promise((resolve) => setImmediate(resolve))
+
+  const events = lines.map((line) => JSON.parse(line))
+  const { event, time, ...status } = events.find((entry) => entry.event === 'status')
+  const peers = events.find((entry) => entry.event === 'peers')
+  t.is(status.uptime, 90, 'should count uptime from when the peer started')
+  t.is(status.mode, 'peer', 'should include the mode')
+  t.alike(status, cli.getStatus(), 'should report getStatus()')
+  t.alike(peers.peers, cli.getPeers(), 'should report getPeers()')
+})
@@ -0,0 +1,496 @@
+import test from 'brittle'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { EventEmitter, once } from 'events'
+import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
+import HyperswarmPeer from '../../lib/HyperswarmPeer.js'
+
+// Stand-in for an injected Hyperswarm instance: topics are joined instantly
+// and connections are created by link()
+function createSwarm () {
+  const swarm = new EventEmitter()
+  swarm.keyPair = crypto.keyPair()
+  swarm.connections = new Set()
+  swarm.peers = new Map()
+  swarm.joined = new Set()
+  swarm.join = (topic) => {
+    swarm.joined.add(b4a.toString(topic, 'hex'))
+    return { flushed: async () => {}, refresh: async () => { swarm.refreshes = (swarm.refreshes || 0) + 1 } }
+  }
+  swarm.leave = async (topic) => { swarm.joined.delete(b4a.toString(topic, 'hex')) }
+  swarm.destroy = async () => { swarm.destroyed = true }
+  return swarm
+}
+
+// Connects two peers through their swarms with in-memory sockets
+function link (a, b) {
+  const toB = new EventEmitter()
+  const toA = new EventEmitter()
+  toB.remotePublicKey = b.swarm.keyPair.publicKey
+  toA.remotePublicKey = a.swarm.keyPair.publicKey
+
+  for (const [socket, other] of [[toB, toA], [toA, toB]]) {
+    socket.write = (data) => { setImmediate(() => other.emit('data', b4a.from(data))); return true }
+    socket.end = () => { socket.emit('close'); other.emit('close') }
+  }
+
+  a.swarm.emit('connection', toB, { client: true })
+  b.swarm.emit('connection', toA, { client: false })
+}
+
+function createPeer (t, { name, ...options }) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-`))
+  const peer = new HyperswarmPeer({ name, room: 'library-test', swarm: createSwarm(), dataDir, ...options })
+
+  t.teardown(async () => {
+    await peer.close()
+    fs.rmSync(dataDir, { recursive: true, force: true })
+  })
+
+  return peer
+}
+
+test('HyperswarmPeer - two peers in one process exchange messages', async function (t) {
+  t.plan(8)
+
+  const alice = createPeer(t, { name: 'lib-alice' })
+  const bob = createPeer(t, { name: 'lib-bob' })
+
+  t.is(alice.keyPair, alice.swarm.keyPair, 'should sign with the key of an injected swarm')
+
+  const ready = once(alice, 'ready')
+  await Promise.all([alice.start(), bob.start()])
+  const [{ topics }] = await ready
+  t.alike(topics, [...alice.swarm.joined], 'should join the room on the injected swarm')
+
+  const connected = once(bob, 'peerConnected')
+  link(alice, bob)
+  await connected
+
+  const received = new Promise((resolve) => {
+    bob.on('message', ({ entry }) => {
+      if (entry.type === 'broadcast') resolve(entry)
+    })
+  })
+
+  const { recipients } = alice.broadcast({ message: 'hello from a library' })
+  t.is(recipients.length, 1, 'should broadcast to the connected peer')
+
+  const entry = await received
+  t.is(entry.message, 'hello from a library', 'should emit received messages')
+  t.ok(entry.verified, 'should verify the signature against the connection key')
+
+  const disconnected = once(bob, 'peerDisconnected')
+  const closed = once(alice, 'close')
+  await alice.close()
+  await closed
+  await disconnected
+  t.pass('should emit close and disconnect its peers')
+
+  t.absent(alice.swarm.destroyed, 'should leave an injected swarm running')
+  t.is(bob.getStatus().channels.length, 1, 'should leave the other peer running')
+})
+
+test('HyperswarmPeer - library API reports errors with codes', async function (t) {
+  t.plan(4)
+
+  const peer = createPeer(t, { name: 'lib-errors' })
+
+  t.exception(() => peer.sendMessage({ peer: 'nobody', message: 'hi' }), /No connected peer matches "nobody"/, 'should reject unknown peers')
+  t.is(getCode(() => peer.broadcast({ message: '' })), 'INVALID_ARGUMENT', 'should reject empty messages')
+  t.is(getCode(() => peer.getHistory({ limit: 'lots' })), 'INVALID_ARGUMENT', 'should reject a bad history limit')
+  await t.exception(peer.join({ topic: 'deadbeef' }), /Invalid topic "deadbeef"/, 'should reject malformed topics')
+})
+
+function getCode (fn) {
+  try {
+    fn()
+  } catch (err) {
+    return err.code
+  }
+  return null
+}
+
+test('HyperswarmPeer - banned keys are disconnected and refused by the swarm firewall', async function (t) {
+  t.plan(7)
+
+  const alice = createPeer(t, { name: 'lib-banner' })
+  const mallory = createPeer(t, { name: 'lib-mallory' })
+  await Promise.all([alice.start(), mallory.start()])
+
+  const connected = once(alice, 'peerConnected')
+  const welcomed = new Promise((resolve) => {
+    alice.on('message', ({ entry }) => {
+      if (entry.type === 'welcome') resolve()
+    })
+  })
+  link(alice, mallory)
+  const [{ peerId, publicKey }] = await connected
+  await welcomed
+
+  const disconnected = once(alice, 'peerDisconnected')
+  const { added } = alice.banPeer({ peer: peerId, reason: 'spam' })
+  await disconnected
+  t.ok(added, 'should ban the connected peer')
+  t.is(alice.connectionManager.getConnectionsSize(), 0, 'should drop its connection')
+
+  t.ok(alice.swarm._firewall(mallory.keyPair.publicKey), 'should refuse the banned key at the firewall')
+  t.absent(alice.swarm._firewall(crypto.keyPair().publicKey), 'should let other keys through')
+  t.is(getCode(() => alice.banPeer({ peer: b4a.toString(alice.keyPair.publicKey, 'hex') })), 'INVALID_ARGUMENT', 'should not ban our own key')
+
+  t.is(alice.unbanPeer({ query: 'lib-mallory' }).publicKey, publicKey, 'should unban by the name the peer had')
+  t.absent(alice.swarm._firewall(mallory.keyPair.publicKey), 'should let an unbanned key through')
+})
+
+test('HyperswarmPeer - a private peer only admits allowed keys and invited peers', async function (t) {
+  t.plan(10)
+
+  const allow = path.join(await t.tmp(), 'team.keys')
+  const owner = createPeer(t, { name: 'lib-owner', allow })
+  const unknownKey = crypto.keyPair().publicKey
+
+  t.ok(owner.swarm._firewall(unknownKey), 'should refuse unknown keys at the firewall')
+
+  // Keys the firewall refused are remembered by the swarm as banned
+  const released = []
+  const swarmPeer = (publicKey) => ({ ban: (banned) => { if (!banned) released.push(publicKey) } })
+  const refusedHex = b4a.toString(unknownKey, 'hex')
+  const bannedHex = 'ee'.repeat(32)
+  owner.banList.ban({ publicKey: bannedHex, reason: 'spam' })
+  owner.swarm.peers.set(refusedHex, swarmPeer(refusedHex))
+  owner.swarm.peers.set(bannedHex, swarmPeer(bannedHex))
+
+  const { token } = owner.createInvite({ hours: 1 })
+  t.absent(owner.swarm._firewall(unknownKey), 'should let unknown keys in while an invite is outstanding')
+  t.alike(released, [refusedHex], 'should let the swarm dial keys it refused before the invite')
+  t.ok(owner.swarm._firewall(b4a.from(bannedHex, 'hex')), 'should keep refusing banned keys')
+
+  const guest = createPeer(t, { name: 'lib-guest', invite: token })
+  const guestHex = b4a.toString(guest.keyPair.publicKey, 'hex')
+  const stranger = createPeer(t, { name: 'lib-stranger' })
+  await Promise.all([owner.start(), guest.start(), stranger.start()])
+
+  const admitted = once(owner, 'peerConnected')
+  link(owner, guest)
+  const [{ publicKey }] = await admitted
+  t.is(publicKey, guestHex, 'should admit the peer that presents the invite')
+  t.alike(owner.getAllowList().keys, [{ publicKey: guestHex, name: 'lib-guest' }], 'should add the invited key to the allowlist')
+  t.ok(owner.swarm._firewall(stranger.keyPair.publicKey), 'should close the firewall again once the invite is used')
+
+  const refused = once(stranger, 'peerDisconnected')
+  link(owner, stranger)
+  await refused
+  t.is(owner.getPeers().length, 1, 'should never list a peer that presented no invite')
+
+  const revoked = once(owner, 'peerDisconnected')
+  owner.revokeKey({ query: 'lib-guest' })
+  await revoked
+  t.is(owner.connectionManager.getConnectionsSize(), 0, 'should disconnect a revoked key')
+  t.ok(owner.swarm._firewall(guest.keyPair.publicKey), 'should refuse a revoked key')
+})
+
+test('HyperswarmPeer - background pinger collects latency statistics', async function (t) {
+  t.plan(4)
+
+  const alice = createPeer(t, { name: 'lib-pinger', pingInterval: 0.1 })
+  const bob = createPeer(t, { name: 'lib-pinged' })
+  await Promise.all([alice.start(), bob.start()])
+
+  const pong = once(alice, 'pong')
+  link(alice, bob)
+  const [{ peerId, latency }] = await pong
+
+  const [stats] = alice.getStats({ peer: peerId })
+  t.is(stats.received, 1, 'should record the answered ping')
+  t.is(stats.last, latency, 'should report the latest round trip')
+  t.is(alice.getPeers()[0].rtt, latency, 'should show the round trip in the peer list')
+  t.is(bob.getStats()[0].sent, 0, 'should not ping from peers without a ping interval')
+})
+
+test('HyperswarmPeer - peers that go silent are evicted', async function (t) {
+  t.plan(3)
+
+  const alice = createPeer(t, { name: 'lib-watcher', idleTimeout: 0.3 })
+  const bob = createPeer(t, { name: 'lib-sleeper' })
+  await Promise.all([alice.start(), bob.start()])
+
+  const connected = once(alice, 'peerConnected')
+  link(alice, bob)
+  const [{ peerId }] = await connected
+
+  // Bob's end stops delivering anything, like a laptop that went to sleep
+  const [toAlice] = bob.connectionManager.getConnections().values()
+  toAlice.write = () => true
+
+  const [{ peerId: evicted, reason }] = await once(alice, 'peerDisconnected')
+  t.is(evicted, peerId, 'should evict the silent peer')
+  t.ok(reason.startsWith('evicted: no data'), 'should give the reason')
+  t.is(alice.getPeers().length, 0, 'should remove the peer from the peer list')
+})
+
+test('HyperswarmPeer - discovery reports when the peer is alone', async function (t) {
+  t.plan(5)
+
+  const alice = createPeer(t, { name: 'lib-seeker' })
+  const bob = createPeer(t, { name: 'lib-found' })
+  await Promise.all([alice.start(), bob.start()])
+  t.is(alice.getStatus().discovery.state, 'searching', 'should search while alone')
+
+  const found = once(alice, 'discovery')
+  link(alice, bob)
+  t.is((await found)[0].state, 'connected', 'should emit when a peer connects')
+
+  const status = await alice.discover()
+  t.is(alice.swarm.refreshes, 1, 'should refresh the joined topic on demand')
+  t.is(status.lastResult.topics, 1, 'should report the lookup')
+
+  const lost = once(alice, 'discovery')
+  await bob.close()
+  t.is((await lost)[0].state, 'searching', 'should emit when the last peer leaves')
+})
+
+test('HyperswarmPeer - /nick renames us on every connected peer', async function (t) {
+  t.plan(6)
+
+  const alice = createPeer(t, { name: 'lib-nick' })
+  const bob = createPeer(t, { name: 'lib-watcher' })
+  await Promise.all([alice.start(), bob.start()])
+
+  const welcomed = once(bob, 'message')
+  link(alice, bob)
+  await welcomed
+  t.is(bob.getPeers()[0].name, 'lib-nick', 'should list the name from the welcome')
+
+  const renamed = once(bob, 'peerRenamed')
+  const { notified } = alice.nick({ name: 'lib-renamed' })
+  t.is(notified.length, 1, 'should tell every connected peer')
+
+  const [{ previous, name }] = await renamed
+  t.alike({ previous, name }, { previous: 'lib-nick', name: 'lib-renamed' }, 'should report the rename')
+  t.is(bob.getPeers()[0].name, 'lib-renamed', 'should list the new name')
+
+  const received = once(bob, 'message')
+  alice.sendMessage({ peer: alice.getPeers()[0].peerId, message: 'still me' })
+  const [{ entry }] = await received
+  t.is(entry.peerName, 'lib-renamed', 'should record the new name in history')
+
+  t.exception(() => alice.nick({ name: 'two words' }), /without spaces/, 'should reject names with spaces')
+})
+
+test('HyperswarmPeer - presence reaches connected peers and late joiners', async function (t) {
+  t.plan(7)
+
+  const alice = createPeer(t, { name: 'lib-present' })
+  const bob = createPeer(t, { name: 'lib-early' })
+  const carol = createPeer(t, { name: 'lib-late' })
+  await Promise.all([alice.start(), bob.start(), carol.start()])
+
+  const greeted = once(bob, 'presence')
+  link(alice, bob)
+  t.is((await greeted)[0].state, 'online', 'should send presence after the welcome')
+
+  const away = once(bob, 'presence')
+  alice.setStatusMessage({ text: 'deploying' })
+  await away
+  const changed = once(bob, 'presence')
+  const presence = alice.setAway({ reason: 'lunch' })
+  t.is(presence.state, 'away', 'should return our new presence')
+
+  const [update] = await changed
+  t.alike({ name: update.name, state: update.state, reason: update.reason }, { name: 'lib-present', state: 'away', reason: 'lunch' }, 'should tell connected peers')
+  t.is(bob.getPeers()[0].presence.status, 'deploying', 'should list the status message')
+
+  const joined = once(carol, 'presence')
+  link(alice, carol)
+  const [late] = await joined
+  t.alike({ state: late.state, reason: late.reason, status: late.status }, { state: 'away', reason: 'lunch', status: 'deploying' }, 'should give late joiners the current presence')
+
+  const back = once(carol, 'presence')
+  alice.setBack()
+  t.is((await back)[0].state, 'online', 'should tell every peer when back')
+  t.is(alice.getStatus().presence.state, 'online', 'should report our own presence')
+})
+
+test('HyperswarmPeer - presence turns idle without input', async function (t) {
+  t.plan(3)
+
+  const alice = createPeer(t, { name: 'lib-dozing', idleAfter: 0.1 })
+  t.exception(
+    () => new HyperswarmPeer({ name: 'lib-bad-idle', swarm: createSwarm(), dataDir: alice.dataDir, idleAfter: 'soon' }),
+    /Invalid idle time "soon": expected a number of minutes/,
+    'should reject an invalid idle time'
+  )
+
+  alice.presence.lastActivity -= 60 * 1000
+  alice.presence.checkIdle()
+  t.is(alice.getStatus().presence.state, 'idle', 'should go idle after the idle time')
+
+  alice.markActive()
+  t.is(alice.getStatus().presence.state, 'online', 'should be online again after input')
+})
+
+test('HyperswarmPeer - direct messages are acknowledged', async function (t) {
+  t.plan(5)
+
+  const alice = createPeer(t, { name: 'lib-sender' })
+  const bob = createPeer(t, { name: 'lib-receiver' })
+  await Promise.all([alice.start(), bob.start()])
+
+  const welcomed = once(alice, 'message')
+  link(alice, bob)
+  await welcomed
+
+  const received = once(bob, 'message')
+  const delivered = once(alice, 'delivery')
+  const { id, delivery } = alice.sendMessage({ peer: 'lib-receiver', message: 'did you get this?' })
+  t.is(delivery, 'pending', 'should start out pending')
+
+  const [{ entry }] = await received
+  t.is(entry.id, id, 'should carry the message ID')
+
+  const [result] = await delivered
+  t.alike({ id: result.id, delivery: result.delivery, attempts: result.attempts }, { id, delivery: 'delivered', attempts: 1 }, 'should report the ack')
+
+  const [sent] = alice.getHistory({ limit: 1 })
+  t.alike({ outgoing: sent.outgoing, delivery: sent.delivery, peerName: sent.peerName }, { outgoing: true, delivery: 'delivered', peerName: 'lib-receiver' }, 'should keep the delivery state in history')
+  t.is(bob.messageHistory.filter((item) => item.id === id).length, 1, 'should record the message once')
+})
+
+test('HyperswarmPeer - direct messages without an ack are retried and fail', async function (t) {
+  t.plan(4)
+
+  const alice = createPeer(t, { name: 'lib-retrier', ackTimeout: 0.1 })
+  const bob = createPeer(t, { name: 'lib-deaf' })
+  await Promise.all([alice.start(), bob.start()])
+
+  const welcomed = once(alice, 'message')
+  link(alice, bob)
+  await welcomed
+
+  // Bob still receives, but none of his acks make it back
+  const [toAlice] = bob.connectionManager.getConnections().values()
+  toAlice.write = () => true
+
+  const warnings = []
+  alice.logger.warn = (message) => warnings.push(message)
+  const failed = once(alice, 'delivery')
+  alice.sendMessage({ peer: 'lib-deaf', message: 'anyone there?' })
+
+  const [result] = await failed
+  t.alike({ delivery: result.delivery, attempts: result.attempts }, { delivery: 'failed', attempts: 3 }, 'should give up after three sends')
+  t.is(alice.getHistory({ limit: 1 })[0].delivery, 'failed', 'should mark the message failed in history')
+  t.ok(warnings.some((message) => message.includes('was not acknowledged after 3 attempts')), 'should report the failure')
+  t.is(bob.messageHistory.filter((item) => item.message === 'anyone there?').length, 1, 'should not show the resent copies twice')
+})
+
+test('HyperswarmPeer - messages for a peer that left wait in the outbox', async function (t) {
+  t.plan(9)
+
+  const alice = createPeer(t, { name: 'lib-patient' })
+  const bob = createPeer(t, { name: 'lib-away' })
+  await Promise.all([alice.start(), bob.start()])
+
+  const welcomed = once(alice, 'message')
+  link(alice, bob)
+  await welcomed
+
+  const left = once(alice, 'peerDisconnected')
+  const [connection] = alice.connectionManager.getConnections().values()
+  connection.end()
+  await left
+
+  const queued = alice.sendMessage({ peer: 'lib-away', message: 'see you later' })
+  t.is(queued.delivery, 'queued', 'should queue messages for a peer seen earlier')
+  const { outboxId } = alice.sendMessage({ peer: b4a.toString(bob.keyPair.publicKey, 'hex'), message: 'never mind' })
+  t.is(alice.getOutbox().length, 2, 'should queue messages for a public key')
+  t.is(alice.cancelQueued({ id: outboxId }).message, 'never mind', 'should cancel a queued message')
+  t.exception(() => alice.cancelQueued({ id: outboxId }), /No queued message/, 'should reject unknown IDs')
+  t.exception(() => alice.sendMessage({ peer: 'lib-stranger', message: 'hi' }), /No connected peer matches/, 'should still reject unknown peers')
+
+  // Alice's welcome reaches Bob first; the queued message follows it
+  const received = new Promise((resolve) => bob.on('message', ({ entry }) => entry.type === 'chat' && resolve(entry)))
+  const delivered = once(alice, 'delivery')
+  link(alice, bob)
+
+  t.is((await received).message, 'see you later', 'should deliver the message when the peer is back')
+  t.is(alice.getOutbox().length, 1, 'should keep the message queued until it is acknowledged')
+  t.is((await delivered)[0].delivery, 'delivered', 'should track its delivery')
+  t.is(alice.getOutbox().length, 0, 'should empty the outbox')
+})
+
+test('HyperswarmPeer - a queued message that fails is sent again on the next connection', async function (t) {
+  t.plan(4)
+
+  const alice = createPeer(t, { name: 'lib-persistent', ackTimeout: 0.1 })
+  const bob = createPeer(t, { name: 'lib-flaky' })
+  await Promise.all([alice.start(), bob.start()])
+
+  const welcomed = once(alice, 'message')
+  link(alice, bob)
+  await welcomed
+  const left = once(alice, 'peerDisconnected')
+  alice.connectionManager.getConnections().values().next().value.end()
+  await left
+  alice.sendMessage({ peer: 'lib-flaky', message: 'try again' })
+
+  // Bob gets the message, but drops the connection before his ack leaves
+  const chatReceived = () => new Promise((resolve) => bob.on('message', ({ entry }) => entry.type === 'chat' && resolve(entry)))
+  const received = chatReceived()
+  const connected = once(bob, 'peerConnected')
+  link(alice, bob)
+  await connected
+  const [toAlice] = bob.connectionManager.getConnections().values()
+  toAlice.write = () => true
+  await received
+
+  const failed = once(alice, 'delivery')
+  toAlice.end()
+  t.is((await failed)[0].delivery, 'failed', 'should give up on the unacknowledged message')
+  t.is(alice.getOutbox().length, 1, 'should keep the message in the outbox')
+
+  const delivered = once(alice, 'delivery')
+  link(alice, bob)
+  t.is((await delivered)[0].delivery, 'delivered', 'should send it again when the peer is back')
+  t.is(alice.getOutbox().length, 0, 'should empty the outbox once acknowledged')
+})
+
+test('HyperswarmPeer - defaults write nothing to disk', async function (t) {
+  t.plan(4)
+
+  const peer = new HyperswarmPeer({ name: 'lib-diskless', room: 'library-test', swarm: createSwarm() })
+  await peer.start()
+  peer.banPeer({ peer: 'cd'.repeat(32) })
+  peer.sendMessage({ peer: 'ef'.repeat(32), message: 'later' })
+  await peer.close()
+
+  t.absent(fs.existsSync(path.join('log', 'lib-diskless.log')), 'should not write a log file')
+  t.absent(fs.existsSync(path.join('data', 'lib-diskless')), 'should not create a data directory')
+  t.is(peer.getBans().length, 1, 'should keep bans in memory')
+  t.is(peer.getOutbox().length, 1, 'should keep the outbox in memory')
+})
+
+test('HyperswarmPeer - file offers to a peer without a data directory are rejected', async function (t) {
+  t.plan(2)
+
+  const alice = createPeer(t, { name: 'lib-sender' })
+  const bob = new HyperswarmPeer({ name: 'lib-no-downloads', room: 'library-test', swarm: createSwarm() })
+  t.teardown(() => bob.close())
+  await Promise.all([alice.start(), bob.start()])
+
+  const welcomed = once(alice, 'message')
+  link(alice, bob)
+  await welcomed
+
+  const filePath = path.join(await t.tmp(), 'report.txt')
+  fs.writeFileSync(filePath, 'quarterly numbers')
+  const rejected = new Promise((resolve) => {
+    alice.logger.warn = (message) => message.includes('rejected') && resolve(message)
+  })
+  const [peerId] = alice.connectionManager.getConnections().keys()
+  const transfer = await alice.fileTransferManager.offerFile({ peerId, filePath })
+
+  t.ok((await rejected).endsWith('report.txt: no download directory'), 'should tell the sender why')
+  t.is(transfer.status, 'rejected', 'should mark the transfer rejected')
+})
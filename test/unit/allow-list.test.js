@@ -0,0 +1,46 @@
+import test from 'brittle'
+import fs from 'fs'
+import path from 'path'
+import AllowList from '../../lib/AllowList.js'
+import { logger } from '../helpers.js'
+
+const KEY_A = 'aa'.repeat(32)
+const KEY_B = 'bb'.repeat(32)
+
+test('AllowList - reads a hand-written key file', async function (t) {
+  t.plan(4)
+
+  const file = path.join(await t.tmp(), 'team.keys')
+  fs.writeFileSync(file, `# team\n${KEY_A.toUpperCase()} alice smith\n\n${KEY_B}\n`)
+  const allowList = new AllowList({ logger, file }).load()
+
+  t.ok(allowList.isAllowed({ publicKey: KEY_A }), 'should normalise keys to lowercase')
+  t.is(allowList.find({ query: 'alice smith' })[0].publicKey, KEY_A, 'should keep names with spaces')
+  t.is(allowList.find({ query: KEY_B })[0].name, null, 'should allow keys without a name')
+  t.is(allowList.list().length, 2, 'should skip comments and blank lines')
+})
+
+test('AllowList - saves changes back to the key file', async function (t) {
+  t.plan(4)
+
+  const file = path.join(await t.tmp(), 'keys', 'team.keys')
+  const allowList = new AllowList({ logger, file }).load()
+
+  t.ok(allowList.allow({ publicKey: KEY_A, name: 'alice' }), 'should add a key')
+  t.absent(allowList.allow({ publicKey: KEY_A }), 'should report a key that is already allowed')
+  allowList.allow({ publicKey: KEY_B })
+  allowList.revoke({ publicKey: KEY_B })
+
+  const reloaded = new AllowList({ logger, file }).load()
+  t.ok(reloaded.isAllowed({ publicKey: KEY_A }), 'should persist added keys')
+  t.absent(reloaded.isAllowed({ publicKey: KEY_B }), 'should persist revocations')
+})
+
+test('AllowList - rejects malformed lines', async function (t) {
+  t.plan(1)
+
+  const file = path.join(await t.tmp(), 'team.keys')
+  fs.writeFileSync(file, `${KEY_A}\nnot-a-key bob\n`)
+
+  t.exception(() => new AllowList({ logger, file }).load(), /line 2: expected a 64-char hex public key/, 'should name the bad line')
+})
@@ -0,0 +1,49 @@
+import test from 'brittle'
+import fs from 'fs'
+import path from 'path'
+import BanList from '../../lib/BanList.js'
+import { logger } from '../helpers.js'
+
+const KEY_A = 'aa'.repeat(32)
+const KEY_B = 'ab'.repeat(32)
+
+test('BanList - persists bans across instances', async function (t) {
+  t.plan(5)
+
+  const file = path.join(await t.tmp(), 'nested', 'bans.json')
+  const bans = new BanList({ logger, file }).load()
+
+  t.ok(bans.ban({ publicKey: KEY_A, name: 'mallory', reason: 'spam' }), 'should add a new ban')
+  t.absent(bans.ban({ publicKey: KEY_A }), 'should report a key that is already banned')
+  t.ok(fs.existsSync(file), 'should write the ban list')
+
+  const reloaded = new BanList({ logger, file }).load()
+  t.ok(reloaded.isBanned({ publicKey: KEY_A }), 'should load saved bans')
+  t.is(reloaded.list()[0].reason, 'spam', 'should keep the reason')
+})
+
+test('BanList - finds bans by key, prefix or name and lifts them', async function (t) {
+  t.plan(5)
+
+  const file = path.join(await t.tmp(), 'bans.json')
+  const bans = new BanList({ logger, file })
+  bans.ban({ publicKey: KEY_A, name: 'mallory' })
+  bans.ban({ publicKey: KEY_B, name: 'eve' })
+
+  t.is(bans.find({ query: KEY_B }).length, 1, 'should match a full key')
+  t.is(bans.find({ query: 'a' }).length, 2, 'should match every key with the prefix')
+  t.is(bans.find({ query: 'eve' })[0].publicKey, KEY_B, 'should match the name')
+
+  bans.unban({ publicKey: KEY_A })
+  t.absent(bans.isBanned({ publicKey: KEY_A }), 'should lift the ban')
+  t.alike(JSON.parse(fs.readFileSync(file, 'utf8')).bans.map((ban) => ban.publicKey), [KEY_B], 'should save the change')
+})
+
+test('BanList - rejects unreadable files', async function (t) {
+  t.plan(1)
+
+  const file = path.join(await t.tmp(), 'bans.json')
+  fs.writeFileSync(file, '{ not json')
+
+  t.exception(() => new BanList({ logger, file }).load(), /Cannot read ban list/, 'should name the broken file')
+})
@@ -0,0 +1,103 @@
+import test from 'brittle'
+import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
+import ChannelManager from '../../lib/ChannelManager.js'
+import { logger } from '../helpers.js'
+
+function createSwarm () {
+  const joined = new Set()
+  return {
+    joined,
+    join: (topic) => {
+      joined.add(b4a.toString(topic, 'hex'))
+      return { flushed: async () => {} }
+    },
+    leave: async (topic) => {
+      joined.delete(b4a.toString(topic, 'hex'))
+    }
+  }
+}
+
+test('ChannelManager - joining topics', async function (t) {
+  t.plan(5)
+
+  const swarm = createSwarm()
+  const channels = new ChannelManager({ logger, swarm })
+  const first = crypto.randomBytes(32)
+  const second = crypto.randomBytes(32)
+
+  const { joined } = await channels.join({ topic: first })
+  await channels.join({ topic: second })
+
+  t.ok(joined, 'should report a new join')
+  t.is(swarm.joined.size, 2, 'should join every topic on the swarm')
+  t.is(channels.getCurrent().topicHex, b4a.toString(second, 'hex'), 'should make the latest join current')
+
+  const again = await channels.join({ topic: first })
+  t.absent(again.joined, 'should not rejoin a topic')
+  t.is(channels.getCurrent().topicHex, b4a.toString(first, 'hex'), 'should switch to an already joined topic')
+})
+
+test('ChannelManager - leaving topics', async function (t) {
+  t.plan(4)
+
+  const swarm = createSwarm()
+  const channels = new ChannelManager({ logger, swarm })
+  const first = crypto.randomBytes(32)
+  const second = crypto.randomBytes(32)
+
+  await channels.join({ topic: first })
+  await channels.join({ topic: second })
+  await channels.leave({ topicHex: b4a.toString(second, 'hex') })
+
+  t.is(swarm.joined.size, 1, 'should leave the topic on the swarm')
+  t.absent(channels.hasTopic({ topicHex: b4a.toString(second, 'hex') }), 'should forget the channel')
+  t.is(channels.getCurrent().topicHex, b4a.toString(first, 'hex'), 'should fall back to another channel')
+
+  await channels.leave({ topicHex: b4a.toString(first, 'hex') })
+  t.is(channels.getCurrent(), null, 'should have no current channel once all are left')
+})
+
+test('ChannelManager - resolving channels by prefix', async function (t) {
+  t.plan(3)
+
+  const channels = new ChannelManager({ logger, swarm: createSwarm() })
+  const topic = b4a.from('ab' + '00'.repeat(31), 'hex')
+  const other = b4a.from('ac' + '00'.repeat(31), 'hex')
+
+  await channels.join({ topic })
+  await channels.join({ topic: other })
+
+  t.is(channels.resolve({ query: 'ab' }).topicHex, b4a.toString(topic, 'hex'), 'should resolve a unique prefix')
+  t.is(channels.resolve({ query: 'a' }), null, 'should not resolve an ambiguous prefix')
+  t.is(channels.resolve({ query: 'ff' }), null, 'should not resolve unknown topics')
+})
+
+test('ChannelManager - hex topics are validated', async function (t) {
+  t.plan(4)
+
+  const channels = new ChannelManager({ logger, swarm: createSwarm() })
+  const hex = 'deadbeef'.repeat(8)
+
+  t.alike(channels.topicFromHex({ hex }), b4a.from(hex, 'hex'), 'should decode a 64-char hex topic')
+  t.exception(() => channels.topicFromHex({ hex: 'deadbeef' }), /64 hex characters/, 'should reject short topics')
+  t.exception(() => channels.topicFromHex({ hex: 'zz'.repeat(32) }), /Invalid topic/, 'should reject non-hex characters')
+  t.exception(() => channels.topicFromHex({ hex: hex + 'ab' }), /Invalid topic/, 'should reject long topics')
+})
+
+test('ChannelManager - room names derive a stable topic', async function (t) {
+  t.plan(6)
+
+  const channels = new ChannelManager({ logger, swarm: createSwarm() })
+  const topic = channels.topicFromRoom({ room: 'team-standup' })
+
+  t.is(topic.length, 32, 'should derive a 32-byte topic')
+  t.alike(channels.topicFromRoom({ room: 'team-standup' }), topic, 'should derive the same topic every time')
+  t.unlike(channels.topicFromRoom({ room: 'team-retro' }), topic, 'should derive different topics for different rooms')
+  t.exception(() => channels.topicFromRoom({ room: '  ' }), /cannot be empty/, 'should reject empty room names')
+
+  await channels.join({ topic, name: 'team-standup' })
+  const topicHex = b4a.toString(topic, 'hex')
+  t.is(channels.label({ topicHex }), '#team-standup', 'should label the channel with the room name')
+  t.is(channels.resolve({ query: 'team-standup' }).topicHex, topicHex, 'should resolve channels by room name')
+})
@@ -3,15 +3,17 @@ import minimist from 'minimist'
 
 function parseArgs(argv) {
   const args = minimist(argv, {
-    string: ['mode', 'topic', 'name', 'port'],
-    boolean: ['help', 'version'],
+    string: ['mode', 'topic', 'room', 'name', 'port', 'identity', 'downloads', 'allow', 'invite'],
+    boolean: ['help', 'version', 'headless', 'exit-on-eof'],
     alias: {
       h: 'help',
       v: 'version',
       m: 'mode',
       t: 'topic',
+      r: 'room',
       n: 'name',
-      p: 'port'
+      p: 'port',
+      i: 'identity'
     },
     default: {
       mode: 'peer'
@@ -52,6 +54,16 @@ test('CLI Args - topic parsing', async function (t) {
   t.is(topicAliasArgs.topic, 'cafebabe', 'should parse topic with -t alias')
 })
 
+test('CLI Args - repeated topics and rooms', async function (t) {
+  t.plan(3)
+
+  const args = parseArgs(['--topic', 'aa', '--topic', 'bb', '-r', 'team-standup'])
+
+  t.alike(args.topic, ['aa', 'bb'], 'should collect repeated --topic values')
+  t.is(args.room, 'team-standup', 'should parse room with -r alias')
+  t.alike([].concat(args.room || []), ['team-standup'], 'should normalise a single room to a list')
+})
+
 test('CLI Args - name parsing', async function (t) {
   t.plan(2)
   
@@ -62,6 +74,37 @@ test('CLI Args - name parsing', async function (t) {
   t.is(nameAliasArgs.name, 'alice', 'should parse name with -n alias')
 })
 
+test('CLI Args - identity parsing', async function (t) {
+  t.plan(3)
+
+  const identityArgs = parseArgs(['--identity', 'keys/alice.json'])
+  const identityAliasArgs = parseArgs(['-i', 'bob.json'])
+
+  t.is(identityArgs.identity, 'keys/alice.json', 'should parse identity with --identity')
+  t.is(identityAliasArgs.identity, 'bob.json', 'should parse identity with -i alias')
+  t.absent(parseArgs([]).identity, 'should not have default identity')
+})
+
+test('CLI Args - headless flag', async function (t) {
+  t.plan(5)
+
+  t.is(parseArgs(['--headless']).headless, true, 'should parse headless flag')
+  t.is(parseArgs([]).headless, false, 'should default headless to false')
+  t.is(parseArgs(['--headless', '--name', 'bot']).name, 'bot', 'should not consume the following option')
+  t.is(parseArgs(['--headless', '--exit-on-eof'])['exit-on-eof'], true, 'should parse exit-on-eof flag')
+  t.is(parseArgs(['--headless'])['exit-on-eof'], false, 'should keep running at the end of input by default')
+})
+
+test('CLI Args - private mode options', async function (t) {
+  t.plan(3)
+
+  const args = parseArgs(['--allow', 'team.keys', '--invite', 'eyJpc3N1ZXIi'])
+
+  t.is(args.allow, 'team.keys', 'should parse the allowlist key file')
+  t.is(args.invite, 'eyJpc3N1ZXIi', 'should parse the invite token')
+  t.absent(parseArgs([]).allow, 'should not enable private mode by default')
+})
+
 test('CLI Args - boolean flags', async function (t) {
   t.plan(4)
   
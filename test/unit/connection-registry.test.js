@@ -0,0 +1,86 @@
+import test from 'brittle'
+import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
+import { EventEmitter } from 'events'
+import MessageHandler from '../../lib/MessageHandler.js'
+import ConnectionManager from '../../lib/ConnectionManager.js'
+import MessageFramer from '../../lib/MessageFramer.js'
+import { logger, noop } from '../helpers.js'
+
+function createManager () {
+  const events = new EventEmitter()
+  const history = []
+  const messageHandler = new MessageHandler({ logger, name: 'local', keyPair: crypto.keyPair(), sendToPeer: noop })
+  const connectionManager = new ConnectionManager({ logger, messageHandler, messageHistory: history, events })
+  return { connectionManager, messageHandler, events, history }
+}
+
+function createConnection (publicKeyHex) {
+  const connection = new EventEmitter()
+  connection.remotePublicKey = b4a.from(publicKeyHex, 'hex')
+  connection.write = () => true
+  connection.end = () => connection.emit('close')
+  connection.destroy = () => { connection.destroyed = true }
+  return connection
+}
+
+const KEY_A = 'abcd1234' + 'aa'.repeat(28)
+const KEY_B = 'abcd1234' + 'bb'.repeat(28)
+
+test('ConnectionManager - peers sharing a key prefix get distinct IDs', async function (t) {
+  t.plan(4)
+
+  const { connectionManager } = createManager()
+  connectionManager.handleConnection({ connection: createConnection(KEY_A), info: { client: true } })
+  connectionManager.handleConnection({ connection: createConnection(KEY_B), info: { client: true } })
+
+  t.is(connectionManager.getConnectionsSize(), 2, 'should keep both connections')
+  t.alike([...connectionManager.getConnections().keys()], ['abcd1234', 'abcd1234b'], 'should lengthen the ID until it is unique')
+  t.alike(connectionManager.findPeers({ query: 'abcd1234' }), ['abcd1234'], 'should match a full ID to one peer')
+  t.is(connectionManager.getPeerIdForKey({ publicKey: KEY_B }), 'abcd1234b', 'should look peers up by public key')
+})
+
+test('ConnectionManager - a reconnecting peer replaces its old connection', async function (t) {
+  t.plan(7)
+
+  const { connectionManager, events } = createManager()
+  const connected = []
+  const disconnected = []
+  events.on('peerConnected', (payload) => connected.push(payload))
+  events.on('peerDisconnected', (payload) => disconnected.push(payload))
+
+  const first = createConnection(KEY_A)
+  const second = createConnection(KEY_A)
+  connectionManager.handleConnection({ connection: first, info: { client: true } })
+  connectionManager.handleConnection({ connection: second, info: { client: false } })
+
+  t.ok(first.destroyed, 'should close the previous connection')
+  t.is(connectionManager.getConnection({ peerId: 'abcd1234' }), second, 'should keep the new connection under the same ID')
+  t.alike(disconnected, [], 'should not report a disconnect for the replaced session')
+  t.not(connected[0].sessionId, connected[1].sessionId, 'should give every connection its own session ID')
+
+  first.emit('close')
+  t.is(connectionManager.getConnection({ peerId: 'abcd1234' }), second, 'should ignore the old connection closing late')
+
+  second.emit('close')
+  t.is(connectionManager.getConnectionsSize(), 0, 'should remove the peer when the live connection closes')
+  t.is(connectionManager.sessions.size, 0, 'should forget the session')
+})
+
+test('ConnectionManager - data from a replaced connection is ignored', async function (t) {
+  t.plan(2)
+
+  const { connectionManager, history } = createManager()
+  const first = createConnection(KEY_A)
+  const second = createConnection(KEY_A)
+  connectionManager.handleConnection({ connection: first, info: { client: true } })
+  connectionManager.handleConnection({ connection: second, info: { client: false } })
+
+  const framer = new MessageFramer()
+  const chat = (message) => framer.encode({ message: { type: 'chat', from: 'remote', message, timestamp: Date.now() } })
+  first.emit('data', chat('stale'))
+  second.emit('data', chat('fresh'))
+
+  t.is(history.length, 1, 'should only handle messages from the live connection')
+  t.is(history[0].message, 'fresh', 'should keep the message from the new connection')
+})
@@ -0,0 +1,144 @@
+import test from 'brittle'
+import fs from 'fs'
+import http from 'http'
+import os from 'os'
+import path from 'path'
+import ControlServer from '../../lib/ControlServer.js'
+import { logger } from '../helpers.js'
+
+const token = 'secret'
+
+// Sends what a well-behaved local script would; headers override or, when undefined, drop the defaults.
+// Uses http.request because fetch does not let us pick the Host header.
+async function createServer (t, peer) {
+  const server = new ControlServer({ logger, port: 0, peer, token })
+  const port = await server.start()
+  t.teardown(() => server.close())
+
+  return async function request (method, path, body, headers = {}) {
+    const merged = {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+      Host: `127.0.0.1:${port}`,
+      ...headers
+    }
+    for (const key of Object.keys(merged)) {
+      if (merged[key] === undefined) delete merged[key]
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port, path, method, headers: merged }, (res) => {
+        const chunks = []
+        res.on('data', (chunk) => chunks.push(chunk))
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks)) }))
+      })
+      req.on('error', reject)
+      req.end(typeof body === 'string' ? body : body && JSON.stringify(body))
+    })
+  }
+}
+
+test('ControlServer - routes requests to the peer', async function (t) {
+  t.plan(4)
+
+  const calls = []
+  const request = await createServer(t, {
+    messageHistory: [],
+    getStatus: () => ({ name: 'alice' }),
+    getHistory: (options) => { calls.push(options); return [] },
+    broadcast: (options) => { calls.push(options); return { recipients: ['abcd1234'] } }
+  })
+
+  t.alike((await request('GET', '/status')).body, { name: 'alice' }, 'should return the peer result as JSON')
+
+  await request('GET', '/history?limit=5&topic=ops')
+  t.alike(calls[0], { limit: '5', before: null, topic: 'ops' }, 'should pass query parameters through')
+
+  const res = await request('POST', '/broadcast', { message: 'hi', topic: 'ops' })
+  t.is(res.status, 200, 'should accept JSON bodies')
+  t.alike(calls[1], { message: 'hi', topic: 'ops' }, 'should pass body fields through')
+})
+
+test('ControlServer - errors are reported with a status', async function (t) {
+  t.plan(6)
+
+  const request = await createServer(t, {
+    getStatus: () => { throw new Error('boom') },
+    sendMessage: () => { throw Object.assign(new Error('No connected peer matches "bob"'), { code: 'PEER_NOT_FOUND' }) },
+    join: () => { throw Object.assign(new Error('Specify either room or topic'), { code: 'INVALID_ARGUMENT' }) }
+  })
+
+  t.is((await request('GET', '/nope')).status, 404, 'should reject unknown endpoints')
+  t.is((await request('GET', '/broadcast')).status, 405, 'should reject the wrong method')
+  t.is((await request('POST', '/send', '{not json')).status, 400, 'should reject malformed JSON')
+
+  const missing = await request('POST', '/send', { peer: 'bob', message: 'hi' })
+  t.alike(missing, { status: 404, body: { error: 'No connected peer matches "bob"' } }, 'should map error codes to statuses')
+  t.is((await request('POST', '/join', {})).status, 400, 'should report invalid arguments as 400')
+
+  t.is((await request('GET', '/status')).status, 500, 'should turn unexpected errors into 500')
+})
+
+test('ControlServer - only listens on localhost', async function (t) {
+  t.plan(1)
+
+  const server = new ControlServer({ logger, port: 0, peer: {} })
+  await server.start()
+  t.teardown(() => server.close())
+
+  t.is(server.server.address().address, '127.0.0.1', 'should bind to the loopback interface')
+})
+
+test('ControlServer - rejects requests a browser could forge', async function (t) {
+  t.plan(9)
+
+  let calls = 0
+  const request = await createServer(t, {
+    getStatus: () => { calls++; return { name: 'alice' } },
+    pingAllPeers: () => { calls++; return [] }
+  })
+
+  const rebound = await request('GET', '/status', null, { Host: 'evil.example:7070' })
+  t.is(rebound.status, 403, 'should reject a foreign Host')
+  t.is((await request('GET', '/status', null, { Host: 'localhost:1' })).status, 403, 'should reject another port')
+  t.is((await request('GET', '/status', null, { Origin: 'https://evil.example' })).status, 403, 'should reject any Origin')
+  t.is((await request('GET', '/status', null, { Origin: 'null' })).status, 403, 'should reject an opaque Origin')
+
+  t.is((await request('GET', '/status', null, { Authorization: undefined })).status, 401, 'should require the token')
+  t.is((await request('GET', '/status', null, { Authorization: 'Bearer wrong!' })).status, 401, 'should reject a wrong token')
+
+  const form = await request('POST', '/ping', 'x=1', { 'Content-Type': 'text/plain' })
+  t.is(form.status, 415, 'should reject bodies that are not JSON')
+  t.is((await request('POST', '/ping', null, { 'Content-Type': undefined })).status, 415, 'should require a content type on POST')
+
+  t.is(calls, 0, 'should not reach the peer for rejected requests')
+})
+
+test('ControlServer - accepts localhost and JSON with a charset', async function (t) {
+  t.plan(2)
+
+  const server = new ControlServer({ logger, port: 0, peer: { pingAllPeers: () => ['abcd1234'] }, token })
+  const port = await server.start()
+  t.teardown(() => server.close())
+
+  const res = await fetch(`http://localhost:${port}/ping`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json; charset=utf-8', Authorization: `Bearer ${token}` },
+    body: '{}'
+  })
+  t.is(res.headers.get('content-type'), 'application/json', 'should answer requests addressed to localhost')
+  t.alike(await res.json(), { peers: ['abcd1234'] }, 'should accept a JSON content type with parameters')
+})
+
+test('ControlServer - token file is created once and private', async function (t) {
+  t.plan(3)
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'control-token-'))
+  t.teardown(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const file = path.join(dir, 'control-token')
+
+  const created = ControlServer.loadOrCreateToken({ file })
+  t.is(created.length, 64, 'should generate a random token')
+  t.is(fs.statSync(file).mode & 0o777, 0o600, 'should only be readable by its owner')
+  t.is(ControlServer.loadOrCreateToken({ file }), created, 'should reuse the stored token')
+})
@@ -0,0 +1,27 @@
+import test from 'brittle'
+import DedupCache from '../../lib/DedupCache.js'
+
+test('DedupCache - remembers IDs once', async function (t) {
+  t.plan(3)
+
+  const cache = new DedupCache()
+
+  t.ok(cache.add('a'), 'should accept a new ID')
+  t.absent(cache.add('a'), 'should reject a repeated ID')
+  t.ok(cache.has('a'), 'should report known IDs')
+})
+
+test('DedupCache - evicts the oldest IDs when full', async function (t) {
+  t.plan(4)
+
+  const cache = new DedupCache({ maxSize: 3 })
+  cache.add('a')
+  cache.add('b')
+  cache.add('c')
+  cache.add('d')
+
+  t.is(cache.size, 3, 'should stay within its bound')
+  t.absent(cache.has('a'), 'should evict the oldest ID')
+  t.ok(cache.has('b'), 'should keep newer IDs')
+  t.ok(cache.has('d'), 'should keep the newest ID')
+})
@@ -0,0 +1,61 @@
+import test from 'brittle'
+import DeliveryTracker from '../../lib/DeliveryTracker.js'
+
+function createTracker (t, options = {}) {
+  const resent = []
+  const settled = []
+  const tracker = new DeliveryTracker({
+    resend: (item) => resent.push(item),
+    onSettled: (result) => settled.push(result),
+    timeout: 10,
+    attempts: 3,
+    ...options
+  })
+  t.teardown(() => tracker.stop())
+  return { tracker, resent, settled }
+}
+
+function sent (id) {
+  return { message: { type: 'chat', id, message: 'hi' }, entry: { id, message: 'hi' } }
+}
+
+test('DeliveryTracker - an ack from the recipient settles the message', async function (t) {
+  t.plan(5)
+
+  const { tracker, settled } = createTracker(t, { timeout: 60 * 1000 })
+  const { message, entry } = sent('a1')
+  tracker.track({ peerId: 'bob', message, entry })
+  t.is(entry.delivery, 'pending', 'should mark the entry pending')
+
+  t.is(tracker.ack({ peerId: 'mallory', id: 'a1' }), null, 'should ignore acks from other peers')
+  t.is(tracker.ack({ peerId: 'bob', id: 'a1' }), entry, 'should accept the recipient\'s ack')
+  t.is(entry.delivery, 'delivered', 'should mark the entry delivered')
+  t.alike(settled, [{ entry, attempts: 1 }], 'should report the delivery once')
+})
+
+test('DeliveryTracker - unacknowledged messages are resent, then fail', async function (t) {
+  t.plan(4)
+
+  const { tracker, resent, settled } = createTracker(t)
+  const { message, entry } = sent('b2')
+  tracker.track({ peerId: 'bob', message, entry })
+
+  await new Promise((resolve) => setTimeout(resolve, 100))
+  t.alike(resent.map((item) => item.attempt), [2, 3], 'should resend until the attempts run out')
+  t.is(resent[0].message, message, 'should resend the same message')
+  t.is(entry.delivery, 'failed', 'should mark the entry failed')
+  t.alike(settled, [{ entry, attempts: 3 }], 'should report the failure once')
+})
+
+test('DeliveryTracker - an ack after a resend still counts', async function (t) {
+  t.plan(2)
+
+  const { tracker, settled } = createTracker(t, { timeout: 30 })
+  const { message, entry } = sent('c3')
+  tracker.track({ peerId: 'bob', message, entry })
+
+  await new Promise((resolve) => setTimeout(resolve, 45))
+  tracker.ack({ peerId: 'bob', id: 'c3' })
+  t.is(entry.delivery, 'delivered', 'should mark the entry delivered')
+  t.is(settled[0].attempts, 2, 'should report how many sends it took')
+})
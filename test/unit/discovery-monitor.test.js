@@ -0,0 +1,94 @@
+import test from 'brittle'
+import { EventEmitter } from 'events'
+import DiscoveryMonitor from '../../lib/DiscoveryMonitor.js'
+import { logger } from '../helpers.js'
+
+function createMonitor (t, { refresh = async () => {}, ...options } = {}) {
+  const state = { connections: 0, refreshes: 0 }
+  const swarm = { peers: new Map() }
+  const discovery = {
+    refresh: async (args) => {
+      state.refreshes++
+      return refresh(args)
+    }
+  }
+  const channelManager = { getChannels: () => [{ discovery }] }
+  const events = new EventEmitter()
+
+  const monitor = new DiscoveryMonitor({
+    logger,
+    swarm,
+    channelManager,
+    events,
+    getConnectionsSize: () => state.connections,
+    minRetry: 60 * 1000,
+    maxRetry: 4 * 60 * 1000,
+    ...options
+  })
+  t.teardown(() => monitor.stop())
+  return { monitor, state, swarm, events }
+}
+
+test('DiscoveryMonitor - refreshes with backoff while alone', async function (t) {
+  t.plan(6)
+
+  const { monitor, swarm } = createMonitor(t)
+  monitor.start()
+  t.is(monitor.getStatus().state, 'searching', 'should start searching without peers')
+  t.ok(monitor.getStatus().nextAttemptAt > Date.now(), 'should schedule the first attempt')
+
+  swarm.peers.set('a', {})
+  for (let i = 0; i < 3; i++) await monitor.refresh()
+
+  const status = monitor.getStatus()
+  t.is(status.attempts, 3, 'should count the attempts')
+  t.alike({ ...status.lastResult, at: 0 }, { at: 0, topics: 1, peersSeen: 1, error: null }, 'should keep the last DHT result')
+  t.is(monitor.retryDelay, 4 * 60 * 1000, 'should double the delay up to the maximum')
+  t.ok(status.nextAttemptAt - Date.now() > 3 * 60 * 1000, 'should schedule the next attempt after the delay')
+})
+
+test('DiscoveryMonitor - keeps retrying on its own', async function (t) {
+  t.plan(1)
+
+  const { monitor, state } = createMonitor(t, { minRetry: 10, maxRetry: 10 })
+  monitor.start()
+  await new Promise((resolve) => setTimeout(resolve, 100))
+  t.ok(state.refreshes >= 2, 'should refresh again after every delay')
+})
+
+test('DiscoveryMonitor - transitions between alone and connected are emitted', async function (t) {
+  t.plan(6)
+
+  const { monitor, state, events } = createMonitor(t)
+  const seen = []
+  events.on('discovery', (payload) => seen.push(payload))
+
+  monitor.start()
+  await monitor.refresh()
+
+  state.connections = 1
+  monitor.update()
+  t.is(monitor.getStatus().nextAttemptAt, null, 'should stop retrying once connected')
+  state.connections = 2
+  monitor.update()
+
+  state.connections = 0
+  monitor.update()
+  t.is(monitor.getStatus().attempts, 0, 'should start counting again')
+  t.is(monitor.retryDelay, 60 * 1000, 'should reset the backoff')
+  t.ok(monitor.getStatus().nextAttemptAt, 'should retry again when alone')
+
+  t.alike(seen.map((payload) => payload.state), ['connected', 'searching'], 'should emit only changes of state')
+  t.is(seen[0].connectedPeers, 1, 'should report the connected peers')
+})
+
+test('DiscoveryMonitor - failed lookups are reported', async function (t) {
+  t.plan(2)
+
+  const { monitor } = createMonitor(t, { refresh: async () => { throw new Error('DHT unreachable') } })
+  monitor.start()
+  const status = await monitor.refresh()
+
+  t.is(status.lastResult.error, 'DHT unreachable', 'should record the error')
+  t.ok(status.nextAttemptAt, 'should keep retrying')
+})
@@ -0,0 +1,148 @@
+import test from 'brittle'
+import fs from 'fs'
+import path from 'path'
+import { EventEmitter } from 'events'
+import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
+import { delay } from 'es-toolkit'
+import MessageHandler from '../../lib/MessageHandler.js'
+import ConnectionManager from '../../lib/ConnectionManager.js'
+import FileTransferManager from '../../lib/FileTransferManager.js'
+import { logger } from '../helpers.js'
+
+function createSide ({ name, downloadDir }) {
+  const side = { name, keyPair: crypto.keyPair() }
+  side.messageHandler = new MessageHandler({
+    logger,
+    name,
+    keyPair: side.keyPair,
+    sendToPeer: (args) => side.connectionManager.sendToPeer(args),
+    handleFileMessage: (args) => side.fileTransferManager.handleMessage(args)
+  })
+  side.connectionManager = new ConnectionManager({ logger, messageHandler: side.messageHandler, messageHistory: [] })
+  side.fileTransferManager = new FileTransferManager({
+    logger,
+    messageHandler: side.messageHandler,
+    connectionManager: side.connectionManager,
+    downloadDir
+  })
+  return side
+}
+
+// Connects two sides with in-memory sockets that deliver data asynchronously
+function connect (a, b) {
+  const toB = new EventEmitter()
+  const toA = new EventEmitter()
+  toB.remotePublicKey = b.keyPair.publicKey
+  toA.remotePublicKey = a.keyPair.publicKey
+  toB.write = (data) => { setImmediate(() => toA.emit('data', b4a.from(data))); return true }
+  toA.write = (data) => { setImmediate(() => toB.emit('data', b4a.from(data))); return true }
+
+  a.connectionManager.handleConnection({ connection: toB, info: { client: true } })
+  b.connectionManager.handleConnection({ connection: toA, info: { client: false } })
+
+  return {
+    drop () {
+      a.connectionManager.onConnectionClose({ peerId: peerIdOf(b) })
+      b.connectionManager.onConnectionClose({ peerId: peerIdOf(a) })
+    }
+  }
+}
+
+function peerIdOf (side) {
+  return b4a.toString(side.keyPair.publicKey, 'hex').substring(0, 8)
+}
+
+async function waitFor (check, timeout = 5000) {
+  const start = Date.now()
+  while (!check()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for condition')
+    await delay(5)
+  }
+}
+
+test('FileTransferManager - offer, accept and verified delivery', async function (t) {
+  t.plan(5)
+
+  const tmpDir = await t.tmp()
+  const source = path.join(tmpDir, 'report.log')
+  fs.writeFileSync(source, crypto.randomBytes(50 * 1024))
+
+  const alice = createSide({ name: 'alice', downloadDir: path.join(tmpDir, 'alice') })
+  const bob = createSide({ name: 'bob', downloadDir: path.join(tmpDir, 'bob') })
+  connect(alice, bob)
+
+  const offer = await alice.fileTransferManager.offerFile({ peerId: peerIdOf(bob), filePath: source })
+  await waitFor(() => bob.fileTransferManager.incoming.size === 1)
+
+  const pending = bob.fileTransferManager.findPendingIncoming({ query: null })
+  t.is(pending.transferId, offer.transferId, 'should surface the offer on the receiver')
+
+  bob.fileTransferManager.acceptTransfer({ transferId: pending.transferId })
+  await waitFor(() => offer.status === 'done')
+
+  t.is(pending.status, 'done', 'should complete the incoming transfer')
+  t.is(pending.finalPath, path.join(tmpDir, 'bob', 'report.log'), 'should save into the download directory')
+  t.alike(fs.readFileSync(pending.finalPath), fs.readFileSync(source), 'should deliver identical bytes')
+  t.absent(fs.existsSync(pending.partPath), 'should remove the partial file')
+})
+
+test('FileTransferManager - rejecting an offer', async function (t) {
+  t.plan(2)
+
+  const tmpDir = await t.tmp()
+  const source = path.join(tmpDir, 'config.json')
+  fs.writeFileSync(source, '{}')
+
+  const alice = createSide({ name: 'alice', downloadDir: path.join(tmpDir, 'alice') })
+  const bob = createSide({ name: 'bob', downloadDir: path.join(tmpDir, 'bob') })
+  connect(alice, bob)
+
+  const offer = await alice.fileTransferManager.offerFile({ peerId: peerIdOf(bob), filePath: source })
+  await waitFor(() => bob.fileTransferManager.incoming.size === 1)
+
+  bob.fileTransferManager.rejectTransfer({ transferId: offer.transferId })
+  await waitFor(() => offer.status === 'rejected')
+
+  t.is(offer.status, 'rejected', 'should tell the sender')
+  t.absent(fs.existsSync(path.join(tmpDir, 'bob', 'config.json')), 'should not write anything')
+})
+
+test('FileTransferManager - resumes after reconnecting', async function (t) {
+  t.plan(3)
+
+  const tmpDir = await t.tmp()
+  const source = path.join(tmpDir, 'big.bin')
+  fs.writeFileSync(source, crypto.randomBytes(200 * 1024))
+
+  const alice = createSide({ name: 'alice', downloadDir: path.join(tmpDir, 'alice') })
+  const bob = createSide({ name: 'bob', downloadDir: path.join(tmpDir, 'bob') })
+  const link = connect(alice, bob)
+
+  const offer = await alice.fileTransferManager.offerFile({ peerId: peerIdOf(bob), filePath: source })
+  await waitFor(() => bob.fileTransferManager.incoming.size === 1)
+  const incoming = bob.fileTransferManager.acceptTransfer({ transferId: offer.transferId })
+
+  await waitFor(() => incoming.received >= 32 * 1024)
+  link.drop()
+  await waitFor(() => offer.status === 'paused')
+  const receivedBeforeDrop = incoming.received
+
+  connect(alice, bob)
+  bob.fileTransferManager.onPeerConnected({ peerId: peerIdOf(alice) })
+  await waitFor(() => incoming.status === 'done')
+
+  t.ok(receivedBeforeDrop > 0 && receivedBeforeDrop < 200 * 1024, 'should have stopped part way')
+  t.is(offer.status, 'done', 'should finish after resuming')
+  t.alike(fs.readFileSync(incoming.finalPath), fs.readFileSync(source), 'should reassemble the file across connections')
+})
+
+test('FileTransferManager - offered file names cannot escape the download directory', async function (t) {
+  t.plan(3)
+
+  const ftm = new FileTransferManager({ logger, messageHandler: null, connectionManager: null, downloadDir: '/tmp' })
+
+  t.is(ftm.sanitizeFileName({ fileName: '../../etc/passwd' }), 'passwd', 'should strip parent directories')
+  t.is(ftm.sanitizeFileName({ fileName: '..\\..\\boot.ini' }), 'boot.ini', 'should strip windows separators')
+  t.is(ftm.sanitizeFileName({ fileName: '..' }), null, 'should reject bare parent references')
+})
@@ -0,0 +1,52 @@
+import test from 'brittle'
+import MessageFramer from '../../lib/MessageFramer.js'
+import { createPeer } from '../helpers.js'
+
+test('Heartbeat - silent peers are evicted with a reason', async function (t) {
+  t.plan(5)
+
+  const peer = createPeer()
+  peer.events.on('peerDisconnected', ({ peerId, reason }) => {
+    t.is(peerId, 'remote01', 'should report the evicted peer')
+    t.ok(reason.startsWith('evicted: no data for 60s'), 'should say why the peer was evicted')
+  })
+
+  peer.connectionManager.updatePeerInfo({ peerId: 'remote01', capabilities: ['welcome', 'heartbeat'] })
+  t.alike(peer.connectionManager.evictIdlePeers({ idleTimeout: 45000 }), [], 'should keep a peer that was just heard from')
+
+  peer.connectionManager.updatePeerInfo({ peerId: 'remote01', lastSeen: Date.now() - 60000 })
+  t.alike(peer.connectionManager.evictIdlePeers({ idleTimeout: 45000 }), ['remote01'], 'should evict a peer silent for too long')
+  t.ok(peer.destroyed && peer.connectionManager.getConnectionsSize() === 0, 'should destroy and forget the connection')
+})
+
+test('Heartbeat - any data counts as a sign of life', async function (t) {
+  t.plan(2)
+
+  const peer = createPeer()
+  peer.connectionManager.updatePeerInfo({ peerId: 'remote01', lastSeen: 0 })
+
+  const message = peer.messageHandler.createHeartbeatMessage({ name: 'remote' })
+  peer.connectionManager.onConnectionData({ peerId: 'remote01', framer: new MessageFramer(), data: new MessageFramer().encode({ message }) })
+
+  t.ok(peer.connectionManager.getPeerInfo({ peerId: 'remote01' }).lastSeen > 0, 'should note when the peer was last heard from')
+  t.is(peer.history.length, 0, 'should not keep heartbeats in history')
+})
+
+test('Heartbeat - peers that predate heartbeats are neither sent them nor evicted', async function (t) {
+  t.plan(4)
+
+  const peer = createPeer()
+  peer.connectionManager.sendHeartbeats({ name: 'local' })
+  t.is(peer.written.at(-1).type, 'heartbeat', 'should send heartbeats while capabilities are unknown')
+
+  peer.connectionManager.updatePeerInfo({ peerId: 'remote01', lastSeen: 0 })
+  t.alike(peer.connectionManager.evictIdlePeers({ idleTimeout: 45000 }), [], 'should not evict a peer before its welcome arrives')
+
+  peer.receive({ type: 'welcome', from: 'remote', message: 'Hello', protocol: '1.1', capabilities: ['welcome', 'chat'], timestamp: Date.now() })
+  peer.written.length = 0
+  peer.connectionManager.sendHeartbeats({ name: 'local' })
+  t.is(peer.written.length, 0, 'should not send heartbeats to a peer without the capability')
+
+  peer.connectionManager.updatePeerInfo({ peerId: 'remote01', lastSeen: 0 })
+  t.alike(peer.connectionManager.evictIdlePeers({ idleTimeout: 45000 }), [], 'should not evict a quiet peer that sends no heartbeats')
+})
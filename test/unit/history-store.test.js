@@ -0,0 +1,141 @@
+import test from 'brittle'
+import fs from 'fs'
+import path from 'path'
+import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
+import HistoryStore from '../../lib/HistoryStore.js'
+
+function createLogger () {
+  const warnings = []
+  return {
+    warnings,
+    warn: (msg) => warnings.push(msg),
+    error: (msg) => warnings.push(msg)
+  }
+}
+
+test('HistoryStore - append is a no-op before open', async function (t) {
+  t.plan(1)
+
+  const tmpDir = await t.tmp()
+  const store = new HistoryStore({ logger: createLogger(), directory: tmpDir })
+
+  store.append({ entry: { type: 'broadcast', message: 'lost', received: Date.now() } })
+
+  t.alike(fs.readdirSync(tmpDir), [], 'should not write without an open topic')
+})
+
+test('HistoryStore - entries survive reopening the same topic', async function (t) {
+  t.plan(4)
+
+  const tmpDir = await t.tmp()
+  const topic = crypto.randomBytes(32)
+  const topicHex = b4a.toString(topic, 'hex')
+
+  const first = new HistoryStore({ logger: createLogger(), directory: tmpDir })
+  t.alike(first.open({ topic }), [], 'should start with empty history')
+  first.append({ entry: { type: 'broadcast', topic: topicHex, message: 'one', received: 1 } })
+  first.append({ entry: { type: 'broadcast', topic: topicHex, message: 'two', received: 2 } })
+
+  const second = new HistoryStore({ logger: createLogger(), directory: tmpDir })
+  const entries = second.open({ topic })
+
+  t.is(entries.length, 2, 'should reload all entries')
+  t.is(entries[1].message, 'two', 'should preserve entry order')
+  t.ok(fs.existsSync(path.join(tmpDir, `${topicHex}.jsonl`)), 'should key the file by topic')
+})
+
+test('HistoryStore - topics are kept separate', async function (t) {
+  t.plan(1)
+
+  const tmpDir = await t.tmp()
+  const store = new HistoryStore({ logger: createLogger(), directory: tmpDir })
+  const first = crypto.randomBytes(32)
+  const second = crypto.randomBytes(32)
+
+  store.open({ topic: first })
+  store.open({ topic: second })
+  store.append({ entry: { type: 'broadcast', topic: b4a.toString(first, 'hex'), message: 'elsewhere', received: 1 } })
+
+  t.alike(store.open({ topic: second }), [], 'should not load history from another topic')
+})
+
+test('HistoryStore - untagged entries go to the direct log', async function (t) {
+  t.plan(3)
+
+  const tmpDir = await t.tmp()
+  const store = new HistoryStore({ logger: createLogger(), directory: tmpDir })
+  const topic = crypto.randomBytes(32)
+
+  store.open({ topic })
+  store.open()
+  store.append({ entry: { type: 'chat', message: 'psst', received: 1 } })
+
+  t.alike(store.open({ topic }), [], 'should not store direct messages in the topic file')
+  t.is(store.open()[0].message, 'psst', 'should store direct messages in the direct log')
+
+  store.close({ topic })
+  store.append({ entry: { type: 'broadcast', topic: b4a.toString(topic, 'hex'), message: 'late', received: 2 } })
+  t.alike(store.open({ topic }), [], 'should stop writing a topic once it is closed')
+})
+
+test('HistoryStore - corrupt lines are skipped', async function (t) {
+  t.plan(3)
+
+  const tmpDir = await t.tmp()
+  const topic = crypto.randomBytes(32)
+  const logger = createLogger()
+  const store = new HistoryStore({ logger, directory: tmpDir })
+
+  store.open({ topic })
+  store.append({ entry: { type: 'broadcast', topic: b4a.toString(topic, 'hex'), message: 'ok', received: 1 } })
+  fs.appendFileSync(store.files.get(b4a.toString(topic, 'hex')), '{"type":"broad')
+
+  const entries = store.open({ topic })
+  t.is(entries.length, 1, 'should keep valid entries')
+  t.is(entries[0].message, 'ok', 'should parse valid entry')
+  t.is(logger.warnings.length, 1, 'should warn about corrupt entries')
+})
+
+test('HistoryStore - delivery records update sent messages on load', async function (t) {
+  t.plan(3)
+
+  const tmpDir = await t.tmp()
+  const first = new HistoryStore({ logger: createLogger(), directory: tmpDir })
+  first.open()
+  const delivered = { type: 'chat', id: 'a'.repeat(32), outgoing: true, message: 'one', received: 1, delivery: 'pending' }
+  const lost = { type: 'chat', id: 'b'.repeat(32), outgoing: true, message: 'two', received: 2, delivery: 'pending' }
+  first.append({ entry: delivered })
+  first.append({ entry: lost })
+  first.appendDelivery({ entry: { ...delivered, delivery: 'delivered' } })
+
+  const entries = new HistoryStore({ logger: createLogger(), directory: tmpDir }).open()
+  t.is(entries.length, 2, 'should not list delivery records as messages')
+  t.is(entries[0].delivery, 'delivered', 'should apply the final state')
+  t.is(entries[1].delivery, 'unconfirmed', 'should not leave messages from an earlier run pending')
+})
+
+test('HistoryStore - paging by count and time', async function (t) {
+  t.plan(4)
+
+  const store = new HistoryStore({ logger: createLogger(), directory: '.' })
+  const entries = Array.from({ length: 30 }, (_, i) => ({ message: `m${i}`, received: 1000 + i }))
+
+  t.is(store.page({ entries }).length, 10, 'should default to the last 10 entries')
+  t.is(store.page({ entries, limit: 50 }).length, 30, 'should return everything when limit exceeds size')
+  t.alike(store.page({ entries, limit: 2, before: 1005 }).map((e) => e.message), ['m3', 'm4'], 'should page backwards from a time')
+  t.alike(store.page({ entries, before: 1000 }), [], 'should return nothing before the first entry')
+})
+
+test('HistoryStore - paging by channel keeps direct messages', async function (t) {
+  t.plan(1)
+
+  const store = new HistoryStore({ logger: createLogger(), directory: '.' })
+  const entries = [
+    { message: 'a', topic: 'aa', received: 1 },
+    { message: 'b', topic: 'bb', received: 2 },
+    { message: 'dm', received: 3 }
+  ]
+
+  t.alike(store.page({ entries, topic: 'aa' }).map((e) => e.message), ['a', 'dm'], 'should filter out other channels')
+})
@@ -0,0 +1,45 @@
+import test from 'brittle'
+import fs from 'fs'
+import path from 'path'
+import b4a from 'b4a'
+import IdentityStore from '../../lib/IdentityStore.js'
+import { logger } from '../helpers.js'
+
+test('IdentityStore - generates and persists a keypair', async function (t) {
+  t.plan(4)
+
+  const tmpDir = await t.tmp()
+  const file = path.join(tmpDir, 'nested', 'identity.json')
+  const keyPair = new IdentityStore({ logger, file }).loadOrCreate()
+
+  t.is(keyPair.publicKey.length, 32, 'should generate a 32-byte public key')
+  t.is(keyPair.secretKey.length, 64, 'should generate a 64-byte secret key')
+  t.ok(fs.existsSync(file), 'should write the identity file')
+  t.is(JSON.parse(fs.readFileSync(file, 'utf8')).publicKey, b4a.toString(keyPair.publicKey, 'hex'), 'should store the public key as hex')
+})
+
+test('IdentityStore - reuses the stored keypair', async function (t) {
+  t.plan(2)
+
+  const tmpDir = await t.tmp()
+  const file = path.join(tmpDir, 'identity.json')
+
+  const first = new IdentityStore({ logger, file }).loadOrCreate()
+  const second = new IdentityStore({ logger, file }).loadOrCreate()
+
+  t.alike(second.publicKey, first.publicKey, 'should load the same public key')
+  t.alike(second.secretKey, first.secretKey, 'should load the same secret key')
+})
+
+test('IdentityStore - rejects invalid identity files', async function (t) {
+  t.plan(2)
+
+  const tmpDir = await t.tmp()
+  const corrupt = path.join(tmpDir, 'corrupt.json')
+  const truncated = path.join(tmpDir, 'truncated.json')
+  fs.writeFileSync(corrupt, 'not json')
+  fs.writeFileSync(truncated, JSON.stringify({ publicKey: 'abcd', secretKey: 'abcd' }))
+
+  t.exception(() => new IdentityStore({ logger, file: corrupt }).loadOrCreate(), /Cannot read identity file/, 'should reject unparseable files')
+  t.exception(() => new IdentityStore({ logger, file: truncated }).loadOrCreate(), /valid keypair/, 'should reject keys of the wrong length')
+})
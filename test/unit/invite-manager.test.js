@@ -0,0 +1,54 @@
+import test from 'brittle'
+import path from 'path'
+import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
+import InviteManager from '../../lib/InviteManager.js'
+import { logger } from '../helpers.js'
+
+const INVITEE = 'cc'.repeat(32)
+
+async function createManager (t, keyPair = crypto.keyPair()) {
+  const file = path.join(await t.tmp(), 'invites.json')
+  return new InviteManager({ logger, file, keyPair }).load()
+}
+
+test('InviteManager - issues tokens that can be redeemed once', async function (t) {
+  t.plan(5)
+
+  const keyPair = crypto.keyPair()
+  const invites = await createManager(t, keyPair)
+  t.absent(invites.hasOutstanding(), 'should start without outstanding invites')
+
+  const { token } = invites.create({ hours: 1 })
+  t.is(InviteManager.decode({ token }).issuer, b4a.toString(keyPair.publicKey, 'hex'), 'should name the issuer in the token')
+  t.ok(invites.hasOutstanding(), 'should track the new invite')
+
+  t.is(invites.redeem({ token, publicKey: INVITEE }), null, 'should accept the token once')
+  t.is(invites.redeem({ token, publicKey: 'dd'.repeat(32) }), 'invite has already been used', 'should refuse a second use')
+})
+
+test('InviteManager - remembers used invites across restarts', async function (t) {
+  t.plan(1)
+
+  const keyPair = crypto.keyPair()
+  const file = path.join(await t.tmp(), 'invites.json')
+  const { token } = new InviteManager({ logger, file, keyPair }).create({ hours: 1 })
+  new InviteManager({ logger, file, keyPair }).load().redeem({ token, publicKey: INVITEE })
+
+  t.is(new InviteManager({ logger, file, keyPair }).load().redeem({ token, publicKey: INVITEE }), 'invite has already been used', 'should refuse a token used before the restart')
+})
+
+test('InviteManager - refuses forged and foreign tokens', async function (t) {
+  t.plan(3)
+
+  const invites = await createManager(t)
+  const other = await createManager(t)
+  const { token } = invites.create({ hours: 1 })
+
+  const fields = InviteManager.decode({ token })
+  const forged = b4a.toString(b4a.from(JSON.stringify({ ...fields, expires: fields.expires + 1000 })), 'base64url')
+
+  t.is(invites.redeem({ token: forged, publicKey: INVITEE }), 'invite was not issued by this peer', 'should detect a tampered token')
+  t.is(other.redeem({ token, publicKey: INVITEE }), 'invite was not issued by this peer', 'should refuse tokens from another issuer')
+  t.is(invites.redeem({ token: 'not a token', publicKey: INVITEE }), 'malformed invite', 'should refuse garbage')
+})
@@ -0,0 +1,62 @@
+import test from 'brittle'
+import { EventEmitter } from 'events'
+import JsonDisplay from '../../lib/JsonDisplay.js'
+
+function createOutput () {
+  const lines = []
+  return {
+    lines,
+    write (chunk) { lines.push(...chunk.split('\n').filter(Boolean)) },
+    events () { return lines.map((line) => JSON.parse(line)) }
+  }
+}
+
+test('JsonDisplay - writes one JSON object per line', async function (t) {
+  t.plan(4)
+
+  const output = createOutput()
+  const display = new JsonDisplay({ output })
+
+  display.write('ready', { name: 'bot' })
+  display.write('pong', { latency: 12 })
+
+  const [ready, pong] = output.events()
+  t.is(output.lines.length, 2, 'should write each event on its own line')
+  t.is(ready.event, 'ready', 'should tag the event name')
+  t.is(ready.name, 'bot', 'should include the payload')
+  t.ok(Date.parse(pong.time), 'should timestamp each event')
+})
+
+test('JsonDisplay - bus events are forwarded', async function (t) {
+  t.plan(4)
+
+  const output = createOutput()
+  const events = new EventEmitter()
+  new JsonDisplay({ output }).attach({ events })
+
+  events.emit('peerConnected', { peerId: 'abcd1234' })
+  events.emit('message', { entry: { type: 'broadcast', from: 'alice', message: 'hi\nthere' } })
+  events.emit('peerDisconnected', { peerId: 'abcd1234' })
+
+  const [connected, message, disconnected] = output.events()
+  t.is(connected.status, 'connected', 'should report connections')
+  t.is(message.message, 'hi\nthere', 'should keep multi-line messages in one JSON line')
+  t.is(disconnected.status, 'disconnected', 'should report disconnections')
+  t.is(output.lines.length, 3, 'should not write anything else')
+})
+
+test('JsonDisplay - only warnings and errors are forwarded from the logger', async function (t) {
+  t.plan(3)
+
+  const output = createOutput()
+  const display = new JsonDisplay({ output })
+
+  display.onLog({ level: 'info', message: 'Joining swarm...' })
+  display.onLog({ level: 'warn', message: 'No peers connected' })
+  display.onLog({ level: 'error', message: 'Failed', data: { error: 'boom' } })
+
+  const [warning, error] = output.events()
+  t.is(output.lines.length, 2, 'should skip info logs')
+  t.is(warning.event, 'warning', 'should map warn to warning')
+  t.alike(error.data, { error: 'boom' }, 'should keep error details')
+})
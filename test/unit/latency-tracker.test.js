@@ -0,0 +1,59 @@
+import test from 'brittle'
+import LatencyTracker from '../../lib/LatencyTracker.js'
+
+function createTracker (options = {}) {
+  const clock = { now: 0 }
+  const tracker = new LatencyTracker({ now: () => clock.now, ...options })
+  // Pings peer a at the current time and answers after rtt milliseconds
+  tracker.sample = (rtt) => {
+    const id = clock.now
+    tracker.ping({ peerId: 'a', id })
+    clock.now += rtt
+    return tracker.pong({ peerId: 'a', id })
+  }
+  return { tracker, clock }
+}
+
+test('LatencyTracker - summarises round-trip times', async function (t) {
+  t.plan(6)
+
+  const { tracker } = createTracker()
+  for (const rtt of [10, 30, 20, 40]) tracker.sample(rtt)
+  const stats = tracker.stats({ peerId: 'a' })
+
+  t.is(stats.last, 40, 'should report the latest round trip')
+  t.is(stats.min, 10, 'should report the minimum')
+  t.is(stats.avg, 25, 'should report the average')
+  t.is(stats.p95, 40, 'should report the 95th percentile')
+  t.is(stats.jitter, 16.7, 'should report the mean change between round trips')
+  t.is(stats.loss, 0, 'should report no loss when every ping was answered')
+})
+
+test('LatencyTracker - counts unanswered pings as lost after the timeout', async function (t) {
+  t.plan(4)
+
+  const { tracker, clock } = createTracker({ timeout: 1000 })
+  tracker.sample(5)
+  tracker.ping({ peerId: 'a', id: 'late' })
+  clock.now += 1500
+
+  t.is(tracker.pong({ peerId: 'a', id: 'late' }), null, 'should ignore a pong after the timeout')
+  const stats = tracker.stats({ peerId: 'a' })
+  t.is(stats.lost, 1, 'should count the ping as lost')
+  t.is(stats.loss, 0.5, 'should report loss as a fraction of settled pings')
+  t.is(stats.pending, 0, 'should not keep the lost ping outstanding')
+})
+
+test('LatencyTracker - only accepts one answer per ping from the pinged peer', async function (t) {
+  t.plan(4)
+
+  const { tracker } = createTracker()
+  tracker.ping({ peerId: 'a', id: 1, background: true })
+
+  t.is(tracker.pong({ peerId: 'b', id: 1 }), null, 'should ignore peers that were not pinged')
+  t.alike(tracker.pong({ peerId: 'a', id: 1 }), { rtt: 0, background: true }, 'should return the round trip and how the ping was sent')
+  t.is(tracker.pong({ peerId: 'a', id: 1 }), null, 'should ignore a second answer')
+
+  tracker.forget({ peerId: 'a' })
+  t.is(tracker.stats({ peerId: 'a' }).received, 0, 'should forget disconnected peers')
+})
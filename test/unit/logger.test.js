@@ -149,4 +149,27 @@ test('Logger - file write error handling', async function (t) {
   console.error = originalError
   
   t.ok(errorOutput.includes('Failed to write to log file'), 'should handle file write errors gracefully')
-})
\ No newline at end of file
+})
+
+test('Logger - quiet mode and log hook', async function (t) {
+  t.plan(4)
+
+  const tmpDir = await t.tmp()
+  const entries = []
+  const logger = new Logger({ name: 'test-quiet', quiet: true, onLog: (entry) => entries.push(entry) })
+  logger.logFile = path.join(tmpDir, 'test-quiet.log')
+
+  let consoleOutput = ''
+  const originalLog = console.log
+  console.log = (msg) => { consoleOutput += msg + '\n' }
+
+  logger.error('quiet error', { code: 1 })
+  logger.separator()
+
+  console.log = originalLog
+
+  t.is(consoleOutput, '', 'should not write to the console')
+  t.ok(fs.readFileSync(logger.logFile, 'utf8').includes('quiet error'), 'should still write to the log file')
+  t.is(entries.length, 1, 'should pass each entry to the hook')
+  t.alike(entries[0], { level: 'error', message: 'quiet error', data: { code: 1 } }, 'should pass level, message and data')
+})
@@ -0,0 +1,134 @@
+import test from 'brittle'
+import b4a from 'b4a'
+import MessageFramer from '../../lib/MessageFramer.js'
+
+test('MessageFramer - encode appends frame delimiter', async function (t) {
+  t.plan(2)
+
+  const framer = new MessageFramer()
+  const encoded = framer.encode({ message: { type: 'ping', from: 'peer' } })
+
+  t.ok(encoded.endsWith('\n'), 'should terminate frame with newline')
+  t.alike(JSON.parse(encoded), { type: 'ping', from: 'peer' }, 'should encode message as JSON')
+})
+
+test('MessageFramer - newlines inside messages stay within one frame', async function (t) {
+  t.plan(2)
+
+  const framer = new MessageFramer()
+  const encoded = framer.encode({ message: { type: 'broadcast', message: 'line one\nline two' } })
+  const frames = framer.decode({ data: b4a.from(encoded) })
+
+  t.is(frames.length, 1, 'should decode a single frame')
+  t.is(JSON.parse(frames[0]).message, 'line one\nline two', 'should preserve embedded newline')
+})
+
+test('MessageFramer - concatenated messages in one chunk', async function (t) {
+  t.plan(3)
+
+  const sender = new MessageFramer()
+  const receiver = new MessageFramer()
+  const chunk = b4a.from(
+    sender.encode({ message: { type: 'ping', n: 1 } }) +
+    sender.encode({ message: { type: 'ping', n: 2 } }) +
+    sender.encode({ message: { type: 'ping', n: 3 } })
+  )
+
+  const frames = receiver.decode({ data: chunk })
+
+  t.is(frames.length, 3, 'should split glued messages into separate frames')
+  t.is(JSON.parse(frames[0]).n, 1, 'should keep first message intact')
+  t.is(JSON.parse(frames[2]).n, 3, 'should keep last message intact')
+})
+
+test('MessageFramer - fragmented message across chunks', async function (t) {
+  t.plan(3)
+
+  const sender = new MessageFramer()
+  const receiver = new MessageFramer()
+  const encoded = b4a.from(sender.encode({ message: { type: 'broadcast', message: 'split me' } }))
+
+  t.alike(receiver.decode({ data: encoded.subarray(0, 5) }), [], 'should buffer incomplete frame')
+  t.alike(receiver.decode({ data: encoded.subarray(5, 12) }), [], 'should keep buffering until delimiter')
+
+  const frames = receiver.decode({ data: encoded.subarray(12) })
+  t.is(JSON.parse(frames[0]).message, 'split me', 'should emit frame once complete')
+})
+
+test('MessageFramer - fragments and concatenation mixed', async function (t) {
+  t.plan(4)
+
+  const sender = new MessageFramer()
+  const receiver = new MessageFramer()
+  const stream = b4a.from(
+    sender.encode({ message: { n: 1 } }) +
+    sender.encode({ message: { n: 2 } }) +
+    sender.encode({ message: { n: 3 } })
+  )
+
+  const received = []
+  for (let i = 0; i < stream.length; i += 7) {
+    for (const frame of receiver.decode({ data: stream.subarray(i, i + 7) })) {
+      received.push(JSON.parse(frame).n)
+    }
+  }
+
+  t.is(received.length, 3, 'should decode every message')
+  t.is(received[0], 1, 'should preserve order of first message')
+  t.is(received[1], 2, 'should preserve order of second message')
+  t.is(received[2], 3, 'should preserve order of third message')
+})
+
+test('MessageFramer - multi-byte characters split across chunks', async function (t) {
+  t.plan(1)
+
+  const sender = new MessageFramer()
+  const receiver = new MessageFramer()
+  const encoded = b4a.from(sender.encode({ message: { message: '🚀 launch' } }))
+  const emojiStart = encoded.indexOf(0xf0)
+
+  receiver.decode({ data: encoded.subarray(0, emojiStart + 2) })
+  const frames = receiver.decode({ data: encoded.subarray(emojiStart + 2) })
+
+  t.is(JSON.parse(frames[0]).message, '🚀 launch', 'should reassemble split UTF-8 sequences')
+})
+
+test('MessageFramer - oversized frame is rejected', async function (t) {
+  t.plan(3)
+
+  const receiver = new MessageFramer({ maxFrameSize: 16 })
+
+  t.exception(() => receiver.decode({ data: b4a.from('x'.repeat(32)) }), /maximum size/, 'should throw when buffered frame is too large')
+  t.alike(receiver.decode({ data: b4a.from('x'.repeat(32)) }), [], 'should skip the rest of the oversized frame')
+  t.alike(receiver.decode({ data: b4a.from('xx\n{"n":1}\n') }), ['{"n":1}'], 'should resume with the next frame')
+})
+
+test('MessageFramer - complete frames before an oversized one are kept', async function (t) {
+  t.plan(3)
+
+  const receiver = new MessageFramer({ maxFrameSize: 16 })
+
+  try {
+    receiver.decode({ data: b4a.from('{"n":1}\n{"n":2}\n' + 'x'.repeat(32)) })
+  } catch (err) {
+    t.alike(err.frames, ['{"n":1}', '{"n":2}'], 'should hand over the frames that were complete')
+  }
+  t.alike(receiver.decode({ data: b4a.from('{"bogus":true}\n{"n":3}\n') }), ['{"n":3}'], 'should not parse the tail of the oversized frame')
+
+  const multiByte = new MessageFramer({ maxFrameSize: 16 })
+  t.exception(() => multiByte.decode({ data: b4a.from('🚀'.repeat(5)) }), /maximum size/, 'should measure the limit in bytes')
+})
+
+test('MessageFramer - oversized frame that arrives whole is rejected', async function (t) {
+  t.plan(2)
+
+  const receiver = new MessageFramer({ maxFrameSize: 100 })
+  const big = JSON.stringify({ message: 'x'.repeat(1000) })
+
+  try {
+    receiver.decode({ data: b4a.from(`{"n":1}\n${big}\n{"n":2}\n`) })
+  } catch (err) {
+    t.alike(err.frames, ['{"n":1}', '{"n":2}'], 'should drop the oversized frame and keep the others')
+  }
+  t.alike(receiver.decode({ data: b4a.from('{"n":3}\n') }), ['{"n":3}'], 'should carry on with the next data')
+})
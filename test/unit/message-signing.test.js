@@ -0,0 +1,92 @@
+import test from 'brittle'
+import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
+import MessageHandler from '../../lib/MessageHandler.js'
+
+function createHandler (keyPair = crypto.keyPair()) {
+  const warnings = []
+  const logger = {
+    warnings,
+    info: () => {},
+    success: () => {},
+    peer: () => {},
+    error: () => {},
+    warn: (msg) => warnings.push(msg)
+  }
+  return new MessageHandler({ logger, name: 'tester', keyPair, sendToPeer: () => {} })
+}
+
+test('MessageHandler signing - outgoing messages carry a valid signature', async function (t) {
+  t.plan(4)
+
+  const keyPair = crypto.keyPair()
+  const handler = createHandler(keyPair)
+
+  const welcome = handler.createWelcomeMessage({ name: 'tester' })
+  const broadcast = handler.createBroadcastMessage({ name: 'tester', message: 'hi' })
+  const ping = handler.createPingMessage({ name: 'tester' })
+
+  t.is(typeof welcome.signature, 'string', 'should sign welcome messages')
+  t.is(handler.verifyMessage({ message: welcome, remotePublicKey: keyPair.publicKey }), 'verified', 'should verify welcome signature')
+  t.is(handler.verifyMessage({ message: broadcast, remotePublicKey: keyPair.publicKey }), 'verified', 'should verify broadcast signature')
+  t.is(handler.verifyMessage({ message: ping, remotePublicKey: keyPair.publicKey }), 'verified', 'should verify ping signature')
+})
+
+test('MessageHandler signing - signatures survive the wire round trip', async function (t) {
+  t.plan(1)
+
+  const keyPair = crypto.keyPair()
+  const sender = createHandler(keyPair)
+  const receiver = createHandler()
+
+  const wire = JSON.parse(JSON.stringify(sender.createBroadcastMessage({ name: 'tester', message: 'emoji 🚀' })))
+
+  t.is(receiver.verifyMessage({ message: wire, remotePublicKey: keyPair.publicKey }), 'verified', 'should verify after JSON encoding')
+})
+
+test('MessageHandler signing - forged and tampered messages are rejected', async function (t) {
+  t.plan(6)
+
+  const alice = crypto.keyPair()
+  const mallory = crypto.keyPair()
+  const sender = createHandler(mallory)
+  const receiver = createHandler()
+  const messageHistory = []
+
+  // Mallory signs a welcome claiming to be alice, but the connection key is alice's
+  const forgedWelcome = sender.createWelcomeMessage({ name: 'alice' })
+  t.is(receiver.verifyMessage({ message: forgedWelcome, remotePublicKey: alice.publicKey }), 'invalid', 'should reject a signature from another key')
+
+  // Mallory signs a broadcast but claims alice authored it
+  const forged = sender.signMessage({ message: { ...sender.createBroadcastMessage({ name: 'alice', message: 'trust me' }), signature: undefined, origin: b4a.toString(alice.publicKey, 'hex') } })
+  t.is(receiver.verifyMessage({ message: forged, remotePublicKey: mallory.publicKey }), 'invalid', 'should reject a broadcast whose origin did not sign it')
+
+  const tampered = { ...createHandler(alice).createBroadcastMessage({ name: 'alice', message: 'original' }), message: 'changed' }
+  t.is(receiver.verifyMessage({ message: tampered, remotePublicKey: alice.publicKey }), 'invalid', 'should reject modified content')
+
+  t.is(receiver.verifyMessage({ message: { ...tampered, signature: 'abcd' }, remotePublicKey: alice.publicKey }), 'invalid', 'should reject malformed signatures')
+
+  receiver.handleIncomingMessage({ peerId: 'alice', data: JSON.stringify(forged), remotePublicKey: alice.publicKey, messageHistory })
+  t.is(messageHistory.length, 0, 'should not record rejected messages')
+  t.is(receiver.logger.warnings.length, 1, 'should warn about rejected messages')
+})
+
+test('MessageHandler signing - history records verification state', async function (t) {
+  t.plan(4)
+
+  const keyPair = crypto.keyPair()
+  const sender = createHandler(keyPair)
+  const receiver = createHandler()
+  const messageHistory = []
+
+  const signed = sender.createBroadcastMessage({ name: 'tester', message: 'signed' })
+  const unsigned = { type: 'broadcast', from: 'legacy', message: 'unsigned', timestamp: Date.now() }
+
+  receiver.handleIncomingMessage({ peerId: 'peer1', data: b4a.from(JSON.stringify(signed)), remotePublicKey: keyPair.publicKey, messageHistory })
+  receiver.handleIncomingMessage({ peerId: 'peer1', data: b4a.from(JSON.stringify(unsigned)), remotePublicKey: keyPair.publicKey, messageHistory })
+
+  t.is(messageHistory.length, 2, 'should record both messages')
+  t.is(messageHistory[0].verified, true, 'should mark signed messages as verified')
+  t.is(messageHistory[1].verified, false, 'should flag unsigned messages as unverified')
+  t.absent(messageHistory[0].signature, 'should not store the raw signature')
+})
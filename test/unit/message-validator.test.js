@@ -0,0 +1,124 @@
+import test from 'brittle'
+import MessageValidator from '../../lib/MessageValidator.js'
+import { createPeer } from '../helpers.js'
+
+test('MessageValidator - accepts well-formed messages', async function (t) {
+  t.plan(3)
+
+  const validator = new MessageValidator()
+  const { messageHandler } = createPeer()
+
+  t.is(validator.validate({ message: messageHandler.createWelcomeMessage({ name: 'local', topics: ['aa'.repeat(32)] }) }), null, 'should accept our own welcome')
+  t.is(validator.validate({ message: messageHandler.createBroadcastMessage({ name: 'local', message: 'hi' }) }), null, 'should accept our own broadcast')
+  t.is(validator.validate({ message: { type: 'chat', from: 'old-peer', message: 'hi', timestamp: Date.now() } }), null, 'should accept unsigned legacy messages')
+})
+
+test('MessageValidator - rejects wrong types, missing fields and oversized values', async function (t) {
+  t.plan(6)
+
+  const validator = new MessageValidator()
+  const now = Date.now()
+
+  t.is(validator.validate({ message: { type: 'chat', from: 'x', timestamp: now } }), 'message is required', 'should require fields')
+  t.is(validator.validate({ message: { type: 'pong', from: 'x', originalTimestamp: 'soon', timestamp: now } }), 'originalTimestamp must be a number', 'should check field types')
+  t.ok(/longer than 4096/.test(validator.validate({ message: { type: 'chat', from: 'x', message: 'a'.repeat(5000), timestamp: now } })), 'should limit message size')
+  t.ok(/unexpected field "extra"/.test(validator.validate({ message: { type: 'ping', from: 'x', timestamp: now, extra: 1 } })), 'should reject unknown fields')
+  t.ok(/unknown message type/.test(validator.validate({ message: { type: 'exploit', timestamp: now } })), 'should reject unknown types')
+  t.ok(/topics item has an invalid format/.test(validator.validate({ message: { type: 'topics', from: 'x', topics: ['nope'], timestamp: now } })), 'should check array items')
+})
+
+test('MessageValidator - invalid messages are dropped before they are recorded', async function (t) {
+  t.plan(3)
+
+  const peer = createPeer()
+  peer.receive({ type: 'chat', from: 'x', message: 'a'.repeat(5000), timestamp: Date.now() })
+  peer.receive('{not json')
+
+  t.is(peer.history.length, 0, 'should not store invalid messages')
+  t.is(peer.connectionManager.getPeerInfo({ peerId: 'remote01' }).invalidMessages, 2, 'should count invalid messages per peer')
+  t.absent(peer.ended, 'should keep the connection below the limit')
+})
+
+test('MessageValidator - repeated offenders are disconnected', async function (t) {
+  t.plan(2)
+
+  const peer = createPeer({ manager: { maxInvalidMessages: 3 } })
+  for (let i = 0; i < 3; i++) {
+    peer.receive({ type: 'ping', timestamp: 'never' })
+  }
+
+  t.ok(peer.ended, 'should disconnect the peer')
+  t.ok(/too many invalid messages/.test(peer.written[0].reason), 'should tell the peer why')
+})
+
+test('MessageValidator - pong latency uses our own ping time', async function (t) {
+  t.plan(3)
+
+  const peer = createPeer()
+  const pongs = []
+  peer.messageHandler.emit = (event, payload) => { if (event === 'pong') pongs.push(payload) }
+
+  peer.receive({ type: 'pong', from: 'liar', originalTimestamp: 0, timestamp: Date.now() })
+  t.is(pongs.length, 0, 'should ignore pongs for pings we never sent')
+
+  peer.connectionManager.pingAllPeers({ name: 'local' })
+  const ping = peer.written.at(-1)
+  const pong = { type: 'pong', id: ping.id, from: 'remote', originalTimestamp: ping.timestamp, timestamp: Date.now() }
+  peer.receive(pong)
+  peer.receive(pong)
+
+  t.is(pongs.length, 1, 'should count one answer per peer and ping')
+  t.ok(pongs[0].latency >= 0 && pongs[0].latency < 1000, 'should measure latency from the recorded send time')
+})
+
+test('MessageValidator - pings sent in the same millisecond are answered separately', async function (t) {
+  t.plan(4)
+
+  const peer = createPeer()
+  const pongs = []
+  peer.messageHandler.emit = (event, payload) => { if (event === 'pong') pongs.push(payload) }
+
+  const now = Date.now
+  Date.now = () => 1000
+  peer.connectionManager.pingAllPeers({ name: 'local' })
+  peer.connectionManager.pingAllPeers({ name: 'local', background: true })
+  Date.now = now
+  const [first, second] = peer.written.slice(-2)
+  t.is(first.timestamp, second.timestamp, 'should send both pings in the same millisecond')
+  t.not(first.id, second.id, 'should give each ping its own ID')
+
+  // The remote answers with the ID it was pinged with
+  peer.receive({ type: 'ping', id: first.id, from: 'remote', timestamp: Date.now() })
+  t.is(peer.written.at(-1).id, first.id, 'should echo the ping ID in our pong')
+
+  for (const ping of [first, second]) {
+    peer.receive({ type: 'pong', id: ping.id, from: 'remote', originalTimestamp: ping.timestamp, timestamp: Date.now() })
+  }
+  t.is(pongs.length, 2, 'should match each pong to its own ping')
+})
+
+test('MessageValidator - peers without ping IDs are matched on the ping time', async function (t) {
+  t.plan(2)
+
+  const peer = createPeer()
+  const pongs = []
+  peer.messageHandler.emit = (event, payload) => { if (event === 'pong') pongs.push(payload) }
+  peer.connectionManager.updatePeerInfo({ peerId: 'remote01', capabilities: ['welcome', 'ping', 'pong'] })
+
+  peer.connectionManager.pingAllPeers({ name: 'local' })
+  const ping = peer.written.at(-1)
+  t.is(ping.id, undefined, 'should not send an ID the peer would reject')
+
+  peer.receive({ type: 'pong', from: 'remote', originalTimestamp: ping.timestamp, timestamp: Date.now() })
+  t.is(pongs.length, 1, 'should match the pong on the ping timestamp')
+})
+
+test('MessageValidator - broadcasts carry either text or ciphertext', async function (t) {
+  t.plan(2)
+
+  const validator = new MessageValidator()
+  const broadcast = { type: 'broadcast', from: 'x', timestamp: Date.now() }
+
+  t.is(validator.validate({ message: { ...broadcast, ciphertext: 'AAAA' } }), null, 'should accept ciphertext instead of text')
+  t.is(validator.validate({ message: { ...broadcast, message: 'hi', ciphertext: 'AAAA' } }), 'exactly one of message, ciphertext is required', 'should reject both')
+})
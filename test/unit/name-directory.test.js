@@ -0,0 +1,96 @@
+import test from 'brittle'
+import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
+import { EventEmitter } from 'events'
+import NameDirectory from '../../lib/NameDirectory.js'
+import MessageHandler from '../../lib/MessageHandler.js'
+import ConnectionManager from '../../lib/ConnectionManager.js'
+import { noop } from '../helpers.js'
+
+function createManager ({ warnings = [] } = {}) {
+  const logger = { info: noop, success: noop, warn: (message) => warnings.push(message), error: noop, debug: noop, peer: noop, connection: noop }
+  const events = new EventEmitter()
+  const nameDirectory = new NameDirectory()
+  nameDirectory.set({ publicKey: 'ff'.repeat(32), name: 'local' })
+
+  const connectionManager = new ConnectionManager({
+    logger,
+    messageHandler: new MessageHandler({ logger, name: 'local', keyPair: crypto.keyPair(), sendToPeer: noop }),
+    messageHistory: [],
+    events,
+    nameDirectory,
+    selfKey: 'ff'.repeat(32)
+  })
+  return { connectionManager, events }
+}
+
+function connect (connectionManager, publicKeyHex) {
+  const connection = new EventEmitter()
+  connection.remotePublicKey = b4a.from(publicKeyHex, 'hex')
+  connection.write = () => true
+  connection.end = () => connection.emit('close')
+  connectionManager.handleConnection({ connection, info: { client: true } })
+  return connection
+}
+
+test('NameDirectory - maps keys to names and finds clashes', async function (t) {
+  t.plan(4)
+
+  const names = new NameDirectory()
+  t.is(names.set({ publicKey: 'a', name: 'alice' }), null, 'should have no previous name for a new key')
+  names.set({ publicKey: 'b', name: 'alice' })
+  t.alike(names.clashesFor({ publicKey: 'a' }), ['b'], 'should find other keys with the same name')
+
+  t.is(names.set({ publicKey: 'b', name: 'bob' }), 'alice', 'should return the previous name')
+  names.delete({ publicKey: 'a' })
+  t.is(names.get({ publicKey: 'a' }), null, 'should forget removed keys')
+})
+
+test('NameDirectory - last names outlive the connection', async function (t) {
+  t.plan(3)
+
+  const names = new NameDirectory()
+  names.set({ publicKey: 'a', name: 'alice' })
+  names.set({ publicKey: 'a', name: 'alicia' })
+  names.delete({ publicKey: 'a' })
+
+  t.is(names.lastNameOf({ publicKey: 'a' }), 'alicia', 'should remember the last name of a departed key')
+  t.alike(names.keysLastNamed({ name: 'alicia' }), ['a'], 'should find keys by their last name')
+  t.alike(names.keysLastNamed({ name: 'alice' }), [], 'should not match earlier names')
+})
+
+test('NameDirectory - clashes between connected peers are flagged', async function (t) {
+  t.plan(5)
+
+  const warnings = []
+  const { connectionManager } = createManager({ warnings })
+  connect(connectionManager, 'aa'.repeat(32))
+  const second = connect(connectionManager, 'bb'.repeat(32))
+
+  connectionManager.updatePeerInfo({ peerId: 'aaaaaaaa', name: 'alice' })
+  connectionManager.updatePeerInfo({ peerId: 'bbbbbbbb', name: 'alice' })
+
+  t.ok(connectionManager.hasNameClash({ peerId: 'aaaaaaaa' }), 'should flag the first peer')
+  t.ok(connectionManager.hasNameClash({ peerId: 'bbbbbbbb' }), 'should flag the second peer')
+  t.ok(warnings.some((warning) => warning.includes('also used by aaaaaaaa')), 'should warn about the clash')
+
+  second.emit('close')
+  t.absent(connectionManager.hasNameClash({ peerId: 'aaaaaaaa' }), 'should clear the flag when the other peer leaves')
+
+  connectionManager.updatePeerInfo({ peerId: 'aaaaaaaa', name: 'local' })
+  t.ok(warnings.some((warning) => warning.includes('also used by this peer')), 'should flag a peer using our name')
+})
+
+test('NameDirectory - renames are reported', async function (t) {
+  t.plan(2)
+
+  const { connectionManager, events } = createManager()
+  connect(connectionManager, 'aa'.repeat(32))
+  connectionManager.updatePeerInfo({ peerId: 'aaaaaaaa', name: 'alice' })
+
+  events.on('peerRenamed', ({ peerId, previous, name }) => {
+    t.alike({ peerId, previous, name }, { peerId: 'aaaaaaaa', previous: 'alice', name: 'alicia' }, 'should emit the rename')
+  })
+  connectionManager.updatePeerInfo({ peerId: 'aaaaaaaa', name: 'alicia' })
+  t.is(connectionManager.getPeerName({ peerId: 'aaaaaaaa' }), 'alicia', 'should use the new name')
+})
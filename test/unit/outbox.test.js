@@ -0,0 +1,76 @@
+import test from 'brittle'
+import fs from 'fs'
+import path from 'path'
+import Outbox from '../../lib/Outbox.js'
+import { logger } from '../helpers.js'
+
+const KEY_A = 'aa'.repeat(32)
+const KEY_B = 'ab'.repeat(32)
+
+test('Outbox - persists queued messages across instances', async function (t) {
+  t.plan(4)
+
+  const file = path.join(await t.tmp(), 'nested', 'outbox.json')
+  const outbox = new Outbox({ logger, file }).load()
+  const entry = outbox.add({ publicKey: KEY_A, name: 'bob', message: 'call me' })
+
+  t.ok(/^[0-9a-f]{8}$/.test(entry.id), 'should give every message a short ID')
+  t.ok(fs.existsSync(file), 'should write the outbox')
+
+  const reloaded = new Outbox({ logger, file }).load()
+  t.is(reloaded.list().length, 1, 'should load queued messages')
+  t.alike(reloaded.list()[0], entry, 'should keep recipient, text and time')
+})
+
+test('Outbox - messages are taken per key, oldest first, and kept until removed', async function (t) {
+  t.plan(6)
+
+  const file = path.join(await t.tmp(), 'outbox.json')
+  const outbox = new Outbox({ logger, file })
+  const one = outbox.add({ publicKey: KEY_A, message: 'one' })
+  outbox.add({ publicKey: KEY_B, message: 'elsewhere' })
+  const two = outbox.add({ publicKey: KEY_A, message: 'two' })
+
+  t.alike(outbox.takeFor({ publicKey: KEY_A }).map((entry) => entry.message), ['one', 'two'], 'should return the key\'s messages in order')
+  t.is(outbox.list().length, 3, 'should keep them queued while they are on their way')
+  t.alike(outbox.takeFor({ publicKey: KEY_A }), [], 'should not hand out messages already on their way')
+  outbox.release({ id: one.id })
+  t.alike(outbox.takeFor({ publicKey: KEY_A }).map((entry) => entry.message), ['one'], 'should hand out a released message again')
+
+  outbox.remove({ id: one.id })
+  outbox.remove({ id: two.id })
+  t.alike(outbox.list().map((entry) => entry.message), ['elsewhere'], 'should drop them once removed')
+  t.is(JSON.parse(fs.readFileSync(file, 'utf8')).messages.length, 1, 'should save the change')
+})
+
+test('Outbox - messages on their way are sent again after a restart', async function (t) {
+  t.plan(1)
+
+  const file = path.join(await t.tmp(), 'outbox.json')
+  const outbox = new Outbox({ logger, file })
+  outbox.add({ publicKey: KEY_A, message: 'unacknowledged' })
+  outbox.takeFor({ publicKey: KEY_A })
+
+  const reloaded = new Outbox({ logger, file }).load()
+  t.is(reloaded.takeFor({ publicKey: KEY_A }).length, 1, 'should hand out the message again')
+})
+
+test('Outbox - cancelled messages are removed', async function (t) {
+  t.plan(3)
+
+  const file = path.join(await t.tmp(), 'outbox.json')
+  const outbox = new Outbox({ logger, file })
+  const { id } = outbox.add({ publicKey: KEY_A, message: 'never mind' })
+
+  t.is(outbox.remove({ id }).message, 'never mind', 'should return the cancelled message')
+  t.is(outbox.remove({ id }), null, 'should report unknown IDs')
+  t.is(new Outbox({ logger, file }).load().list().length, 0, 'should save the change')
+})
+
+test('Outbox - invalid entries are ignored on load', async function (t) {
+  t.plan(1)
+
+  const file = path.join(await t.tmp(), 'outbox.json')
+  fs.writeFileSync(file, JSON.stringify({ messages: [{ id: '01234567', publicKey: 'nope', message: 'x' }] }))
+  t.is(new Outbox({ logger, file }).load().list().length, 0, 'should skip entries without a valid key')
+})
@@ -0,0 +1,68 @@
+import test from 'brittle'
+import PresenceManager from '../../lib/PresenceManager.js'
+
+function createPresence ({ idleAfter = null } = {}) {
+  const clock = { now: 1000 }
+  const presence = new PresenceManager({ idleAfter, now: () => clock.now })
+  return { presence, clock }
+}
+
+test('PresenceManager - away and back are set by hand', async function (t) {
+  t.plan(6)
+
+  const { presence, clock } = createPresence()
+  t.alike(presence.get(), { state: 'online', reason: null, status: null, since: 1000 }, 'should start online')
+
+  clock.now = 2000
+  t.ok(presence.away({ reason: 'lunch' }), 'should report the change')
+  t.alike(presence.get(), { state: 'away', reason: 'lunch', status: null, since: 2000 }, 'should keep the reason and the time')
+  t.absent(presence.away({ reason: 'lunch' }), 'should not report the same state twice')
+
+  t.ok(presence.back(), 'should come back')
+  t.is(presence.get().reason, null, 'should drop the reason')
+})
+
+test('PresenceManager - the status message is independent of the state', async function (t) {
+  t.plan(4)
+
+  const { presence } = createPresence()
+  t.ok(presence.setStatus({ status: 'on call' }), 'should set the message')
+  presence.away()
+  t.is(presence.get().status, 'on call', 'should keep the message while away')
+  t.absent(presence.setStatus({ status: 'on call' }), 'should not report an unchanged message')
+  t.ok(presence.setStatus({ status: null }), 'should clear the message')
+})
+
+test('PresenceManager - goes idle without input and back online with it', async function (t) {
+  t.plan(5)
+
+  const { presence, clock } = createPresence({ idleAfter: 60 * 1000 })
+  clock.now += 59 * 1000
+  t.absent(presence.checkIdle(), 'should stay online before the idle time')
+
+  clock.now += 1000
+  t.ok(presence.checkIdle(), 'should go idle after the idle time')
+  t.is(presence.get().state, 'idle', 'should report idle')
+
+  t.ok(presence.activity(), 'should come back online on input')
+  t.is(presence.get().state, 'online', 'should report online')
+})
+
+test('PresenceManager - input does not end an away set by hand', async function (t) {
+  t.plan(3)
+
+  const { presence, clock } = createPresence({ idleAfter: 60 * 1000 })
+  presence.away({ reason: 'meeting' })
+  clock.now += 120 * 1000
+  t.absent(presence.checkIdle(), 'should not turn away into idle')
+  t.absent(presence.activity(), 'should stay away on input')
+  t.is(presence.get().state, 'away', 'should report away')
+})
+
+test('PresenceManager - never goes idle without an idle time', async function (t) {
+  t.plan(1)
+
+  const { presence, clock } = createPresence()
+  clock.now += 24 * 60 * 60 * 1000
+  t.absent(presence.checkIdle(), 'should stay online')
+})
@@ -0,0 +1,67 @@
+import test from 'brittle'
+import { createPeer } from '../helpers.js'
+
+function receiveWelcome (peer, fields) {
+  const welcome = { type: 'welcome', from: 'remote', message: 'Hello', timestamp: Date.now(), ...fields }
+  peer.messageHandler.handleIncomingMessage({ peerId: 'remote01', data: JSON.stringify(welcome), messageHistory: [] })
+}
+
+test('Protocol - welcome carries version and capabilities', async function (t) {
+  t.plan(3)
+
+  const { messageHandler } = createPeer()
+  const welcome = messageHandler.createWelcomeMessage({ name: 'local' })
+
+  t.ok(/^\d+\.\d+$/.test(welcome.protocol), 'should announce a major.minor protocol version')
+  t.ok(welcome.capabilities.includes('broadcast'), 'should list supported message types')
+  t.ok(welcome.capabilities.includes('relay'), 'should list supported features')
+})
+
+test('Protocol - peer capabilities are stored from the welcome', async function (t) {
+  t.plan(3)
+
+  const peer = createPeer()
+  receiveWelcome(peer, { protocol: '1.7', capabilities: ['welcome', 'chat', 'broadcast'] })
+
+  const info = peer.connectionManager.getPeerInfo({ peerId: 'remote01' })
+  t.is(info.protocol, '1.7', 'should accept a newer minor version')
+  t.alike(info.capabilities, ['welcome', 'chat', 'broadcast'], 'should remember what the peer supports')
+
+  peer.connectionManager.pingAllPeers({ name: 'local' })
+  t.is(peer.written.length, 0, 'should not send message types the peer does not support')
+})
+
+test('Protocol - peers without a version are treated as legacy', async function (t) {
+  t.plan(3)
+
+  const peer = createPeer()
+  receiveWelcome(peer, {})
+
+  const info = peer.connectionManager.getPeerInfo({ peerId: 'remote01' })
+  t.is(info.protocol, null, 'should record no protocol version')
+  t.ok(peer.connectionManager.supports({ peerId: 'remote01', type: 'chat' }), 'should assume the original message types')
+
+  peer.connectionManager.announceTopics({ name: 'local', topics: ['aa'.repeat(32)] })
+  t.is(peer.written.length, 0, 'should not send topic announcements to legacy peers')
+})
+
+test('Protocol - incompatible major version disconnects with a reason', async function (t) {
+  t.plan(4)
+
+  const peer = createPeer()
+  receiveWelcome(peer, { protocol: '2.0', capabilities: ['welcome'] })
+
+  t.ok(peer.ended, 'should close the connection')
+  t.is(peer.written[0].type, 'disconnect', 'should tell the peer before hanging up')
+  t.ok(/incompatible protocol version 2\.0/.test(peer.written[0].reason), 'should explain the reason')
+  t.is(peer.connectionManager.getPeerInfo({ peerId: 'remote01' }).name, null, 'should not adopt the peer as a known peer')
+})
+
+test('Protocol - malformed versions are rejected', async function (t) {
+  t.plan(2)
+
+  const { messageHandler } = createPeer()
+
+  t.ok(/malformed/.test(messageHandler.checkProtocolVersion({ version: 'one' })), 'should reject a non-numeric version')
+  t.is(messageHandler.checkProtocolVersion({ version: undefined }), null, 'should accept peers without a version')
+})
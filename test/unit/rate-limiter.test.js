@@ -0,0 +1,90 @@
+import test from 'brittle'
+import crypto from 'hypercore-crypto'
+import RateLimiter from '../../lib/RateLimiter.js'
+import MessageHandler from '../../lib/MessageHandler.js'
+import { createPeer, logger, noop } from '../helpers.js'
+
+function chat (text) {
+  return { type: 'chat', from: 'remote', message: text, timestamp: Date.now() }
+}
+
+test('RateLimiter - allows a burst, then refills at the configured rate', async function (t) {
+  t.plan(4)
+
+  let now = 0
+  const limiter = new RateLimiter({ limits: { messages: { rate: 2, burst: 3 } }, now: () => now })
+  const takes = () => [1, 2, 3, 4].map(() => limiter.take({ peerId: 'a', type: 'chat' }))
+
+  t.alike(takes(), [true, true, true, false], 'should allow a full burst and no more')
+  now = 500
+  t.ok(limiter.take({ peerId: 'a', type: 'broadcast' }), 'should refill one token after half a second at 2/s')
+  t.absent(limiter.take({ peerId: 'a', type: 'chat' }), 'should share the bucket between chat and broadcast')
+  t.ok(limiter.take({ peerId: 'b', type: 'chat' }), 'should keep a separate bucket per peer')
+})
+
+test('RateLimiter - groups message types and forgets peers', async function (t) {
+  t.plan(6)
+
+  const limiter = new RateLimiter({ limits: { ping: { rate: 0, burst: 1 } }, now: () => 0 })
+
+  t.is(limiter.groupFor({ type: 'pong' }), 'ping', 'should group pongs with pings')
+  t.is(limiter.groupFor({ type: 'file-chunk' }), 'file', 'should give file chunks the bulk budget')
+  t.alike(['file-offer', 'file-accept', 'file-reject', 'file-complete'].map((type) => limiter.groupFor({ type })), ['control', 'control', 'control', 'control'], 'should treat the rest of a transfer as control messages')
+  t.is(limiter.groupFor({ type: 'file-anything' }), 'control', 'should not give unknown file- types the bulk budget')
+  limiter.take({ peerId: 'a', type: 'ping' })
+  t.absent(limiter.take({ peerId: 'a', type: 'pong' }), 'should drop once the group is spent')
+  limiter.forget({ peerId: 'a' })
+  t.ok(limiter.take({ peerId: 'a', type: 'ping' }), 'should start over for a forgotten peer')
+})
+
+test('RateLimiter - flooding peers lose messages and are then disconnected', async function (t) {
+  t.plan(5)
+
+  const peer = createPeer({ handler: { rateLimits: { messages: { rate: 0, burst: 2 } } }, manager: { maxRateLimited: 3, rateLimitWindow: 1000 } })
+
+  for (let i = 0; i < 4; i++) peer.receive(chat(`flood ${i}`))
+  t.is(peer.history.length, 2, 'should only record messages within the limit')
+  t.is(peer.connectionManager.getPeerInfo({ peerId: 'remote01' }).rateLimited, 2, 'should count dropped messages')
+  t.absent(peer.ended, 'should not disconnect below the threshold')
+
+  peer.receive(chat('one too many'))
+  t.ok(peer.ended, 'should disconnect once the threshold is reached')
+  t.is(peer.written.at(-1).type, 'disconnect', 'should tell the peer why')
+})
+
+test('RateLimiter - only drops within the window count towards a disconnect', async function (t) {
+  t.plan(3)
+
+  let now = 0
+  const peer = createPeer({ handler: { rateLimits: { messages: { rate: 0, burst: 0 } } }, manager: { maxRateLimited: 3, rateLimitWindow: 1000, now: () => now } })
+
+  for (let i = 0; i < 10; i++) {
+    peer.receive(chat(`slow ${i}`))
+    now += 600
+  }
+  t.absent(peer.ended, 'should not disconnect a peer whose drops are spread out')
+  t.is(peer.connectionManager.getPeerInfo({ peerId: 'remote01' }).rateLimited, 10, 'should still count every dropped message')
+
+  for (let i = 0; i < 3; i++) peer.receive(chat(`burst ${i}`))
+  t.ok(peer.ended, 'should disconnect once enough drops fall within the window')
+})
+
+test('RateLimiter - a relay forwarding several authors gets the relay budget', async function (t) {
+  t.plan(4)
+
+  const peer = createPeer()
+  const authors = ['ann', 'ben', 'cat'].map((name) => new MessageHandler({ logger, name, keyPair: crypto.keyPair(), sendToPeer: noop }))
+
+  for (let i = 0; i < 20; i++) {
+    for (const author of authors) {
+      const message = author.createBroadcastMessage({ name: author.name, message: `${author.name} ${i}` })
+      peer.receive({ ...message, ttl: message.ttl - 1, hops: 1 })
+    }
+  }
+  t.is(peer.history.length, 60, 'should accept more relayed broadcasts than one author may send')
+  t.is(peer.connectionManager.getPeerInfo({ peerId: 'remote01' }).rateLimited, 0, 'should not count them against the relay')
+  t.absent(peer.ended, 'should keep the relay connected')
+
+  for (let i = 0; i < 25; i++) peer.receive(chat(`own ${i}`))
+  t.is(peer.connectionManager.getPeerInfo({ peerId: 'remote01' }).rateLimited, 5, 'should still limit what the relay writes itself')
+})
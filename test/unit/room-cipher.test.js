@@ -0,0 +1,82 @@
+import test from 'brittle'
+import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
+import RoomCipher from '../../lib/RoomCipher.js'
+import ChannelManager from '../../lib/ChannelManager.js'
+import MessageHandler from '../../lib/MessageHandler.js'
+import { logger, noop } from '../helpers.js'
+
+const swarm = { join: () => ({ flushed: async () => {} }), leave: async () => {} }
+
+// A message handler on one channel; with a secret the channel is an encrypted room
+async function createPeer ({ secret = null, topic = null } = {}) {
+  const channelManager = new ChannelManager({ logger, swarm })
+  const room = secret ? channelManager.roomFromSecret({ secret }) : { topic, cipher: null }
+  await channelManager.join(room)
+
+  const peer = { history: [], relayed: [], topicHex: b4a.toString(room.topic, 'hex') }
+  const keyPair = crypto.keyPair()
+  peer.messageHandler = new MessageHandler({
+    logger,
+    name: 'local',
+    keyPair,
+    sendToPeer: noop,
+    relayBroadcast: ({ message }) => peer.relayed.push(message),
+    channelManager
+  })
+  peer.receive = (message) => peer.messageHandler.handleIncomingMessage({
+    peerId: 'remote01',
+    data: JSON.stringify(message),
+    messageHistory: peer.history,
+    remotePublicKey: b4a.from(message.origin, 'hex')
+  })
+  return peer
+}
+
+test('RoomCipher - derives the same room from the same secret', async function (t) {
+  t.plan(3)
+
+  const a = RoomCipher.fromSecret({ secret: 'correct horse' })
+  const b = RoomCipher.fromSecret({ secret: 'correct horse' })
+  const other = RoomCipher.fromSecret({ secret: 'battery staple' })
+
+  t.alike(a.topic, b.topic, 'should derive the same topic')
+  t.unlike(a.topic, other.topic, 'should derive different topics for different secrets')
+  t.is(b.cipher.decrypt({ payload: a.cipher.encrypt({ plaintext: 'hi', aad: 'x' }), aad: 'x' }), 'hi', 'should derive the same key')
+})
+
+test('RoomCipher - refuses payloads for another key or message', async function (t) {
+  t.plan(3)
+
+  const { cipher } = RoomCipher.fromSecret({ secret: 'correct horse' })
+  const { cipher: other } = RoomCipher.fromSecret({ secret: 'battery staple' })
+  const payload = cipher.encrypt({ plaintext: 'hi', aad: 'topic/1' })
+
+  t.is(other.decrypt({ payload, aad: 'topic/1' }), null, 'should refuse another key')
+  t.is(cipher.decrypt({ payload, aad: 'topic/2' }), null, 'should refuse a payload replayed on another message')
+  t.is(cipher.decrypt({ payload: 'AAAA', aad: 'topic/1' }), null, 'should refuse truncated payloads')
+})
+
+test('RoomCipher - broadcasts on an encrypted room are readable only with the secret', async function (t) {
+  t.plan(7)
+
+  const author = await createPeer({ secret: 'team secret' })
+  const member = await createPeer({ secret: 'team secret' })
+  const outsider = await createPeer({ topic: b4a.from(author.topicHex, 'hex') })
+
+  const broadcast = author.messageHandler.createBroadcastMessage({ name: 'author', message: 'the plan', topic: author.topicHex })
+  t.absent(broadcast.message, 'should not send the text in the clear')
+  t.absent(JSON.stringify(broadcast).includes('the plan'), 'should only carry ciphertext')
+
+  member.receive(broadcast)
+  t.is(member.history[0].message, 'the plan', 'should decrypt for peers with the secret')
+  t.ok(member.history[0].encrypted, 'should mark decrypted entries')
+  t.is(member.relayed[0].ciphertext, broadcast.ciphertext, 'should relay the ciphertext, not the plaintext')
+
+  outsider.receive(broadcast)
+  t.absent(outsider.history[0].message, 'should leave the text unreadable without the secret')
+
+  const injector = await createPeer({ topic: b4a.from(author.topicHex, 'hex') })
+  member.receive(injector.messageHandler.createBroadcastMessage({ name: 'mallory', message: 'fake', topic: author.topicHex }))
+  t.is(member.history.length, 1, 'should drop unencrypted broadcasts on an encrypted room')
+})